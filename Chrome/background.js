@@ -3,17 +3,33 @@ const DEFAULT_SETTINGS = {
   sentenceColor: '#add8e6',   // Sentences with 1 unknown word (light blue)
   fieldName: 'Hebrew',
   deckFilter: '',
+  sourceRules: [],  // [{noteType, field, deck, weight, matureOnly}] - empty uses fieldName/deckFilter
+  advancedQueryEnabled: false,  // Use advancedQuery (any Anki search) instead of deckFilter
+  advancedQuery: '',
   highlightEnabled: true,
   sentenceHighlightEnabled: true,  // Highlight i+1 sentences
   stripNikudEnabled: false,  // Strip nikud (vowel marks) from Hebrew text
+  mergeSubtitleLines: false,  // Treat a sentence split across subtitle cues as one line
+  studyPauseMode: 'off',  // Study mode: pause after 'all' lines, 'i1' lines, lines with 'unknown' words, or 'off'
+  shortcutBindings: {},  // Reader shortcut keys changed from the defaults: {actionId: key} ('' = unbound)
+  videoReaderSites: [],  // Hostnames where the generic video subtitle reader runs (enabled from the popup)
+  secondarySubtitleLanguage: '',  // Language code of a second subtitle track shown under the Hebrew one ('' = off)
   matureThreshold: 21,  // Days - cards with interval >= this are "mature"
   claudeApiKey: '',  // Claude API key for AI features
   defaultDeck: 'Sentence Mining',  // Default deck for card creation
   defaultNoteType: 'SelfStudyHebrew',  // Default note type for card creation
   audioFieldName: 'Audio',  // Field name for subtitle audio recordings
+  imageFieldName: 'Image',  // Field name for video frame screenshots (empty disables them)
+  audioLeadInMs: 250,  // Audio kept before a subtitle's start time
+  audioLeadOutMs: 250,  // Audio kept after a subtitle's end time
+  audioTrimSilence: true,  // Drop silence at the ends of recorded clips
+  audioNormalize: true,  // Bring recorded clips to a common loudness
+  audioFormat: 'ogg',  // 'ogg' (Opus) or 'mp3'
   autoExportEnabled: true,  // Auto-export custom definitions on change
   autoExportFilename: 'selfstudyhebrew-custom-definitions.json',  // Filename for auto-export
-  maxWordsForI1: 3000  // Max known words to send for i+1 generation (top frequent + random sampling)
+  maxWordsForI1: 3000,  // Max known words to send for i+1 generation (top frequent + random sampling)
+  conjugationsCountAsKnown: false,  // Treat other conjugations of a mature verb as known (not just potentially-known)
+  strengthGradientEnabled: false  // Shade known-word underlines by card interval instead of mature/learning colors
 };
 
 const DB_NAME = 'HebrewDictionary';
@@ -23,6 +39,7 @@ let db = null;
 let dictionariesLoaded = false;
 
 let frequencyData = null;
+let binyanimData = null;
 
 function openDictionaryDB() {
   return new Promise((resolve, reject) => {
@@ -61,6 +78,48 @@ async function loadFrequencyData() {
   }
 }
 
+async function loadBinyanimData() {
+  if (binyanimData) return; // Already loaded
+
+  try {
+    console.log('Loading binyanim data...');
+    const url = chrome.runtime.getURL('src/dictionary/binyanim.json');
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    binyanimData = await response.json();
+    console.log(`✓ Binyanim data loaded: ${binyanimData.length} verbs`);
+  } catch (error) {
+    console.error('Error loading binyanim data:', error);
+    binyanimData = []; // Set to empty array to prevent repeated attempts
+  }
+}
+
+// Map every other conjugation of a verb with at least one mature form to its infinitive,
+// so content scripts can treat אכלתי/אוכל/לאכול as one lemma
+async function buildConjugationWords(matureWords, learningWords) {
+  await loadBinyanimData();
+
+  const conjugationWords = {};
+  binyanimData.forEach(verb => {
+    const infinitive = verb.infinitive.hebrew.replace(/[\u0591-\u05C7]/g, '');
+    const forms = [infinitive, ...verb.conjugations.map(form => form.replace(/[\u0591-\u05C7]/g, ''))];
+
+    if (!forms.some(form => matureWords.has(form))) return;
+
+    forms.forEach(form => {
+      if (!matureWords.has(form) && !learningWords.has(form)) {
+        conjugationWords[form] = infinitive;
+      }
+    });
+  });
+
+  return conjugationWords;
+}
+
 async function sampleKnownWords(knownWords, maxWords) {
   if (knownWords.length <= maxWords) {
     console.log(`[i+1 Sampling] Using all ${knownWords.length} known words (under limit)`);
@@ -215,10 +274,13 @@ chrome.runtime.onInstalled.addListener(async () => {
 });
 
 chrome.runtime.onStartup.addListener(async () => {
+  const { pendingAnkiActions = [] } = await chrome.storage.local.get('pendingAnkiActions');
+  updateOutboxBadge(pendingAnkiActions);
+
   await loadDictionaries();
 });
 
-async function ankiConnectInvoke(action, params = {}) {
+async function ankiConnectRequest(action, params = {}) {
   const response = await fetch(ANKI_CONNECT_URL, {
     method: 'POST',
     headers: {
@@ -244,6 +306,613 @@ async function ankiConnectInvoke(action, params = {}) {
   return data.result;
 }
 
+async function ankiConnectInvoke(action, params = {}) {
+  try {
+    return await ankiConnectRequest(action, params);
+  } catch (error) {
+    // fetch() rejects with a TypeError when nothing is listening on the AnkiConnect port
+    if (!(error instanceof TypeError)) throw error;
+
+    // New notes and media go to the outbox and are sent when Anki is running again
+    if (OUTBOX_ACTIONS.includes(action)) {
+      return queueAnkiAction(action, params);
+    }
+
+    const collection = await loadOfflineCollection();
+    if (!collection) throw error;
+    return offlineAnkiInvoke(collection, action, params);
+  }
+}
+
+// Offline mode: while Anki isn't running, read-only actions are answered from a collection
+// imported on the options page (see src/anki/collection-reader.js)
+let offlineCollection = null;
+
+// Outbox: write actions made while Anki isn't running, kept in storage (pendingAnkiActions)
+// as {id, action, params, queuedAt, suspend, error} until they can be sent
+const OUTBOX_ACTIONS = ['addNote', 'storeMediaFile'];
+let flushingPendingActions = false;
+
+async function loadOfflineCollection() {
+  if (offlineCollection) return offlineCollection;
+
+  const data = await chrome.storage.local.get('offlineCollection');
+  if (!data.offlineCollection) return null;
+
+  const cardsByNote = {};
+  Object.entries(data.offlineCollection.cards).forEach(([cardId, card]) => {
+    (cardsByNote[card[0]] = cardsByNote[card[0]] || []).push(Number(cardId));
+  });
+
+  offlineCollection = { ...data.offlineCollection, cardsByNote };
+  return offlineCollection;
+}
+
+function offlineAnkiInvoke(collection, action, params) {
+  switch (action) {
+    case 'version':
+      return 6;
+
+    case 'deckNames':
+      return Object.values(collection.decks).sort();
+
+    case 'modelNames':
+      return Object.values(collection.models).map(model => model.name).sort();
+
+    case 'modelFieldNames': {
+      const model = Object.values(collection.models).find(m => m.name === params.modelName);
+      if (!model) throw new Error(`model was not found: ${params.modelName}`);
+      return model.fields;
+    }
+
+    case 'findCards':
+      return searchOfflineCollection(collection, params.query);
+
+    case 'findNotes': {
+      const cardIds = searchOfflineCollection(collection, params.query);
+      return [...new Set(cardIds.map(cardId => collection.cards[cardId][0]))];
+    }
+
+    case 'cardsInfo':
+      return params.cards
+        .filter(cardId => collection.cards[cardId])
+        .map(cardId => {
+          const [noteId, deckId, ord, mod, type, queue, interval, factor, reps, lapses] = collection.cards[cardId];
+          const note = collection.notes[noteId];
+          return {
+            cardId: Number(cardId),
+            note: noteId,
+            deckName: collection.decks[deckId] || '',
+            modelName: (note && collection.models[note[0]]?.name) || '',
+            ord, type, queue, interval, factor, reps, lapses, mod
+          };
+        });
+
+    // The imported collection keeps only each card's latest review (see collection-reader.js),
+    // so every reviewed card gets a single entry
+    case 'getReviewsOfCards': {
+      const reviews = {};
+      params.cards.forEach(cardId => {
+        const card = collection.cards[cardId];
+        reviews[cardId] = card && card[10] ? [{ id: card[10] }] : [];
+      });
+      return reviews;
+    }
+
+    case 'notesInfo':
+      return params.notes
+        .filter(noteId => collection.notes[noteId])
+        .map(noteId => {
+          const [modelId, mod, tags, values] = collection.notes[noteId];
+          const model = collection.models[modelId] || { name: '', fields: [] };
+          const fields = {};
+          values.forEach((value, order) => {
+            fields[model.fields[order] || `Field ${order + 1}`] = { value, order };
+          });
+          return {
+            noteId: Number(noteId),
+            modelName: model.name,
+            tags: tags ? tags.split(/\s+/) : [],
+            fields,
+            mod,
+            cards: collection.cardsByNote[noteId] || []
+          };
+        });
+
+    default:
+      throw new Error(`"${action}" is not available while Anki is offline`);
+  }
+}
+
+// Convert an Anki search wildcard (* any text, _ one character, \ escapes) to a regex source
+function ankiGlobToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+// Split an Anki search into terms, parentheses, and negations; quotes group words into one term
+function tokenizeAnkiQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push(char);
+      i++;
+    } else if (char === '-') {
+      tokens.push('-');
+      i++;
+    } else {
+      let term = '';
+      let quoted = false;
+      let inQuotes = false;
+      while (i < query.length && (inQuotes || !/[\s()]/.test(query[i]))) {
+        if (query[i] === '"') {
+          inQuotes = !inQuotes;
+          quoted = true;
+        } else if (query[i] === '\\' && query[i + 1] === '"') {
+          term += '"';
+          i++;
+        } else {
+          term += query[i];
+        }
+        i++;
+      }
+      tokens.push({ term, quoted });
+    }
+  }
+
+  return tokens;
+}
+
+// Compile one search term into a predicate over {cardId, card, note}
+function compileAnkiSearchTerm(text, collection) {
+  const colon = text.search(/(?<!\\):/);
+  const key = colon > 0 ? text.slice(0, colon).toLowerCase() : '';
+  const value = colon > 0 ? text.slice(colon + 1) : text;
+  const daysAgo = days => Date.now() - Number(days) * 86400000;
+
+  switch (key) {
+    case 'deck': {
+      // Matches the deck and its subdecks
+      const pattern = new RegExp(`^${ankiGlobToRegExpSource(value)}(::.*)?$`, 'i');
+      const deckIds = new Set(Object.keys(collection.decks)
+        .filter(deckId => pattern.test(collection.decks[deckId]))
+        .map(Number));
+      return ({ card }) => deckIds.has(card[1]);
+    }
+
+    case 'note': {
+      const pattern = new RegExp(`^${ankiGlobToRegExpSource(value)}$`, 'i');
+      const modelIds = new Set(Object.keys(collection.models)
+        .filter(modelId => pattern.test(collection.models[modelId].name))
+        .map(Number));
+      return ({ note }) => modelIds.has(note[0]);
+    }
+
+    case 'tag': {
+      const pattern = new RegExp(`^${ankiGlobToRegExpSource(value)}(::.*)?$`, 'i');
+      return ({ note }) => note[2].split(/\s+/).some(tag => pattern.test(tag));
+    }
+
+    case 'nid':
+    case 'cid': {
+      const ids = new Set(value.split(',').map(Number));
+      return key === 'nid' ? ({ card }) => ids.has(card[0]) : ({ cardId }) => ids.has(cardId);
+    }
+
+    case 'is': {
+      const states = {
+        new: card => card[4] === 0,
+        learn: card => card[4] === 1 || card[4] === 3,
+        review: card => card[4] === 2 || card[4] === 3,
+        suspended: card => card[5] === -1,
+        buried: card => card[5] === -2 || card[5] === -3
+      };
+      const state = states[value.toLowerCase()];
+      if (!state) throw new Error(`Search "is:${value}" is not supported while Anki is offline`);
+      return ({ card }) => state(card);
+    }
+
+    case 'added':
+      return ({ cardId }) => cardId >= daysAgo(value);
+
+    case 'edited':
+      return ({ note }) => note[1] * 1000 >= daysAgo(value);
+
+    case 'rated':
+      if (value.includes(':')) throw new Error(`Search "rated:${value}" is not supported while Anki is offline`);
+      return ({ card }) => card[10] >= daysAgo(value);
+
+    case 'prop': {
+      const match = value.match(/^(ivl|reps|lapses|ease)(<=|>=|!=|=|<|>)([\d.]+)$/i);
+      if (!match) throw new Error(`Search "prop:${value}" is not supported while Anki is offline`);
+      const index = { ivl: 6, reps: 8, lapses: 9, ease: 7 }[match[1].toLowerCase()];
+      const scale = match[1].toLowerCase() === 'ease' ? 1000 : 1;
+      const target = Number(match[3]);
+      const compare = {
+        '<': (a, b) => a < b, '>': (a, b) => a > b, '<=': (a, b) => a <= b,
+        '>=': (a, b) => a >= b, '=': (a, b) => a === b, '!=': (a, b) => a !== b
+      }[match[2]];
+      return ({ card }) => compare(card[index] / scale, target);
+    }
+
+    case '': {
+      // Plain text matches anywhere in any field
+      const pattern = new RegExp(ankiGlobToRegExpSource(value), 'is');
+      return ({ note }) => note[3].some(fieldValue => pattern.test(fieldValue));
+    }
+
+    default: {
+      // field:value matches the whole field content
+      const pattern = new RegExp(`^${ankiGlobToRegExpSource(value)}$`, 'is');
+      return ({ note }) => {
+        const model = collection.models[note[0]];
+        const index = model ? model.fields.findIndex(name => name.toLowerCase() === key) : -1;
+        return index >= 0 && index < note[3].length && pattern.test(note[3][index]);
+      };
+    }
+  }
+}
+
+// Compile an Anki search (terms, -negation, OR, parentheses) into a predicate
+function compileAnkiQuery(query, collection) {
+  const tokens = tokenizeAnkiQuery(query);
+  let position = 0;
+
+  const isKeyword = (token, word) => token && !token.quoted && token.term && token.term.toLowerCase() === word;
+
+  function parseOr() {
+    const alternatives = [parseAnd()];
+    while (isKeyword(tokens[position], 'or')) {
+      position++;
+      alternatives.push(parseAnd());
+    }
+    return alternatives.length === 1 ? alternatives[0] : ctx => alternatives.some(test => test(ctx));
+  }
+
+  function parseAnd() {
+    const terms = [];
+    while (position < tokens.length && tokens[position] !== ')' && !isKeyword(tokens[position], 'or')) {
+      if (isKeyword(tokens[position], 'and')) {
+        position++;
+        continue;
+      }
+      terms.push(parseUnary());
+    }
+    return ctx => terms.every(test => test(ctx));
+  }
+
+  function parseUnary() {
+    const token = tokens[position++];
+    if (token === '-') {
+      const test = parseUnary();
+      return ctx => !test(ctx);
+    }
+    if (token === '(') {
+      const test = parseOr();
+      if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses in search');
+      return test;
+    }
+    if (!token || token === ')') throw new Error('Invalid search');
+    return compileAnkiSearchTerm(token.term, collection);
+  }
+
+  const test = parseOr();
+  if (position < tokens.length) throw new Error('Unbalanced parentheses in search');
+  return test;
+}
+
+function searchOfflineCollection(collection, query) {
+  const test = compileAnkiQuery(query, collection);
+  const cardIds = [];
+
+  Object.entries(collection.cards).forEach(([cardId, card]) => {
+    const note = collection.notes[card[0]];
+    if (note && test({ cardId: Number(cardId), card, note })) {
+      cardIds.push(Number(cardId));
+    }
+  });
+
+  return cardIds;
+}
+
+// Queue a write action for when Anki is running again
+// Returns what AnkiConnect would (a placeholder note ID for addNote)
+async function queueAnkiAction(action, params) {
+  const data = await chrome.storage.local.get('pendingAnkiActions');
+  const queue = data.pendingAnkiActions || [];
+
+  // Negative IDs can't collide with real Anki IDs
+  const id = -(Date.now() * 1000 + Math.floor(Math.random() * 1000));
+  queue.push({ id, action, params, queuedAt: Date.now() });
+  await chrome.storage.local.set({ pendingAnkiActions: queue });
+
+  console.log(`Anki is offline, queued ${action} (${queue.length} pending)`);
+
+  return action === 'addNote' ? id : params.filename;
+}
+
+// Apply changes to a queued action (e.g. edited fields); returns false if it was already sent
+async function updateQueuedAction(id, changes) {
+  const { pendingAnkiActions: queue = [] } = await chrome.storage.local.get('pendingAnkiActions');
+  const item = queue.find(next => next.id === id);
+  if (!item) return false;
+
+  Object.assign(item, changes);
+  await chrome.storage.local.set({ pendingAnkiActions: queue });
+  return true;
+}
+
+// Already Known marks that Anki rejects as duplicates are done, same as when online
+function isSettledOutboxError(item, error) {
+  return item.action === 'addNote' &&
+    item.params.note.deckName === 'Already Known' &&
+    error.includes('duplicate');
+}
+
+// Send queued actions to Anki in order. Actions Anki rejected keep their error for review
+// on the options page and are only resent with includeFailed. Stops if Anki goes away again
+// Returns the number of actions sent
+async function flushPendingAnkiActions(options = {}) {
+  if (flushingPendingActions) return 0;
+  flushingPendingActions = true;
+
+  let sentCount = 0;
+  try {
+    const { pendingAnkiActions: queue = [] } = await chrome.storage.local.get('pendingAnkiActions');
+
+    for (const item of queue) {
+      if (item.error && !options.includeFailed) continue;
+
+      let error = null;
+      try {
+        const result = await ankiConnectRequest(item.action, item.params);
+        sentCount++;
+
+        if (item.suspend && result) {
+          try {
+            const cardIds = await ankiConnectRequest('findCards', { query: `nid:${result}` });
+            if (cardIds.length > 0) {
+              await ankiConnectRequest('suspend', { cards: cardIds });
+            }
+          } catch (suspendError) {
+            // The note exists now, so don't resend it
+            console.error(`Could not suspend cards of queued note ${result}:`, suspendError.message);
+          }
+        }
+      } catch (sendError) {
+        if (sendError instanceof TypeError) break;
+        if (!isSettledOutboxError(item, sendError.message)) {
+          error = sendError.message;
+          console.error(`Anki rejected queued ${item.action}:`, error);
+        }
+      }
+
+      // Re-read so actions queued or edited meanwhile are kept
+      const { pendingAnkiActions: current = [] } = await chrome.storage.local.get('pendingAnkiActions');
+      await chrome.storage.local.set({
+        pendingAnkiActions: error
+          ? current.map(next => next.id === item.id ? { ...next, error } : next)
+          : current.filter(next => next.id !== item.id)
+      });
+    }
+  } finally {
+    flushingPendingActions = false;
+  }
+
+  if (sentCount > 0) {
+    console.log(`Sent ${sentCount} queued action(s) to Anki`);
+  }
+  return sentCount;
+}
+
+// Words from Already Known marks that are still in the outbox
+async function getQueuedKnownWords() {
+  const { pendingAnkiActions: queue = [] } = await chrome.storage.local.get('pendingAnkiActions');
+  const words = [];
+
+  queue.forEach(item => {
+    if (item.action === 'addNote' && item.params.note.deckName === 'Already Known') {
+      const noteWords = extractNoteWords({ fields: { Hebrew: { value: item.params.note.fields.Hebrew } } }, 'Hebrew');
+      if (noteWords) words.push(...noteWords);
+    }
+  });
+
+  return words;
+}
+
+// Count queued Already Known marks as mature right away, so highlighting doesn't wait for Anki
+async function markQueuedWordsKnown() {
+  const queuedWords = await getQueuedKnownWords();
+  const data = await chrome.storage.local.get(['matureWords', 'learningWords']);
+  const matureWords = new Set(data.matureWords || []);
+  const learningWords = new Set(data.learningWords || []);
+
+  queuedWords.forEach(word => {
+    matureWords.add(word);
+    learningWords.delete(word);
+  });
+
+  const matureArray = Array.from(matureWords).sort();
+  await chrome.storage.local.set({
+    matureWords: matureArray,
+    learningWords: Array.from(learningWords).sort(),
+    hebrewWords: matureArray // Backward compatibility
+  });
+}
+
+// Show the number of queued actions on the toolbar icon (red if any were rejected)
+function updateOutboxBadge(queue) {
+  if (queue.length === 0) {
+    chrome.action.setBadgeText({ text: '' });
+    return;
+  }
+
+  chrome.action.setBadgeText({ text: String(queue.length) });
+  chrome.action.setBadgeBackgroundColor({
+    color: queue.some(item => item.error) ? '#f44336' : '#0066ff'
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.offlineCollection) {
+    offlineCollection = null;
+  }
+  if (changes.pendingAnkiActions) {
+    updateOutboxBadge(changes.pendingAnkiActions.newValue || []);
+  }
+});
+
+// Sentence-mining note types created by setup. Unlike the basic SelfStudyHebrew type, these are
+// updated on every setup run (templates, styling, missing fields) so existing collections stay current
+const MINING_NOTE_TYPE_CSS = `
+  .card {
+    font-family: arial;
+    font-size: 20px;
+    text-align: center;
+    color: black;
+    background-color: white;
+  }
+  .hebrew, .sentence {
+    font-size: 28px;
+    direction: rtl;
+    margin-bottom: 20px;
+  }
+  .target {
+    font-size: 36px;
+    direction: rtl;
+    margin-bottom: 15px;
+  }
+  .cloze, .sentence b {
+    font-weight: bold;
+    color: #0066ff;
+  }
+  .english, .definition {
+    font-size: 20px;
+    margin-bottom: 15px;
+  }
+  .notes {
+    font-size: 20px;
+    margin-top: 15px;
+  }
+  .source {
+    font-size: 14px;
+    color: #888;
+    margin-top: 20px;
+  }
+  .image img {
+    max-width: 100%;
+    margin-top: 15px;
+  }
+`;
+
+const MINING_NOTE_TYPES = [
+  {
+    // i+1 target word is hidden on the front ({{c1::word}} in Text) and bolded on the back
+    modelName: 'SelfStudyHebrew Cloze',
+    isCloze: true,
+    inOrderFields: ['Text', 'TargetWord', 'English', 'Notes', 'Audio', 'Image', 'Source'],
+    css: MINING_NOTE_TYPE_CSS,
+    cardTemplates: [
+      {
+        Name: 'Cloze',
+        Front: '<div class="hebrew">{{cloze:Text}}</div>',
+        Back: `<div class="hebrew">{{cloze:Text}}</div>
+
+<hr id=answer>
+
+<div class="english">{{English}}</div>
+
+{{#Notes}}
+<div class="notes">{{Notes}}</div>
+{{/Notes}}
+
+{{Audio}}
+
+{{#Image}}
+<div class="image">{{Image}}</div>
+{{/Image}}
+
+{{#Source}}
+<div class="source">{{Source}}</div>
+{{/Source}}`
+      }
+    ]
+  },
+  {
+    modelName: 'SelfStudyHebrew Vocab',
+    isCloze: false,
+    inOrderFields: ['TargetWord', 'Sentence', 'Definition', 'Audio', 'Image', 'Source'],
+    css: MINING_NOTE_TYPE_CSS,
+    cardTemplates: [
+      {
+        Name: 'Recognition',
+        Front: `<div class="target">{{TargetWord}}</div>
+<div class="sentence">{{Sentence}}</div>`,
+        Back: `<div class="target">{{TargetWord}}</div>
+<div class="sentence">{{Sentence}}</div>
+
+<hr id=answer>
+
+<div class="definition">{{Definition}}</div>
+
+{{Audio}}
+
+{{#Image}}
+<div class="image">{{Image}}</div>
+{{/Image}}
+
+{{#Source}}
+<div class="source">{{Source}}</div>
+{{/Source}}`
+      }
+    ]
+  }
+];
+
+// Create a mining note type, or bring an existing one up to date
+async function setupMiningNoteType(noteType, existingModels) {
+  if (!existingModels.includes(noteType.modelName)) {
+    await ankiConnectInvoke('createModel', noteType);
+    console.log(`✓ Created ${noteType.modelName} note type`);
+    return;
+  }
+
+  // Add fields introduced since the note type was created (existing fields are left alone)
+  const existingFields = await ankiConnectInvoke('modelFieldNames', { modelName: noteType.modelName });
+  for (let i = 0; i < noteType.inOrderFields.length; i++) {
+    const fieldName = noteType.inOrderFields[i];
+    if (!existingFields.includes(fieldName)) {
+      await ankiConnectInvoke('modelFieldAdd', { modelName: noteType.modelName, fieldName: fieldName, index: i });
+    }
+  }
+
+  const templates = {};
+  noteType.cardTemplates.forEach(template => {
+    templates[template.Name] = { Front: template.Front, Back: template.Back };
+  });
+  await ankiConnectInvoke('updateModelTemplates', { model: { name: noteType.modelName, templates: templates } });
+  await ankiConnectInvoke('updateModelStyling', { model: { name: noteType.modelName, css: noteType.css } });
+  console.log(`✓ Updated ${noteType.modelName} note type`);
+}
+
 async function setupAnkiForSelfStudyHebrew() {
   try {
     const existingDecks = await ankiConnectInvoke('deckNames');
@@ -304,7 +973,7 @@ async function setupAnkiForSelfStudyHebrew() {
     if (!existingModels.includes('SelfStudyHebrew')) {
       await ankiConnectInvoke('createModel', {
         modelName: 'SelfStudyHebrew',
-        inOrderFields: ['Hebrew', 'English', 'Notes', 'Audio'],
+        inOrderFields: ['Hebrew', 'English', 'Notes', 'Audio', 'Image', 'Source'],
         css: `
           .card {
             font-family: arial;
@@ -326,6 +995,15 @@ async function setupAnkiForSelfStudyHebrew() {
             font-size: 20px;
             margin-top: 15px;
           }
+          .source {
+            font-size: 12px;
+            color: #888;
+            margin-top: 15px;
+          }
+          .image img {
+            max-width: 100%;
+            margin-top: 15px;
+          }
         `,
         cardTemplates: [
           {
@@ -341,7 +1019,15 @@ async function setupAnkiForSelfStudyHebrew() {
 <div class="notes">{{Notes}}</div>
 {{/Notes}}
 
-{{Audio}}`
+{{Audio}}
+
+{{#Image}}
+<div class="image">{{Image}}</div>
+{{/Image}}
+
+{{#Source}}
+<div class="source">{{Source}}</div>
+{{/Source}}`
           }
         ]
       });
@@ -350,9 +1036,13 @@ async function setupAnkiForSelfStudyHebrew() {
       console.log('SelfStudyHebrew note type already exists');
     }
 
+    for (const noteType of MINING_NOTE_TYPES) {
+      await setupMiningNoteType(noteType, existingModels);
+    }
+
     return {
       success: true,
-      message: 'Setup completed! Created: Already Known deck, Sentence Mining deck with SelfStudyHebrew preset (5 new/day, 9999 reviews/day), and SelfStudyHebrew note type.\n\nNote: Please manually enable FSRS in Anki (Sentence Mining → Options → Enable FSRS toggle, set retention to 85%).'
+      message: 'Setup completed! Created: Already Known deck, Sentence Mining deck with SelfStudyHebrew preset (5 new/day, 9999 reviews/day), and SelfStudyHebrew, SelfStudyHebrew Cloze, and SelfStudyHebrew Vocab note types.\n\nNote: Please manually enable FSRS in Anki (Sentence Mining → Options → Enable FSRS toggle, set retention to 85%).'
     };
   } catch (error) {
     console.error('Error setting up Anki:', error);
@@ -363,131 +1053,344 @@ async function setupAnkiForSelfStudyHebrew() {
   }
 }
 
-async function fetchHebrewWords() {
-  try {
-    const settings = await chrome.storage.local.get('settings');
-    const fieldName = settings.settings?.fieldName || 'Hebrew';
-    const deckFilter = settings.settings?.deckFilter || '';
-    const matureThreshold = settings.settings?.matureThreshold || 21;
+const HEBREW_FIELD_REGEX = /[\u0590-\u05FF]+(?:[״"׳\u201C\u201D\u2018\u2019][\u0590-\u05FF]+)*/g;
+
+// Incremental sync can look back at most this far (Anki caps rated:n at 365 days)
+const MAX_INCREMENTAL_SYNC_DAYS = 365;
+
+// Bump when the cached card layout changes so old snapshots trigger a full resync
+const SYNC_CACHE_VERSION = 4;
+
+// Duplicate check in the card creator
+const MAX_DUPLICATE_CHECK_WORDS = 5;
+const MAX_DUPLICATE_NOTES = 5;
+const CONTEXT_FIELD_REGEX = /context|sentence|example/i;
 
-    let query = `${fieldName}:*`;
-    if (deckFilter) {
-      query = `deck:"${deckFilter}" ${query}`;
+// Mined cards listed on the options page (newest first)
+const MAX_MINED_CARDS = 50;
+const SOURCE_FIELD_REGEX = /^source$/i;
+
+// Extract normalized Hebrew words from a note's field (HTML and [bracketed] content removed)
+function extractNoteWords(note, fieldName) {
+  const hebrewField = note.fields[fieldName];
+  if (!hebrewField || !hebrewField.value) return null;
+
+  let text = hebrewField.value.replace(/<[^>]*>/g, ' ');
+  text = text.replace(/\[[^\]]*\]/g, ' '); // Remove [bracketed content]
+
+  const matches = text.match(HEBREW_FIELD_REGEX);
+  if (!matches) return null;
+
+  return matches.map(word => word.replace(/[\u0591-\u05C7]/g, '')).filter(w => w.length > 0);
+}
+
+// Download card state and note words for a list of card IDs
+// Returns { cards: {cardId: [noteId, type, interval, ease, lapses, lastReview, deckName]}, notes: {noteId: [words]} }
+// ease is a percentage (250 = 250%), lastReview is the latest review log time in ms (0 if never
+// reviewed, or when withReviews is off and the review log isn't read)
+async function fetchCardData(cardIds, fieldName, withReviews = false) {
+  const result = { cards: {}, notes: {} };
+  if (cardIds.length === 0) return result;
+
+  const cardsInfo = await ankiConnectInvoke('cardsInfo', {
+    cards: cardIds
+  });
+
+  const noteIds = [...new Set(cardsInfo.map(card => card.note))];
+  const notesInfo = await ankiConnectInvoke('notesInfo', {
+    notes: noteIds
+  });
+
+  // Review log entry IDs are review timestamps in ms
+  const reviewedIds = withReviews ? cardsInfo.filter(card => card.reps > 0).map(card => card.cardId) : [];
+  const reviews = reviewedIds.length > 0
+    ? await ankiConnectInvoke('getReviewsOfCards', { cards: reviewedIds })
+    : {};
+  const lastReviewTime = (cardId) => (reviews[cardId] || []).reduce((latest, review) => Math.max(latest, review.id), 0);
+
+  cardsInfo.forEach(card => {
+    result.cards[card.cardId] = [
+      card.note,
+      card.type,
+      card.interval || 0,
+      Math.round((card.factor || 0) / 10),
+      card.lapses || 0,
+      lastReviewTime(card.cardId),
+      card.deckName
+    ];
+  });
+  notesInfo.forEach(note => {
+    const words = extractNoteWords(note, fieldName);
+    if (words) {
+      result.notes[note.noteId] = words;
     }
+  });
 
-    const cardIds = await ankiConnectInvoke('findCards', {
-      query: query
-    });
+  return result;
+}
 
-    if (!cardIds || cardIds.length === 0) {
-      console.log('No cards found with Hebrew field');
-      return { mature: [], learning: [] };
+// Sync the cards matching a query. With a previous snapshot, only cards that are new or were
+// edited/reviewed/added in the last `sinceDays` days are downloaded; deleted cards are dropped.
+// withReviews also reads each card's last review time (see fetchCardData).
+async function syncCardSet(query, fieldName, previous, sinceDays, withReviews = false) {
+  const cardIds = await ankiConnectInvoke('findCards', {
+    query: query
+  });
+
+  if (!previous) {
+    return fetchCardData(cardIds, fieldName, withReviews);
+  }
+
+  const changedIds = new Set(await ankiConnectInvoke('findCards', {
+    query: `(${query}) (edited:${sinceDays} OR rated:${sinceDays} OR added:${sinceDays})`
+  }));
+
+  const cards = {};
+  const toFetch = [];
+  cardIds.forEach(cardId => {
+    if (previous.cards[cardId] && !changedIds.has(cardId)) {
+      cards[cardId] = previous.cards[cardId];
+    } else {
+      toFetch.push(cardId);
     }
+  });
 
-    const cardsInfo = await ankiConnectInvoke('cardsInfo', {
-      cards: cardIds
-    });
+  const fetched = await fetchCardData(toFetch, fieldName, withReviews);
+  Object.assign(cards, fetched.cards);
 
-    const noteIds = [...new Set(cardsInfo.map(card => card.note))];
-    const notesInfo = await ankiConnectInvoke('notesInfo', {
-      notes: noteIds
-    });
+  // Keep words only for notes that still have cards in the set
+  const notes = {};
+  Object.values(cards).forEach(([noteId]) => {
+    if (fetched.notes[noteId]) {
+      notes[noteId] = fetched.notes[noteId];
+    } else if (previous.notes[noteId]) {
+      notes[noteId] = previous.notes[noteId];
+    }
+  });
 
-    const hebrewRegex = /[\u0590-\u05FF]+(?:[״"׳\u201C\u201D\u2018\u2019][\u0590-\u05FF]+)*/g;
-    const noteWordsMap = new Map();
-
-    notesInfo.forEach(note => {
-      const hebrewField = note.fields[fieldName];
-      if (hebrewField && hebrewField.value) {
-        // Strip HTML tags and square brackets
-        let text = hebrewField.value.replace(/<[^>]*>/g, ' ');
-        text = text.replace(/\[[^\]]*\]/g, ' '); // Remove [bracketed content]
-
-        // Extract Hebrew words
-        const matches = text.match(hebrewRegex);
-        if (matches) {
-          const words = matches.map(word => {
-            return word.replace(/[\u0591-\u05C7]/g, '');
-          }).filter(w => w.length > 0);
-          noteWordsMap.set(note.noteId, words);
-        }
-      }
-    });
+  const currentIds = new Set(cardIds.map(String));
+  const removedCount = Object.keys(previous.cards).filter(cardId => !currentIds.has(cardId)).length;
+  console.log(`Incremental sync: ${toFetch.length} of ${cardIds.length} cards changed, ${removedCount} removed`);
+  return { cards, notes };
+}
+
+// Get (or create) the per-word record that aggregates every card containing a word
+function getWordRecord(wordRecords, word) {
+  if (!wordRecords[word]) {
+    wordRecords[word] = { interval: 0, ease: 0, lapses: 0, lastReview: 0, noteIds: [], decks: [] };
+  }
+  return wordRecords[word];
+}
+
+// Merge one card into a word record: longest interval (with that card's ease),
+// most lapses, latest review, and every source note and deck
+function addCardToRecord(record, noteId, interval, ease, lapses, lastReview, deckName) {
+  if (interval > record.interval) {
+    record.interval = interval;
+    record.ease = ease;
+  }
+  record.lapses = Math.max(record.lapses, lapses);
+  record.lastReview = Math.max(record.lastReview, lastReview);
+  if (!record.noteIds.includes(noteId)) record.noteIds.push(noteId);
+  if (deckName && !record.decks.includes(deckName)) record.decks.push(deckName);
+}
+
+// Vocabulary source rules: each {noteType, field, deck, weight, matureOnly} contributes words.
+// Without configured rules, the single fieldName/deckFilter setting is used
+// (the deck filter is replaced by the advanced query when that mode is on).
+function getSourceRules(settings) {
+  if (Array.isArray(settings?.sourceRules) && settings.sourceRules.length > 0) {
+    return settings.sourceRules;
+  }
+  return [{
+    noteType: '',
+    field: settings?.fieldName || 'Hebrew',
+    deck: settings?.advancedQueryEnabled ? '' : (settings?.deckFilter || ''),
+    weight: 1,
+    matureOnly: false
+  }];
+}
+
+// Escape text for a literal match inside a quoted Anki search term
+function escapeAnkiSearchText(text) {
+  return text.replace(/[\\"*_:]/g, '\\$&');
+}
+
+// Get the user's raw Anki search (advanced query mode), wrapped so it can be
+// combined with other terms, or '' when the mode is off
+function buildScopeQuery(settings) {
+  const advancedQuery = (settings?.advancedQuery || '').trim();
+  if (!settings?.advancedQueryEnabled || !advancedQuery) return '';
+  return `(${advancedQuery})`;
+}
 
-    const matureWords = new Set();
-    const learningWords = new Set();
+// Build the Anki search query for a source rule, restricted by the scope query
+function buildRuleQuery(rule, scopeQuery = '') {
+  const parts = [];
+  if (scopeQuery) parts.push(scopeQuery);
+  if (rule.deck) parts.push(`deck:"${rule.deck}"`);
+  if (rule.noteType) parts.push(`note:"${rule.noteType}"`);
+  parts.push(`"${rule.field}:*"`);
+  return parts.join(' ');
+}
 
-    cardsInfo.forEach(card => {
-      const words = noteWordsMap.get(card.note);
+// Classify synced cards into mature/learning word sets and per-word records.
+// A rule's weight scales card intervals before comparing with the threshold
+// (e.g. 0.5 = a sentence card needs twice the interval to count as mature);
+// matureOnly rules ignore cards that are not mature.
+function classifySyncedCards(syncCache, rules, matureThreshold) {
+  const matureWords = new Set();
+  const learningWords = new Set();
+  const wordRecords = {}; // word → {interval, ease, lapses, lastReview, noteIds, decks}
+
+  syncCache.sources.forEach((source, ruleIndex) => {
+    const rule = rules[ruleIndex];
+    const weight = rule.weight > 0 ? rule.weight : 1;
+
+    Object.values(source.cards).forEach(([noteId, cardType, interval, ease, lapses, lastReview, deckName]) => {
+      const words = source.notes[noteId];
       if (!words) return;
 
-      const interval = card.interval || 0;
-      const cardType = card.type;
+      const weightedInterval = Math.round(interval * weight);
+      const isMature = cardType === 2 && weightedInterval >= matureThreshold;
+      const isLearning = (cardType === 1) || (cardType === 2 && interval > 0 && weightedInterval < matureThreshold);
+
+      if (rule.matureOnly && !isMature) return;
 
       words.forEach(word => {
-        if (cardType === 2 && interval >= matureThreshold) {
+        addCardToRecord(getWordRecord(wordRecords, word), noteId, interval, ease, lapses, lastReview, deckName);
+
+        if (isMature) {
           matureWords.add(word);
           learningWords.delete(word);
         }
-        else if ((cardType === 1) || (cardType === 2 && interval > 0 && interval < matureThreshold)) {
+        else if (isLearning) {
           if (!matureWords.has(word)) {
             learningWords.add(word);
           }
         }
       });
     });
+  });
 
-    try {
-      const alreadyKnownQuery = `deck:"Already Known" ${fieldName}:*`;
-      const alreadyKnownCardIds = await ankiConnectInvoke('findCards', {
-        query: alreadyKnownQuery
-      });
+  Object.entries(syncCache.alreadyKnown.notes).forEach(([noteId, words]) => {
+    words.forEach(word => {
+      matureWords.add(word);
+      learningWords.delete(word);
 
-      if (alreadyKnownCardIds && alreadyKnownCardIds.length > 0) {
-        const alreadyKnownCardsInfo = await ankiConnectInvoke('cardsInfo', {
-          cards: alreadyKnownCardIds
-        });
-        const alreadyKnownNoteIds = [...new Set(alreadyKnownCardsInfo.map(card => card.note))];
-        const alreadyKnownNotesInfo = await ankiConnectInvoke('notesInfo', {
-          notes: alreadyKnownNoteIds
-        });
+      const record = getWordRecord(wordRecords, word);
+      if (!record.noteIds.includes(Number(noteId))) record.noteIds.push(Number(noteId));
+      if (!record.decks.includes('Already Known')) record.decks.push('Already Known');
+    });
+  });
 
-        alreadyKnownNotesInfo.forEach(note => {
-          const hebrewField = note.fields[fieldName];
-          if (hebrewField && hebrewField.value) {
-            let text = hebrewField.value.replace(/<[^>]*>/g, ' ');
-            text = text.replace(/\[[^\]]*\]/g, ' ');
-            const matches = text.match(hebrewRegex);
-            if (matches) {
-              const words = matches.map(word => {
-                return word.replace(/[\u0591-\u05C7]/g, '');
-              }).filter(w => w.length > 0);
-
-              words.forEach(word => {
-                matureWords.add(word);
-                learningWords.delete(word);
-              });
-            }
-          }
-        });
+  return { matureWords, learningWords, wordRecords };
+}
 
-        console.log(`Added ${alreadyKnownCardIds.length} cards from Already Known deck`);
+async function fetchHebrewWords(options = {}) {
+  try {
+    const settings = await chrome.storage.local.get('settings');
+    const fieldName = settings.settings?.fieldName || 'Hebrew';
+    const matureThreshold = settings.settings?.matureThreshold || 21;
+
+    const rules = getSourceRules(settings.settings);
+    const scopeQuery = buildScopeQuery(settings.settings);
+    const queries = rules.map(rule => buildRuleQuery(rule, scopeQuery));
+    // The scope query applies to words marked as known too
+    const alreadyKnownQuery = buildRuleQuery({ deck: 'Already Known', field: fieldName }, scopeQuery);
+
+    // Without Anki, words come from the imported collection (if any); such a snapshot
+    // can't be updated incrementally, so both directions of the switch resync fully
+    const offline = !(await checkAnkiConnect());
+    if (offline) {
+      console.log('AnkiConnect unreachable, syncing from the imported offline collection');
+    }
+
+    // A cached snapshot is only reusable for the same queries and within Anki's lookback window
+    const signature = `${SYNC_CACHE_VERSION}\n${fieldName}\n${queries.join('\n')}\n${alreadyKnownQuery}`;
+    const { syncCache: previousCache } = await chrome.storage.local.get('syncCache');
+    const daysSinceSync = previousCache ? Math.ceil((Date.now() - previousCache.lastSync) / 86400000) + 1 : Infinity;
+    const canSyncIncrementally = !options.fullSync && !offline &&
+      previousCache && !previousCache.offline && previousCache.signature === signature &&
+      daysSinceSync <= MAX_INCREMENTAL_SYNC_DAYS;
+
+    const syncStart = Date.now();
+    let syncCache = null;
+    let syncMode = 'full';
+
+    if (canSyncIncrementally) {
+      try {
+        const sources = [];
+        for (let i = 0; i < rules.length; i++) {
+          sources.push(await syncCardSet(queries[i], rules[i].field, previousCache.sources[i], daysSinceSync, true));
+        }
+        syncCache = {
+          signature,
+          lastSync: syncStart,
+          sources,
+          alreadyKnown: previousCache.alreadyKnown
+        };
+        syncMode = 'incremental';
+      } catch (error) {
+        console.warn('Incremental sync failed, falling back to full resync:', error.message);
+        syncCache = null;
+      }
+    }
+
+    if (!syncCache) {
+      const sources = [];
+      for (let i = 0; i < rules.length; i++) {
+        sources.push(await syncCardSet(queries[i], rules[i].field, null, 0, true));
       }
+      syncCache = {
+        signature,
+        lastSync: syncStart,
+        offline,
+        sources,
+        alreadyKnown: { cards: {}, notes: {} }
+      };
+    }
+
+    if (syncCache.sources.every(source => Object.keys(source.cards).length === 0)) {
+      console.log('No cards found with Hebrew field');
+      return { mature: [], learning: [] };
+    }
+
+    try {
+      syncCache.alreadyKnown = await syncCardSet(
+        alreadyKnownQuery,
+        fieldName,
+        syncMode === 'incremental' ? syncCache.alreadyKnown : null,
+        daysSinceSync
+      );
+      console.log(`Added ${Object.keys(syncCache.alreadyKnown.cards).length} cards from Already Known deck`);
     } catch (error) {
       console.warn('Could not fetch Already Known deck (deck may not exist yet):', error.message);
     }
 
+    const { matureWords, learningWords, wordRecords } = classifySyncedCards(syncCache, rules, matureThreshold);
+
+    // Already Known marks still waiting in the outbox count too
+    (await getQueuedKnownWords()).forEach(word => {
+      matureWords.add(word);
+      learningWords.delete(word);
+    });
+
     const matureArray = Array.from(matureWords).sort();
     const learningArray = Array.from(learningWords).sort();
+    const conjugationWords = await buildConjugationWords(matureWords, learningWords);
 
     await chrome.storage.local.set({
       matureWords: matureArray,
       learningWords: learningArray,
       hebrewWords: matureArray, // Backward compatibility
+      conjugationWords: conjugationWords,
+      wordRecords: wordRecords,
+      syncCache: syncCache,
       lastUpdated: Date.now()
     });
 
-    console.log(`Fetched ${matureArray.length} mature + ${learningArray.length} learning Hebrew words from Anki`);
+    console.log(`Fetched ${matureArray.length} mature + ${learningArray.length} learning Hebrew words from ${rules.length} source(s) (${Object.keys(conjugationWords).length} related conjugations, ${syncMode} sync in ${Date.now() - syncStart}ms)`);
     return { mature: matureArray, learning: learningArray };
 
   } catch (error) {
@@ -498,7 +1401,9 @@ async function fetchHebrewWords() {
 
 async function checkAnkiConnect() {
   try {
-    await ankiConnectInvoke('version');
+    await ankiConnectRequest('version');
+    // Anki is back: send anything created while it was offline
+    flushPendingAnkiActions().catch(error => console.error('Error sending queued Anki actions:', error));
     return true;
   } catch (error) {
     return false;
@@ -790,6 +1695,79 @@ async function clearDictionaryDB() {
   });
 }
 
+// Scripts the <all_urls> content script gives top frames (frames need them too)
+const PAGE_SCRIPTS = [
+  'src/utils/hebrew-text.js',
+  'src/utils/vocabulary-store.js',
+  'src/utils/formatting.js',
+  'src/utils/source-metadata.js',
+  'src/utils/anki-stats.js',
+  'src/utils/constants.js',
+  'src/highlighting/word-highlighter.js',
+  'src/highlighting/sentence-highlighter.js',
+  'src/dictionary/dictionary-popup.js',
+  'src/anki/card-creator-modal.js',
+  'src/anki/batch-card-creator.js',
+  'src/content-coordinator.js'
+];
+
+// Scripts of the generic video subtitle reader
+const VIDEO_READER_SCRIPTS = [
+  'src/utils/keyboard-shortcuts.js',
+  'lib/wasm-media-encoders/WasmMediaEncoder.min.js',
+  'src/subtitles/audio-pipeline.js',
+  'src/subtitles/audio-extractor.js',
+  'src/subtitles/subtitle-parsers.js',
+  'src/subtitles/subtitle-reader-base.js',
+  'src/subtitles/video-reader.js'
+];
+
+// Sites with their own subtitle reader (manifest content scripts); the generic video reader
+// stays off them, so their players don't get two overlays and two sets of shortcuts
+const BUILT_IN_READER_HOSTS = ['www.netflix.com', 'www.youtube.com', 'www.streamisrael.tv', 'embed.vhx.tv'];
+
+// Check whether a URL is on a site the generic video reader is enabled for
+async function isVideoReaderSite(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return false;
+  }
+
+  const data = await chrome.storage.local.get('settings');
+  return ((data.settings || DEFAULT_SETTINGS).videoReaderSites || []).includes(hostname);
+}
+
+// Inject the generic video reader into a tab's top frame and any frames with a video
+// (embedded players), skipping frames that already have it or have a built-in reader.
+// The reader waits for a startVideoReader or showSubtitleFilePicker message.
+async function injectVideoReader(tabId) {
+  const frames = await chrome.scripting.executeScript({
+    target: { tabId: tabId, allFrames: true },
+    func: () => ({
+      hasReader: Boolean(window.VideoSubtitleReader),
+      hasVideo: Boolean(document.querySelector('video')),
+      isTop: window === window.top,
+      hostname: location.hostname
+    })
+  });
+
+  for (const { frameId, result } of frames) {
+    if (!result || result.hasReader || !(result.isTop || result.hasVideo)) continue;
+    if (BUILT_IN_READER_HOSTS.includes(result.hostname)) continue;
+
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId, frameIds: [frameId] },
+        files: result.isTop ? VIDEO_READER_SCRIPTS : [...PAGE_SCRIPTS, ...VIDEO_READER_SCRIPTS]
+      });
+    } catch (error) {
+      console.error('Error injecting video reader into frame', frameId, error);
+    }
+  }
+}
+
 // Action handlers object
 const MESSAGE_HANDLERS = {
   setupAnki: (request, sender, sendResponse) => {
@@ -800,7 +1778,7 @@ const MESSAGE_HANDLERS = {
   },
 
   fetchWords: (request, sender, sendResponse) => {
-    fetchHebrewWords()
+    fetchHebrewWords({ fullSync: request.fullSync === true })
       .then(result => sendResponse({
         success: true,
         matureWords: result.mature,
@@ -812,17 +1790,25 @@ const MESSAGE_HANDLERS = {
   },
 
   checkAnkiConnect: (request, sender, sendResponse) => {
-    checkAnkiConnect()
-      .then(available => sendResponse({ available: available }))
-      .catch(() => sendResponse({ available: false }));
+    (async () => {
+      const available = await checkAnkiConnect();
+      const collection = available ? null : await loadOfflineCollection();
+      const { pendingAnkiActions = [] } = await chrome.storage.local.get('pendingAnkiActions');
+      sendResponse({
+        available: available,
+        offline: Boolean(collection),  // Unreachable, but answering from the imported collection
+        pendingCount: pendingAnkiActions.length
+      });
+    })().catch(() => sendResponse({ available: false }));
     return true;
   },
 
   getWords: (request, sender, sendResponse) => {
-    chrome.storage.local.get(['matureWords', 'learningWords', 'hebrewWords', 'lastUpdated'])
+    chrome.storage.local.get(['matureWords', 'learningWords', 'hebrewWords', 'wordRecords', 'lastUpdated'])
       .then(data => sendResponse({
         matureWords: data.matureWords || [],
         learningWords: data.learningWords || [],
+        wordRecords: data.wordRecords || {},
         words: data.hebrewWords || [],  // Backward compatibility
         lastUpdated: data.lastUpdated
       }));
@@ -855,6 +1841,60 @@ const MESSAGE_HANDLERS = {
     return true;
   },
 
+  toggleVideoReaderSite: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        const data = await chrome.storage.local.get('settings');
+        const settings = data.settings || DEFAULT_SETTINGS;
+        const sites = settings.videoReaderSites || [];
+        const enabled = !sites.includes(request.hostname);
+        settings.videoReaderSites = enabled
+          ? [...sites, request.hostname]
+          : sites.filter(site => site !== request.hostname);
+        await chrome.storage.local.set({ settings });
+
+        if (enabled) {
+          await injectVideoReader(request.tabId);
+          chrome.tabs.sendMessage(request.tabId, { action: 'startVideoReader' }).catch(() => {
+            // No frame could take the reader
+          });
+        } else {
+          chrome.tabs.sendMessage(request.tabId, { action: 'disableVideoReader' }).catch(() => {
+            // Reader not loaded in this tab
+          });
+        }
+
+        sendResponse({ success: true, enabled: enabled });
+      } catch (error) {
+        console.error('Error toggling video reader:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
+  // The file dialog opens from a prompt on the page (Firefox closes the popup when it opens one)
+  showSubtitleFilePicker: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        const tab = await chrome.tabs.get(request.tabId);
+        if (tab.url && BUILT_IN_READER_HOSTS.includes(new URL(tab.url).hostname)) {
+          sendResponse({ success: false, error: 'This site has its own subtitle reader' });
+          return;
+        }
+
+        await injectVideoReader(request.tabId);
+        const response = await chrome.tabs.sendMessage(request.tabId, { action: 'showSubtitleFilePicker' });
+        sendResponse(response || { success: false, error: 'No video found on this page' });
+      } catch (error) {
+        // No frame with a video answered
+        console.error('Error showing subtitle file picker:', error);
+        sendResponse({ success: false, error: 'No video found on this page' });
+      }
+    })();
+    return true;
+  },
+
   toggleHighlight: async (request, sender, sendResponse) => {
     try {
       const data = await chrome.storage.local.get('settings');
@@ -888,9 +1928,24 @@ const MESSAGE_HANDLERS = {
   },
 
   getModelFields: (request, sender, sendResponse) => {
-    ankiConnectInvoke('modelFieldNames', { modelName: request.modelName })
-      .then(fields => sendResponse({ success: true, fields: fields }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+    (async () => {
+      try {
+        const fields = await ankiConnectInvoke('modelFieldNames', { modelName: request.modelName });
+
+        // Cloze note types need the target word marked up as {{c1::...}}
+        let isCloze = false;
+        try {
+          const templates = await ankiConnectInvoke('modelTemplates', { modelName: request.modelName });
+          isCloze = Object.values(templates).some(template => template.Front.includes('{{cloze:'));
+        } catch (error) {
+          // Templates aren't available offline; treat as a regular note type
+        }
+
+        sendResponse({ success: true, fields: fields, isCloze: isCloze });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
     return true;
   },
 
@@ -899,11 +1954,12 @@ const MESSAGE_HANDLERS = {
       deckName: request.deckName,
       modelName: request.modelName,
       fields: request.fields,
-      tags: request.tags || []
+      tags: request.tags || [],
+      options: request.options || {}
     };
 
     ankiConnectInvoke('addNote', { note: note })
-      .then(noteId => sendResponse({ success: true, noteId: noteId }))
+      .then(noteId => sendResponse({ success: true, noteId: noteId, queued: noteId < 0 }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   },
@@ -918,6 +1974,144 @@ const MESSAGE_HANDLERS = {
     return true;
   },
 
+  captureVisibleTab: (request, sender, sendResponse) => {
+    chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'jpeg', quality: 90 })
+      .then(dataUrl => sendResponse({ success: true, dataUrl: dataUrl }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  },
+
+  findDuplicateNotes: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        const data = await chrome.storage.local.get('settings');
+        const note = { deckName: request.deckName, modelName: request.modelName, fields: request.fields };
+
+        // AnkiConnect's own check (same first field in the same note type); not available offline
+        let canAdd = true;
+        try {
+          [canAdd] = await ankiConnectInvoke('canAddNotes', { notes: [note] });
+        } catch (error) {
+          console.warn('Could not check for duplicate first field:', error.message);
+        }
+
+        // noteId → {matchedBy: 'sentence'|'word', word}
+        const matches = {};
+
+        const sentence = (request.sentence || '').replace(/<[^>]*>/g, ' ').trim();
+        if (sentence) {
+          const noteIds = await ankiConnectInvoke('findNotes', { query: `"${escapeAnkiSearchText(sentence)}"` });
+          noteIds.forEach(noteId => {
+            matches[noteId] = { matchedBy: 'sentence' };
+          });
+        }
+
+        // Notes for the sentence's unknown words in any vocabulary field
+        const fields = [...new Set(getSourceRules(data.settings).map(rule => rule.field))];
+        for (const word of (request.words || []).slice(0, MAX_DUPLICATE_CHECK_WORDS)) {
+          const query = fields.map(field => `"${field}:${escapeAnkiSearchText(word)}"`).join(' OR ');
+          const noteIds = await ankiConnectInvoke('findNotes', { query: query });
+          noteIds.forEach(noteId => {
+            if (!matches[noteId]) matches[noteId] = { matchedBy: 'word', word: word };
+          });
+        }
+
+        const noteIds = Object.keys(matches).map(Number).slice(0, MAX_DUPLICATE_NOTES);
+        const notesInfo = noteIds.length > 0 ? await ankiConnectInvoke('notesInfo', { notes: noteIds }) : [];
+        const cardIds = notesInfo.flatMap(info => info.cards || []);
+        const cardsInfo = cardIds.length > 0 ? await ankiConnectInvoke('cardsInfo', { cards: cardIds }) : [];
+
+        const duplicates = notesInfo.map(info => {
+          const cards = cardsInfo.filter(card => card.note === info.noteId);
+          const firstField = Object.values(info.fields).sort((a, b) => a.order - b.order)[0];
+          return {
+            noteId: info.noteId,
+            modelName: info.modelName,
+            deckName: cards.length > 0 ? cards[0].deckName : '',
+            interval: cards.reduce((max, card) => Math.max(max, card.interval || 0), 0),
+            isNew: cards.every(card => card.type === 0),
+            preview: firstField ? firstField.value.replace(/<[^>]*>/g, ' ').trim() : '',
+            ...matches[info.noteId]
+          };
+        });
+
+        sendResponse({ success: true, canAdd: canAdd, duplicates: duplicates });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
+  openNoteInAnki: (request, sender, sendResponse) => {
+    ankiConnectInvoke('guiBrowse', { query: `nid:${request.noteId}` })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  },
+
+  appendNoteContext: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        const [info] = await ankiConnectInvoke('notesInfo', { notes: [request.noteId] });
+        if (!info || !info.fields) {
+          throw new Error('Note not found');
+        }
+
+        // Prefer a context/sentence field, otherwise the last field
+        const fieldNames = Object.keys(info.fields).sort((a, b) => info.fields[a].order - info.fields[b].order);
+        const fieldName = fieldNames.find(name => CONTEXT_FIELD_REGEX.test(name)) || fieldNames[fieldNames.length - 1];
+        const currentValue = info.fields[fieldName].value;
+
+        if (currentValue.includes(request.text)) {
+          sendResponse({ success: true, fieldName: fieldName, skipped: true });
+          return;
+        }
+
+        await ankiConnectInvoke('updateNoteFields', {
+          note: {
+            id: request.noteId,
+            fields: { [fieldName]: currentValue ? `${currentValue}<br>${request.text}` : request.text }
+          }
+        });
+        sendResponse({ success: true, fieldName: fieldName });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
+  getMinedCards: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        const noteIds = await ankiConnectInvoke('findNotes', { query: `"tag:source::*"` });
+
+        // Note IDs are creation timestamps, so the highest are the most recent
+        const recentIds = noteIds.sort((a, b) => b - a).slice(0, MAX_MINED_CARDS);
+        const notesInfo = recentIds.length > 0 ? await ankiConnectInvoke('notesInfo', { notes: recentIds }) : [];
+
+        const cards = notesInfo.map(info => {
+          const fieldNames = Object.keys(info.fields).sort((a, b) => info.fields[a].order - info.fields[b].order);
+          const sourceField = fieldNames.find(name => SOURCE_FIELD_REGEX.test(name));
+          return {
+            noteId: info.noteId,
+            modelName: info.modelName,
+            preview: fieldNames.length > 0 ? info.fields[fieldNames[0]].value.replace(/<[^>]*>/g, ' ').trim() : '',
+            source: sourceField ? info.fields[sourceField].value : '',
+            sourceTags: (info.tags || []).filter(tag => tag.toLowerCase().startsWith('source::'))
+          };
+        });
+
+        sendResponse({ success: true, cards: cards, total: noteIds.length });
+      } catch (error) {
+        console.error('Error loading mined cards:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
   refreshWords: (request, sender, sendResponse) => {
     fetchHebrewWords()
       .then(() => sendResponse({ success: true }))
@@ -925,6 +2119,100 @@ const MESSAGE_HANDLERS = {
     return true;
   },
 
+  previewQuery: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        // Count cards/notes that the given (unsaved) settings would read words from
+        const settings = request.settings || {};
+        const scopeQuery = buildScopeQuery(settings);
+        const cardIds = new Set();
+        const noteIds = new Set();
+
+        const queries = getSourceRules(settings).map(rule => buildRuleQuery(rule, scopeQuery));
+        queries.push(buildRuleQuery({ deck: 'Already Known', field: settings.fieldName || 'Hebrew' }, scopeQuery));
+        for (const query of queries) {
+          (await ankiConnectInvoke('findCards', { query: query })).forEach(id => cardIds.add(id));
+          (await ankiConnectInvoke('findNotes', { query: query })).forEach(id => noteIds.add(id));
+        }
+
+        sendResponse({ success: true, cardCount: cardIds.size, noteCount: noteIds.size });
+      } catch (error) {
+        // unchecked: Anki isn't running, so the query couldn't be validated (the offline
+        // collection's search supports only part of Anki's syntax)
+        sendResponse({ success: false, error: error.message, unchecked: !(await checkAnkiConnect()) });
+      }
+    })();
+    return true;
+  },
+
+  getPendingActions: (request, sender, sendResponse) => {
+    chrome.storage.local.get('pendingAnkiActions')
+      .then(({ pendingAnkiActions = [] }) => sendResponse({
+        success: true,
+        // Leave out recorded audio, only its size is shown
+        actions: pendingAnkiActions.map(item => item.action === 'storeMediaFile'
+          ? { ...item, params: { filename: item.params.filename, size: Math.round(item.params.data.length * 3 / 4) } }
+          : item)
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  },
+
+  updatePendingAction: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        // Only a queued note's deck, fields, and tags can be edited; the error is cleared for the next retry
+        const { pendingAnkiActions: queue = [] } = await chrome.storage.local.get('pendingAnkiActions');
+        const item = queue.find(next => next.id === request.id);
+        if (!item || item.action !== 'addNote') {
+          throw new Error('Queued note not found (it may have been sent already)');
+        }
+
+        const note = { ...item.params.note, ...request.note };
+        await updateQueuedAction(request.id, { params: { ...item.params, note }, error: null });
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
+  discardPendingAction: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        const { pendingAnkiActions: queue = [] } = await chrome.storage.local.get('pendingAnkiActions');
+        const ids = request.ids || [request.id];
+        await chrome.storage.local.set({
+          pendingAnkiActions: queue.filter(item => !ids.includes(item.id))
+        });
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
+  retryPendingActions: (request, sender, sendResponse) => {
+    (async () => {
+      try {
+        try {
+          await ankiConnectRequest('version');
+        } catch (error) {
+          throw new Error('Cannot connect to AnkiConnect. Make sure Anki is running.');
+        }
+
+        const sent = await flushPendingAnkiActions({ includeFailed: true });
+        const { pendingAnkiActions: remaining = [] } = await chrome.storage.local.get('pendingAnkiActions');
+        sendResponse({ success: true, sent: sent, remaining: remaining.length });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  },
+
   addToAlreadyKnown: (request, sender, sendResponse) => {
     (async () => {
       try {
@@ -934,9 +2222,15 @@ const MESSAGE_HANDLERS = {
         const escapedWord = word.replace(/"/g, '\\"');
 
         // Check if word already exists in Already Known deck specifically
-        const existingInAlreadyKnown = await ankiConnectInvoke('findNotes', {
-          query: `"deck:Already Known" "Hebrew:${escapedWord}"`
-        });
+        let existingInAlreadyKnown = [];
+        try {
+          existingInAlreadyKnown = await ankiConnectInvoke('findNotes', {
+            query: `"deck:Already Known" "Hebrew:${escapedWord}"`
+          });
+        } catch (error) {
+          // Anki is closed (and no offline collection): queue the mark anyway
+          if (!(error instanceof TypeError)) throw error;
+        }
 
         if (existingInAlreadyKnown && existingInAlreadyKnown.length > 0) {
           // Word already in Already Known deck, skip
@@ -959,6 +2253,14 @@ const MESSAGE_HANDLERS = {
 
         const noteId = await ankiConnectInvoke('addNote', { note: note });
 
+        // Queued while Anki is offline: suspend once it has been added
+        if (noteId < 0) {
+          await updateQueuedAction(noteId, { suspend: true });
+          await markQueuedWordsKnown();
+          sendResponse({ success: true, noteId: noteId, queued: true });
+          return;
+        }
+
         // Get the card IDs for this note
         const cardIds = await ankiConnectInvoke('findCards', {
           query: `nid:${noteId}`
@@ -991,6 +2293,7 @@ const MESSAGE_HANDLERS = {
 
     let added = 0;
     let skipped = 0;
+    let queued = 0;
     const errors = [];
 
     // Process words sequentially to avoid overwhelming Anki
@@ -1009,7 +2312,11 @@ const MESSAGE_HANDLERS = {
           // Try to add the note
           const noteId = await ankiConnectInvoke('addNote', { note: note });
 
-          if (noteId) {
+          if (noteId < 0) {
+            // Anki is offline: sent (and suspended) when it is running again
+            await updateQueuedAction(noteId, { suspend: true });
+            queued++;
+          } else if (noteId) {
             // Get and suspend the card
             const cardIds = await ankiConnectInvoke('findCards', {
               query: `nid:${noteId}`
@@ -1031,10 +2338,15 @@ const MESSAGE_HANDLERS = {
         }
       }
 
+      if (queued > 0) {
+        await markQueuedWordsKnown();
+      }
+
       sendResponse({
         success: true,
         added: added,
         skipped: skipped,
+        queued: queued,
         errorCount: errors.length,
         errors: errors.length > 0 ? errors : []
       });
@@ -1101,42 +2413,17 @@ const MESSAGE_HANDLERS = {
         // Get ALL words that exist in Anki (including new/unstudied cards)
         // This prevents offering words that were already added to Anki but not studied yet
         const settings = data.settings || {};
-        const fieldName = settings.fieldName || 'Hebrew';
-        const deckFilter = settings.deckFilter || '';
 
         let allAnkiWords = new Set();
         try {
-          // Build query for all cards with Hebrew field
-          let query = `${fieldName}:*`;
-          if (deckFilter) {
-            query = `deck:"${deckFilter}" ${query}`;
-          }
-
-          const cardIds = await ankiConnectInvoke('findCards', { query: query });
-
-          if (cardIds && cardIds.length > 0) {
-            const cardsInfo = await ankiConnectInvoke('cardsInfo', { cards: cardIds });
-            const noteIds = [...new Set(cardsInfo.map(card => card.note))];
-            const notesInfo = await ankiConnectInvoke('notesInfo', { notes: noteIds });
-
-            const hebrewRegex = /[\u0590-\u05FF]+(?:[״"׳\u201C\u201D\u2018\u2019][\u0590-\u05FF]+)*/g;
-
-            notesInfo.forEach(note => {
-              const hebrewField = note.fields[fieldName];
-              if (hebrewField && hebrewField.value) {
-                let text = hebrewField.value.replace(/<[^>]*>/g, ' ');
-                text = text.replace(/\[[^\]]*\]/g, ' ');
-
-                const matches = text.match(hebrewRegex);
-                if (matches) {
-                  matches.forEach(word => {
-                    const normalizedWord = word.replace(/[\u0591-\u05C7]/g, '');
-                    if (normalizedWord.length > 0) {
-                      allAnkiWords.add(normalizedWord);
-                    }
-                  });
-                }
-              }
+          // Collect words from every card matched by the vocabulary source rules
+          const scopeQuery = buildScopeQuery(settings);
+          for (const rule of getSourceRules(settings)) {
+            const cardIds = await ankiConnectInvoke('findCards', { query: buildRuleQuery(rule, scopeQuery) });
+            const { notes } = await fetchCardData(cardIds || [], rule.field);
+
+            Object.values(notes).forEach(words => {
+              words.forEach(word => allAnkiWords.add(word));
             });
           }
         } catch (error) {
@@ -1348,6 +2635,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return false; // No handler found
 });
 
+// Start the generic video reader on sites it is enabled for
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !tab.url || !(await isVideoReaderSite(tab.url))) {
+    return;
+  }
+
+  injectVideoReader(tabId)
+    .then(() => chrome.tabs.sendMessage(tabId, { action: 'startVideoReader' }))
+    .catch(error => {
+      console.error('Error starting video reader:', error);
+    });
+});
+
 // Auto-fetch words on startup if cache is old (older than 1 hour)
 chrome.runtime.onStartup.addListener(async () => {
   const data = await chrome.storage.local.get(['lastUpdated']);
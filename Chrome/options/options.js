@@ -6,13 +6,31 @@ const maxWordsI1Input = document.getElementById('max-words-i1');
 const defaultDeckSelect = document.getElementById('default-deck');
 const defaultNoteTypeSelect = document.getElementById('default-note-type');
 const audioFieldNameInput = document.getElementById('audio-field-name');
+const imageFieldNameInput = document.getElementById('image-field-name');
+const audioLeadInInput = document.getElementById('audio-lead-in');
+const audioLeadOutInput = document.getElementById('audio-lead-out');
+const audioFormatSelect = document.getElementById('audio-format');
+const audioTrimSilenceCheckbox = document.getElementById('audio-trim-silence');
+const audioNormalizeCheckbox = document.getElementById('audio-normalize');
 const sentenceColorInput = document.getElementById('sentence-color');
 const sentenceColorText = document.getElementById('sentence-color-text');
 const sentenceHighlightEnabled = document.getElementById('sentence-highlight-enabled');
 const stripNikudEnabled = document.getElementById('strip-nikud-enabled');
+const mergeSubtitleLines = document.getElementById('merge-subtitle-lines');
+const secondarySubtitleLanguageSelect = document.getElementById('secondary-subtitle-language');
+const studyPauseModeSelect = document.getElementById('study-pause-mode');
+const conjugationsKnownEnabled = document.getElementById('conjugations-known-enabled');
+const strengthGradientEnabled = document.getElementById('strength-gradient-enabled');
 const fieldNameInput = document.getElementById('field-name');
 const deckFilterInput = document.getElementById('deck-filter');
 const matureThresholdInput = document.getElementById('mature-threshold');
+const advancedQueryEnabled = document.getElementById('advanced-query-enabled');
+const advancedQueryInput = document.getElementById('advanced-query');
+const advancedQueryPreview = document.getElementById('advanced-query-preview');
+const sourceRulesList = document.getElementById('source-rules-list');
+const addSourceRuleBtn = document.getElementById('add-source-rule-btn');
+const shortcutList = document.getElementById('shortcut-list');
+const resetShortcutsBtn = document.getElementById('reset-shortcuts-btn');
 const ankiStatus = document.getElementById('anki-status');
 const matureCount = document.getElementById('mature-count');
 const learningCount = document.getElementById('learning-count');
@@ -21,8 +39,19 @@ const lastUpdated = document.getElementById('last-updated');
 const testConnectionBtn = document.getElementById('test-connection-btn');
 const setupAnkiBtn = document.getElementById('setup-anki-btn');
 const refreshWordsBtn = document.getElementById('refresh-words-btn');
+const fullResyncBtn = document.getElementById('full-resync-btn');
 const clearCacheBtn = document.getElementById('clear-cache-btn');
 const clearDictionaryBtn = document.getElementById('clear-dictionary-btn');
+const offlineCollectionStatus = document.getElementById('offline-collection-status');
+const outboxCount = document.getElementById('outbox-count');
+const outboxList = document.getElementById('outbox-list');
+const retryOutboxBtn = document.getElementById('retry-outbox-btn');
+const discardOutboxBtn = document.getElementById('discard-outbox-btn');
+const minedCardsList = document.getElementById('mined-cards-list');
+const refreshMinedCardsBtn = document.getElementById('refresh-mined-cards-btn');
+const importCollectionBtn = document.getElementById('import-collection-btn');
+const importCollectionFile = document.getElementById('import-collection-file');
+const removeCollectionBtn = document.getElementById('remove-collection-btn');
 const exportDefinitionsBtn = document.getElementById('export-definitions-btn');
 const importDefinitionsBtn = document.getElementById('import-definitions-btn');
 const importDefinitionsFile = document.getElementById('import-definitions-file');
@@ -48,6 +77,8 @@ const wordListContainer = document.getElementById('word-list-container');
 let allMatureWords = [];
 let allLearningWords = [];
 let currentFilter = 'all';
+let shortcutBindings = window.getShortcutBindings();
+let recordingShortcut = null;  // {action, button} while waiting for a key
 
 // Format timestamp
 function formatTimestamp(timestamp) {
@@ -188,6 +219,206 @@ async function loadDefaultsDropdowns(settings) {
   }
 }
 
+// Add a vocabulary source rule row
+function addSourceRuleRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'source-rule';
+
+  const fields = [
+    ['noteType', 'Note type (any)', rule.noteType || ''],
+    ['field', 'Field (e.g. Word)', rule.field || ''],
+    ['deck', 'Deck (any)', rule.deck || '']
+  ];
+  fields.forEach(([name, placeholder, value]) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.rule = name;
+    input.placeholder = placeholder;
+    input.value = value;
+    row.appendChild(input);
+  });
+
+  const weightInput = document.createElement('input');
+  weightInput.type = 'number';
+  weightInput.dataset.rule = 'weight';
+  weightInput.min = '0.1';
+  weightInput.max = '10';
+  weightInput.step = '0.1';
+  weightInput.title = 'Weight';
+  weightInput.value = rule.weight || 1;
+  row.appendChild(weightInput);
+
+  const matureOnlyLabel = document.createElement('label');
+  const matureOnlyInput = document.createElement('input');
+  matureOnlyInput.type = 'checkbox';
+  matureOnlyInput.dataset.rule = 'matureOnly';
+  matureOnlyInput.checked = rule.matureOnly || false;
+  matureOnlyLabel.appendChild(matureOnlyInput);
+  matureOnlyLabel.appendChild(document.createTextNode('Mature only'));
+  row.appendChild(matureOnlyLabel);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-rule-btn';
+  removeBtn.title = 'Remove source';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => row.remove());
+  row.appendChild(removeBtn);
+
+  sourceRulesList.appendChild(row);
+}
+
+// Read vocabulary source rules from the form
+function getSourceRulesFromForm() {
+  return Array.from(sourceRulesList.querySelectorAll('.source-rule')).map(row => ({
+    noteType: row.querySelector('[data-rule="noteType"]').value.trim(),
+    field: row.querySelector('[data-rule="field"]').value.trim(),
+    deck: row.querySelector('[data-rule="deck"]').value.trim(),
+    weight: parseFloat(row.querySelector('[data-rule="weight"]').value) || 1,
+    matureOnly: row.querySelector('[data-rule="matureOnly"]').checked
+  }));
+}
+
+// Show one row per shortcut action with its current key
+function displayShortcuts() {
+  shortcutList.textContent = '';
+  recordingShortcut = null;
+
+  Object.entries(window.SHORTCUT_ACTIONS).forEach(([action, { label, defaultKey }]) => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = label;
+    row.appendChild(labelSpan);
+
+    const keyBtn = document.createElement('button');
+    keyBtn.className = 'shortcut-key-btn';
+    keyBtn.textContent = shortcutBindings[action] || 'None';
+    keyBtn.addEventListener('click', () => {
+      if (recordingShortcut) {
+        recordingShortcut.button.classList.remove('recording');
+        recordingShortcut.button.textContent = shortcutBindings[recordingShortcut.action] || 'None';
+      }
+      recordingShortcut = { action: action, button: keyBtn };
+      keyBtn.classList.add('recording');
+      keyBtn.textContent = 'Press a key...';
+    });
+    row.appendChild(keyBtn);
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'shortcut-reset-btn';
+    resetBtn.title = `Reset to ${defaultKey}`;
+    resetBtn.textContent = '↺';
+    resetBtn.addEventListener('click', () => setShortcut(action, defaultKey));
+    row.appendChild(resetBtn);
+
+    shortcutList.appendChild(row);
+  });
+}
+
+// Bind a key to an action, taking it away from any action that had it
+function setShortcut(action, key) {
+  if (key) {
+    const previousAction = window.findShortcutAction(key, shortcutBindings);
+    if (previousAction && previousAction !== action) {
+      shortcutBindings[previousAction] = '';
+      showStatus(`${key} was moved from "${window.SHORTCUT_ACTIONS[previousAction].label}"`);
+    }
+  }
+  shortcutBindings[action] = key;
+  displayShortcuts();
+}
+
+// Capture the key for the shortcut being recorded
+function handleShortcutKeydown(e) {
+  if (!recordingShortcut) return;
+
+  const key = window.getShortcutKey(e);
+  if (!key) return;  // Wait for the key that goes with the modifier
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  if (key === 'Escape') {
+    displayShortcuts();
+  } else if (key === 'Backspace' || key === 'Delete') {
+    setShortcut(recordingShortcut.action, '');
+  } else {
+    setShortcut(recordingShortcut.action, key);
+  }
+}
+
+// Get the bindings that differ from the defaults (what gets saved)
+function getCustomShortcutBindings() {
+  const custom = {};
+  Object.entries(window.SHORTCUT_ACTIONS).forEach(([action, { defaultKey }]) => {
+    if (shortcutBindings[action] !== defaultKey) {
+      custom[action] = shortcutBindings[action];
+    }
+  });
+  return custom;
+}
+
+let queryPreviewTimeout = null;
+
+// Show or hide the advanced query input (it replaces the deck filter)
+function updateAdvancedQueryVisibility() {
+  const enabled = advancedQueryEnabled.checked;
+  advancedQueryInput.style.display = enabled ? 'block' : 'none';
+  advancedQueryPreview.style.display = enabled ? 'block' : 'none';
+  deckFilterInput.disabled = enabled;
+  if (enabled) {
+    previewAdvancedQuery();
+  }
+}
+
+// Count matching cards/notes for the current (unsaved) query settings
+// Returns false only if Anki rejects the query (true when it couldn't be checked)
+async function previewAdvancedQuery() {
+  const query = advancedQueryInput.value.trim();
+  if (!query) {
+    advancedQueryPreview.textContent = 'Enter an Anki search query';
+    advancedQueryPreview.style.color = '#aaa';
+    return false;
+  }
+
+  advancedQueryPreview.textContent = 'Checking query...';
+  advancedQueryPreview.style.color = '#aaa';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'previewQuery',
+      settings: {
+        fieldName: fieldNameInput.value.trim() || 'Hebrew',
+        advancedQueryEnabled: true,
+        advancedQuery: query,
+        sourceRules: getSourceRulesFromForm()
+      }
+    });
+
+    // Ignore stale responses if the query changed while we were waiting
+    if (advancedQueryInput.value.trim() !== query) return response.success || response.unchecked === true;
+
+    if (response.success) {
+      advancedQueryPreview.textContent = `✓ Matches ${response.cardCount.toLocaleString()} cards in ${response.noteCount.toLocaleString()} notes`;
+      advancedQueryPreview.style.color = response.cardCount > 0 ? '#28a745' : '#ff8c00';
+      return true;
+    } else if (response.unchecked) {
+      advancedQueryPreview.textContent = 'Anki is not running, so the query could not be checked';
+      advancedQueryPreview.style.color = '#ff8c00';
+      return true;
+    } else {
+      advancedQueryPreview.textContent = '✗ ' + response.error;
+      advancedQueryPreview.style.color = '#dc3545';
+      return false;
+    }
+  } catch (error) {
+    advancedQueryPreview.textContent = 'Could not check the query: ' + error.message;
+    advancedQueryPreview.style.color = '#ff8c00';
+    return true;
+  }
+}
+
 // Load settings
 async function loadSettings() {
   try {
@@ -201,13 +432,34 @@ async function loadSettings() {
       sentenceColorText.value = settings.sentenceColor || '#add8e6';
       sentenceHighlightEnabled.checked = settings.sentenceHighlightEnabled !== false;
       stripNikudEnabled.checked = settings.stripNikudEnabled || false;
+      mergeSubtitleLines.checked = settings.mergeSubtitleLines || false;
+      secondarySubtitleLanguageSelect.value = settings.secondarySubtitleLanguage || '';
+      studyPauseModeSelect.value = settings.studyPauseMode || 'off';
+      conjugationsKnownEnabled.checked = settings.conjugationsCountAsKnown || false;
+      strengthGradientEnabled.checked = settings.strengthGradientEnabled || false;
       autoExportEnabled.checked = settings.autoExportEnabled || false;
       autoExportFilename.value = settings.autoExportFilename || 'selfstudyhebrew-custom-definitions.json';
       audioFieldNameInput.value = settings.audioFieldName || 'Audio';
+      imageFieldNameInput.value = settings.imageFieldName ?? 'Image';
+      audioLeadInInput.value = settings.audioLeadInMs ?? 250;
+      audioLeadOutInput.value = settings.audioLeadOutMs ?? 250;
+      audioFormatSelect.value = settings.audioFormat || 'ogg';
+      audioTrimSilenceCheckbox.checked = settings.audioTrimSilence ?? true;
+      audioNormalizeCheckbox.checked = settings.audioNormalize ?? true;
       fieldNameInput.value = settings.fieldName;
       deckFilterInput.value = settings.deckFilter || '';
       matureThresholdInput.value = settings.matureThreshold || 21;
+
+      sourceRulesList.textContent = '';
+      (settings.sourceRules || []).forEach(rule => addSourceRuleRow(rule));
+
+      advancedQueryEnabled.checked = settings.advancedQueryEnabled || false;
+      advancedQueryInput.value = settings.advancedQuery || '';
+      updateAdvancedQueryVisibility();
+
+      shortcutBindings = window.getShortcutBindings(settings.shortcutBindings);
     }
+    displayShortcuts();
 
     // Load decks and note types for defaults
     await loadDefaultsDropdowns(settings);
@@ -227,6 +479,9 @@ async function loadSettings() {
 
     // Check connection
     await checkConnection();
+    await displayOfflineCollection();
+    await displayOutbox();
+    await displayMinedCards();
 
   } catch (error) {
     console.error('Error loading settings:', error);
@@ -246,6 +501,10 @@ async function checkConnection() {
       ankiStatus.textContent = 'Connected';
       ankiStatus.className = 'status-badge connected';
       return true;
+    } else if (response.offline) {
+      ankiStatus.textContent = 'Offline (imported collection)';
+      ankiStatus.className = 'status-badge offline';
+      return false;
     } else {
       ankiStatus.textContent = 'Disconnected';
       ankiStatus.className = 'status-badge disconnected';
@@ -295,6 +554,29 @@ async function saveSettings() {
       return;
     }
 
+    // Validate vocabulary sources
+    const sourceRules = getSourceRulesFromForm();
+    if (sourceRules.some(rule => !rule.field)) {
+      showStatus('Each vocabulary source needs a field name', true);
+      return;
+    }
+    if (sourceRules.some(rule => rule.weight <= 0)) {
+      showStatus('Vocabulary source weights must be greater than 0', true);
+      return;
+    }
+
+    // Validate advanced query against Anki
+    if (advancedQueryEnabled.checked) {
+      if (!advancedQueryInput.value.trim()) {
+        showStatus('Advanced query cannot be empty', true);
+        return;
+      }
+      if (!await previewAdvancedQuery()) {
+        showStatus('Advanced query is invalid (see error above)', true);
+        return;
+      }
+    }
+
     // Get current settings
     const currentResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
     const settings = currentResponse.settings;
@@ -303,20 +585,37 @@ async function saveSettings() {
     const oldFieldName = settings.fieldName;
     const oldDeckFilter = settings.deckFilter;
     const oldThreshold = settings.matureThreshold;
+    const oldSourceRules = JSON.stringify(settings.sourceRules || []);
+    const oldAdvancedQuery = settings.advancedQueryEnabled ? settings.advancedQuery : '';
 
     settings.claudeApiKey = claudeApiKeyInput.value.trim();
     settings.maxWordsForI1 = parseInt(maxWordsI1Input.value) || 3000;
     settings.defaultDeck = defaultDeckSelect.value;
     settings.defaultNoteType = defaultNoteTypeSelect.value;
     settings.audioFieldName = audioFieldNameInput.value.trim() || 'Audio';
+    settings.imageFieldName = imageFieldNameInput.value.trim();
+    settings.audioLeadInMs = Math.max(0, parseInt(audioLeadInInput.value) || 0);
+    settings.audioLeadOutMs = Math.max(0, parseInt(audioLeadOutInput.value) || 0);
+    settings.audioFormat = audioFormatSelect.value;
+    settings.audioTrimSilence = audioTrimSilenceCheckbox.checked;
+    settings.audioNormalize = audioNormalizeCheckbox.checked;
     settings.sentenceColor = sentenceColor;
     settings.sentenceHighlightEnabled = sentenceHighlightEnabled.checked;
     settings.stripNikudEnabled = stripNikudEnabled.checked;
+    settings.mergeSubtitleLines = mergeSubtitleLines.checked;
+    settings.secondarySubtitleLanguage = secondarySubtitleLanguageSelect.value;
+    settings.studyPauseMode = studyPauseModeSelect.value;
+    settings.shortcutBindings = getCustomShortcutBindings();
+    settings.conjugationsCountAsKnown = conjugationsKnownEnabled.checked;
+    settings.strengthGradientEnabled = strengthGradientEnabled.checked;
     settings.autoExportEnabled = autoExportEnabled.checked;
     settings.autoExportFilename = autoExportFilename.value.trim() || 'selfstudyhebrew-custom-definitions.json';
     settings.fieldName = fieldName;
     settings.deckFilter = deckFilterInput.value.trim();
     settings.matureThreshold = parseInt(matureThresholdInput.value) || 21;
+    settings.sourceRules = sourceRules;
+    settings.advancedQueryEnabled = advancedQueryEnabled.checked;
+    settings.advancedQuery = advancedQueryInput.value.trim();
 
     // Save
     const response = await chrome.runtime.sendMessage({
@@ -330,9 +629,11 @@ async function saveSettings() {
       // If field name, deck filter, or threshold changed, suggest refreshing
       if (oldFieldName !== settings.fieldName ||
           oldDeckFilter !== settings.deckFilter ||
-          oldThreshold !== settings.matureThreshold) {
+          oldThreshold !== settings.matureThreshold ||
+          oldSourceRules !== JSON.stringify(settings.sourceRules) ||
+          oldAdvancedQuery !== (settings.advancedQueryEnabled ? settings.advancedQuery : '')) {
         setTimeout(() => {
-          if (confirm('Field name, deck filter, or maturity threshold changed. Would you like to refresh the word list now?')) {
+          if (confirm('Field name, deck filter, query, vocabulary sources, or maturity threshold changed. Would you like to refresh the word list now?')) {
             refreshWords();
           }
         }, 500);
@@ -350,13 +651,15 @@ async function saveSettings() {
   }
 }
 
-// Refresh words from Anki
-async function refreshWords() {
+// Refresh words from Anki (incremental unless fullSync is set)
+async function refreshWords(fullSync = false) {
+  const button = fullSync ? fullResyncBtn : refreshWordsBtn;
   refreshWordsBtn.disabled = true;
-  refreshWordsBtn.innerHTML = '<span class="spinner"></span> Refreshing...';
+  fullResyncBtn.disabled = true;
+  button.innerHTML = '<span class="spinner"></span> Refreshing...';
 
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'fetchWords' });
+    const response = await chrome.runtime.sendMessage({ action: 'fetchWords', fullSync: fullSync });
 
     if (response.success) {
       allMatureWords = response.matureWords || [];
@@ -378,8 +681,334 @@ async function refreshWords() {
     showStatus('Error refreshing words: ' + error.message, true);
   } finally {
     refreshWordsBtn.disabled = false;
+    fullResyncBtn.disabled = false;
     refreshWordsBtn.textContent = 'Refresh Word List from Anki';
+    fullResyncBtn.textContent = 'Full Resync from Anki';
+  }
+}
+
+// Show which collection (if any) offline mode answers from
+async function displayOfflineCollection() {
+  const { offlineCollection } = await chrome.storage.local.get('offlineCollection');
+
+  if (offlineCollection) {
+    const noteCount = Object.keys(offlineCollection.notes).length;
+    offlineCollectionStatus.textContent = `${offlineCollection.fileName} (${noteCount.toLocaleString()} notes, imported ${formatTimestamp(offlineCollection.importedAt)})`;
+    removeCollectionBtn.disabled = false;
+  } else {
+    offlineCollectionStatus.textContent = 'None';
+    removeCollectionBtn.disabled = true;
+  }
+}
+
+// Import an exported Anki collection for offline mode
+async function importOfflineCollection(file) {
+  importCollectionBtn.disabled = true;
+  importCollectionBtn.innerHTML = '<span class="spinner"></span> Importing...';
+
+  try {
+    const collection = await window.readAnkiCollection(file);
+    await chrome.storage.local.set({ offlineCollection: collection });
+    await displayOfflineCollection();
+
+    const cardCount = Object.keys(collection.cards).length;
+    showStatus(`Imported ${cardCount.toLocaleString()} cards from ${file.name}`);
+
+    // Load words from the collection right away if Anki isn't running
+    if (!await checkConnection()) {
+      await refreshWords(true);
+    }
+  } catch (error) {
+    console.error('Error importing Anki collection:', error);
+    showStatus('Error importing collection: ' + error.message, true);
+  } finally {
+    importCollectionBtn.disabled = false;
+    importCollectionBtn.textContent = 'Import Anki Collection';
+  }
+}
+
+// Remove the imported collection (disables offline mode)
+async function removeOfflineCollection() {
+  if (!confirm('Remove the imported Anki collection? Highlighting will only use cached words while Anki is offline.')) {
+    return;
   }
+
+  await chrome.storage.local.remove('offlineCollection');
+  await displayOfflineCollection();
+  await checkConnection();
+  showStatus('Imported collection removed');
+}
+
+// Describe a queued Anki action for the outbox list
+function getOutboxItemTitle(item) {
+  if (item.action === 'storeMediaFile') {
+    return `Audio: ${item.params.filename} (${Math.round(item.params.size / 1024)} KB)`;
+  }
+
+  const note = item.params.note;
+  if (note.deckName === 'Already Known') {
+    return `Already Known: ${note.fields.Hebrew}`;
+  }
+
+  // First non-empty field, without HTML
+  const preview = Object.values(note.fields)
+    .map(value => value.replace(/<[^>]*>/g, ' ').trim())
+    .find(value => value.length > 0) || '(empty)';
+  return `Card: ${preview.length > 60 ? preview.substring(0, 60) + '…' : preview}`;
+}
+
+// Show an inline editor for a queued note's deck, fields, and tags
+function showOutboxItemEditor(row, item) {
+  if (row.querySelector('.outbox-item-editor')) return;
+
+  const note = item.params.note;
+  const editor = document.createElement('div');
+  editor.className = 'outbox-item-editor';
+
+  const deckInput = document.createElement('input');
+  deckInput.type = 'text';
+  deckInput.value = note.deckName;
+  deckInput.title = 'Deck';
+  editor.appendChild(deckInput);
+
+  const fieldInputs = {};
+  Object.entries(note.fields).forEach(([name, value]) => {
+    const label = document.createElement('label');
+    label.textContent = name;
+    const textarea = document.createElement('textarea');
+    textarea.rows = 2;
+    textarea.value = value;
+    fieldInputs[name] = textarea;
+    editor.appendChild(label);
+    editor.appendChild(textarea);
+  });
+
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.value = (note.tags || []).join(' ');
+  tagsInput.placeholder = 'Tags (space-separated)';
+  editor.appendChild(tagsInput);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'actions';
+  const saveEditBtn = document.createElement('button');
+  saveEditBtn.className = 'btn btn-primary btn-small';
+  saveEditBtn.textContent = 'Save';
+  const cancelEditBtn = document.createElement('button');
+  cancelEditBtn.className = 'btn btn-secondary btn-small';
+  cancelEditBtn.textContent = 'Cancel';
+  buttons.appendChild(saveEditBtn);
+  buttons.appendChild(cancelEditBtn);
+  editor.appendChild(buttons);
+
+  cancelEditBtn.addEventListener('click', () => editor.remove());
+  saveEditBtn.addEventListener('click', async () => {
+    const fields = {};
+    Object.entries(fieldInputs).forEach(([name, textarea]) => {
+      fields[name] = textarea.value;
+    });
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'updatePendingAction',
+      id: item.id,
+      note: {
+        deckName: deckInput.value.trim() || note.deckName,
+        fields: fields,
+        tags: tagsInput.value.split(/\s+/).filter(tag => tag.length > 0)
+      }
+    });
+
+    if (response.success) {
+      showStatus('Queued note updated');
+    } else {
+      showStatus('Error updating queued note: ' + response.error, true);
+    }
+    await displayOutbox();
+  });
+
+  row.appendChild(editor);
+}
+
+// Show actions waiting to be sent to Anki
+async function displayOutbox() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPendingActions' });
+    const actions = response.success ? response.actions : [];
+
+    outboxCount.textContent = actions.length;
+    retryOutboxBtn.disabled = actions.length === 0;
+    discardOutboxBtn.disabled = actions.length === 0;
+    outboxList.textContent = '';
+
+    if (actions.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'description';
+      empty.textContent = 'Nothing waiting to be sent.';
+      outboxList.appendChild(empty);
+      return;
+    }
+
+    actions.forEach(item => {
+      const row = document.createElement('div');
+      row.className = item.error ? 'outbox-item failed' : 'outbox-item';
+
+      const header = document.createElement('div');
+      header.className = 'outbox-item-header';
+
+      const title = document.createElement('span');
+      title.className = 'outbox-item-title';
+      title.textContent = getOutboxItemTitle(item);
+      header.appendChild(title);
+
+      if (item.action === 'addNote') {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => showOutboxItemEditor(row, item));
+        header.appendChild(editBtn);
+      }
+
+      const discardBtn = document.createElement('button');
+      discardBtn.className = 'btn btn-danger btn-small';
+      discardBtn.textContent = 'Discard';
+      discardBtn.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ action: 'discardPendingAction', id: item.id });
+        await displayOutbox();
+      });
+      header.appendChild(discardBtn);
+      row.appendChild(header);
+
+      const meta = document.createElement('div');
+      meta.className = 'outbox-item-meta';
+      meta.textContent = item.action === 'addNote'
+        ? `${item.params.note.deckName} · ${item.params.note.modelName} · queued ${formatTimestamp(item.queuedAt)}`
+        : `Queued ${formatTimestamp(item.queuedAt)}`;
+      row.appendChild(meta);
+
+      if (item.error) {
+        const error = document.createElement('div');
+        error.className = 'outbox-item-error';
+        error.textContent = 'Rejected by Anki: ' + item.error;
+        row.appendChild(error);
+      }
+
+      outboxList.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading Anki outbox:', error);
+  }
+}
+
+// List recently mined cards with links back to their source
+async function displayMinedCards() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getMinedCards' });
+    minedCardsList.textContent = '';
+
+    if (!response.success || response.cards.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'description';
+      empty.textContent = response.success
+        ? 'No cards with source information yet. Create a card from a web page or subtitle with Shift+Click.'
+        : 'Could not load cards: ' + response.error;
+      minedCardsList.appendChild(empty);
+      return;
+    }
+
+    response.cards.forEach(card => {
+      const row = document.createElement('div');
+      row.className = 'mined-card';
+
+      const header = document.createElement('div');
+      header.className = 'mined-card-header';
+
+      const sentence = document.createElement('span');
+      sentence.className = 'mined-card-sentence';
+      sentence.textContent = card.preview;
+      header.appendChild(sentence);
+
+      const openBtn = document.createElement('button');
+      openBtn.className = 'btn btn-secondary btn-small';
+      openBtn.textContent = 'Open in Anki';
+      openBtn.addEventListener('click', async () => {
+        const openResponse = await chrome.runtime.sendMessage({ action: 'openNoteInAnki', noteId: card.noteId });
+        if (!openResponse.success) {
+          showStatus('Could not open note: ' + openResponse.error, true);
+        }
+      });
+      header.appendChild(openBtn);
+      row.appendChild(header);
+
+      // Link to the source field's URL; fall back to the source tags for note types without one
+      const source = document.createElement('div');
+      source.className = 'mined-card-source';
+      const parsed = window.parseSourceField(card.source);
+      if (parsed && parsed.url) {
+        const link = document.createElement('a');
+        link.href = parsed.url;
+        link.target = '_blank';
+        link.textContent = parsed.label;
+        source.appendChild(link);
+      } else {
+        source.textContent = parsed ? parsed.label : card.sourceTags.map(tag => tag.slice(window.SOURCE_TAG_PREFIX.length)).join(', ');
+      }
+      row.appendChild(source);
+
+      minedCardsList.appendChild(row);
+    });
+
+    if (response.total > response.cards.length) {
+      const more = document.createElement('p');
+      more.className = 'description';
+      more.textContent = `Showing the ${response.cards.length} most recent of ${response.total} cards. Search "tag:source::*" in the Anki browser to see them all.`;
+      minedCardsList.appendChild(more);
+    }
+  } catch (error) {
+    console.error('Error loading mined cards:', error);
+  }
+}
+
+// Send everything in the outbox, including items Anki rejected before
+async function retryOutbox() {
+  retryOutboxBtn.disabled = true;
+  retryOutboxBtn.innerHTML = '<span class="spinner"></span> Sending...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'retryPendingActions' });
+
+    if (response.success) {
+      if (response.remaining > 0) {
+        showStatus(`Sent ${response.sent} item(s) to Anki, ${response.remaining} could not be sent`, true);
+      } else {
+        showStatus(`Sent ${response.sent} item(s) to Anki`);
+      }
+    } else {
+      showStatus(response.error, true);
+    }
+  } catch (error) {
+    console.error('Error sending outbox:', error);
+    showStatus('Error sending outbox: ' + error.message, true);
+  } finally {
+    retryOutboxBtn.textContent = 'Send to Anki Now';
+    await displayOutbox();
+  }
+}
+
+// Discard everything in the outbox
+async function discardOutbox() {
+  const response = await chrome.runtime.sendMessage({ action: 'getPendingActions' });
+  if (!response.success || response.actions.length === 0) return;
+
+  if (!confirm(`Discard ${response.actions.length} item(s) waiting for Anki? This cannot be undone.`)) {
+    return;
+  }
+
+  await chrome.runtime.sendMessage({
+    action: 'discardPendingAction',
+    ids: response.actions.map(item => item.id)
+  });
+  await displayOutbox();
+  showStatus('Outbox cleared');
 }
 
 // Clear cached words
@@ -395,6 +1024,9 @@ async function clearCache() {
       matureWords: [],
       learningWords: [],
       hebrewWords: [],
+      conjugationWords: {},
+      wordRecords: {},
+      syncCache: null,
       lastUpdated: null
     });
 
@@ -654,7 +1286,7 @@ async function bulkImportFromText() {
     bulkImportTextBtn.textContent = 'Add Words from Text Box';
 
     if (response && response.success) {
-      statusMessage.textContent = `Successfully added ${response.added} word(s) to Already Known deck. ${response.skipped} skipped (already exist), ${response.errorCount} errors.`;
+      statusMessage.textContent = `Successfully added ${response.added} word(s) to Already Known deck. ${response.skipped} skipped (already exist), ${response.errorCount} errors.${response.queued ? ` ${response.queued} queued until Anki is running.` : ''}`;
       statusMessage.className = 'status-message success';
 
       // Clear the textarea after successful import
@@ -732,7 +1364,7 @@ async function bulkImportWords(file) {
     });
 
     if (response.success) {
-      showStatus(`Successfully added ${response.added} word(s) to Already Known deck. ${response.skipped} skipped (already exist), ${response.errorCount} errors.`);
+      showStatus(`Successfully added ${response.added} word(s) to Already Known deck. ${response.skipped} skipped (already exist), ${response.errorCount} errors.${response.queued ? ` ${response.queued} queued until Anki is running.` : ''}`);
     } else {
       showStatus(`Error: ${response.error}`, true);
     }
@@ -778,8 +1410,44 @@ async function setupAnki() {
 // Event listeners
 setupAnkiBtn.addEventListener('click', setupAnki);
 testConnectionBtn.addEventListener('click', testConnection);
-refreshWordsBtn.addEventListener('click', refreshWords);
+refreshWordsBtn.addEventListener('click', () => refreshWords(false));
+fullResyncBtn.addEventListener('click', () => refreshWords(true));
+addSourceRuleBtn.addEventListener('click', () => addSourceRuleRow());
+resetShortcutsBtn.addEventListener('click', () => {
+  shortcutBindings = window.getShortcutBindings();
+  displayShortcuts();
+});
+document.addEventListener('keydown', handleShortcutKeydown, true);
+advancedQueryEnabled.addEventListener('change', updateAdvancedQueryVisibility);
+advancedQueryInput.addEventListener('input', () => {
+  // Debounce live preview while typing
+  clearTimeout(queryPreviewTimeout);
+  queryPreviewTimeout = setTimeout(previewAdvancedQuery, 500);
+});
 clearCacheBtn.addEventListener('click', clearCache);
+importCollectionBtn.addEventListener('click', () => {
+  importCollectionFile.click();
+});
+importCollectionFile.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) {
+    importOfflineCollection(file);
+    // Reset file input so same file can be imported again
+    e.target.value = '';
+  }
+});
+removeCollectionBtn.addEventListener('click', removeOfflineCollection);
+retryOutboxBtn.addEventListener('click', retryOutbox);
+discardOutboxBtn.addEventListener('click', discardOutbox);
+refreshMinedCardsBtn.addEventListener('click', displayMinedCards);
+
+// Keep the outbox list current while items are queued or sent in the background
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Don't re-render over an open editor
+  if (areaName === 'local' && changes.pendingAnkiActions && !outboxList.querySelector('.outbox-item-editor')) {
+    displayOutbox();
+  }
+});
 clearDictionaryBtn.addEventListener('click', clearDictionary);
 exportDefinitionsBtn.addEventListener('click', exportCustomDefinitions);
 exportWordsBtn.addEventListener('click', exportKnownWords);
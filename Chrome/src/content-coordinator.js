@@ -11,6 +11,7 @@ let learningColor = '#ffa500';  // Orange for learning words
 let sentenceColor = '#add8e6';  // Light blue for i+1 sentences
 let highlightEnabled = true;
 let sentenceHighlightEnabled = true;
+let strengthGradientEnabled = false; // Shade known words by card interval
 let isHighlighted = false;
 let isSentenceHighlighted = false;
 let frequencyData = null; // Hebrew word frequency data
@@ -45,38 +46,14 @@ function getUnderlineColor(type) {
  * @returns {string} 'mature', 'learning', 'potentially-known', or 'unknown'
  */
 function getWordType(normalizedWord) {
-  // Check direct match first
-  if (matureWords.includes(normalizedWord)) return 'mature';
-  if (learningWords.includes(normalizedWord)) return 'learning';
-
-  // Check with vav stripped (ו = "and")
-  if (normalizedWord.startsWith('ו') && normalizedWord.length > 1) {
-    const withoutVav = normalizedWord.substring(1);
-    if (matureWords.includes(withoutVav)) return 'mature';
-    if (learningWords.includes(withoutVav)) return 'learning';
-  }
-
-  // Check for other common prefixes: ל (to/for), ב (in/with), ש (that/which)
-  // If removing these reveals a known word, mark as "potentially-known"
-  const prefixes = ['ל', 'ב', 'ש'];
-  for (const prefix of prefixes) {
-    if (normalizedWord.startsWith(prefix) && normalizedWord.length > 1) {
-      const withoutPrefix = normalizedWord.substring(1);
-
-      if (matureWords.includes(withoutPrefix) || learningWords.includes(withoutPrefix)) {
-        return 'potentially-known';
-      }
-    }
-  }
-
-  return 'unknown';
+  return window.analyzeHebrewWord(normalizedWord, matureWords, learningWords).type;
 }
 
 async function initialize() {
   try {
-    const wordsData = await chrome.runtime.sendMessage({ action: 'getWords' });
-    matureWords = wordsData.matureWords || [];
-    learningWords = wordsData.learningWords || [];
+    const vocabulary = await window.loadVocabularyStore();
+    matureWords = vocabulary.matureWords;
+    learningWords = vocabulary.learningWords;
 
     const settingsData = await chrome.runtime.sendMessage({ action: 'getSettings' });
     if (settingsData.settings) {
@@ -85,6 +62,7 @@ async function initialize() {
       sentenceColor = settingsData.settings.sentenceColor || '#add8e6';
       highlightEnabled = settingsData.settings.highlightEnabled;
       sentenceHighlightEnabled = settingsData.settings.sentenceHighlightEnabled !== false;
+      strengthGradientEnabled = settingsData.settings.strengthGradientEnabled === true;
     }
 
     window.initializeCardCreator(() => ({ matureWords, learningWords }));
@@ -93,7 +71,7 @@ async function initialize() {
     // Word highlighting must happen FIRST, then sentence highlighting
     // This is because sentence highlighting needs to count which words are unknown
     if (highlightEnabled && (matureWords.length > 0 || learningWords.length > 0)) {
-      const stats = window.highlightWords(matureWords, learningWords);
+      const stats = window.highlightWords(matureWords, learningWords, { strengthGradient: strengthGradientEnabled });
       pageStats = { ...pageStats, ...stats };
       isHighlighted = true;
     }
@@ -135,7 +113,7 @@ async function refreshWords() {
       }
 
       if (highlightEnabled && (matureWords.length > 0 || learningWords.length > 0)) {
-        const stats = window.highlightWords(matureWords, learningWords);
+        const stats = window.highlightWords(matureWords, learningWords, { strengthGradient: strengthGradientEnabled });
         pageStats = { ...pageStats, ...stats };
         isHighlighted = true;
       }
@@ -168,7 +146,7 @@ function toggleHighlight() {
     pageStats = { ...pageStats, ...resetStats };
     isHighlighted = false;
   } else if (highlightEnabled) {
-    const stats = highlightWords(matureWords, learningWords);
+    const stats = window.highlightWords(matureWords, learningWords, { strengthGradient: strengthGradientEnabled });
     pageStats = { ...pageStats, ...stats };
     isHighlighted = true;
   }
@@ -188,6 +166,10 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
       needsReload = true;
     }
 
+    if (changes.conjugationWords) {
+      needsReload = true;
+    }
+
     if (changes.settings) {
       const newSettings = changes.settings.newValue;
       if (newSettings) {
@@ -198,8 +180,14 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
         const wasSentenceEnabled = sentenceHighlightEnabled;
         highlightEnabled = newSettings.highlightEnabled;
         sentenceHighlightEnabled = newSettings.sentenceHighlightEnabled !== false;
+        const wasStrengthGradientEnabled = strengthGradientEnabled;
+        strengthGradientEnabled = newSettings.strengthGradientEnabled === true;
 
-        if (wasEnabled !== highlightEnabled || wasSentenceEnabled !== sentenceHighlightEnabled) {
+        const oldSettings = changes.settings.oldValue || {};
+        const conjugationSettingChanged = oldSettings.conjugationsCountAsKnown !== newSettings.conjugationsCountAsKnown;
+
+        if (wasEnabled !== highlightEnabled || wasSentenceEnabled !== sentenceHighlightEnabled || conjugationSettingChanged ||
+            wasStrengthGradientEnabled !== strengthGradientEnabled) {
           needsReload = true;
         }
       }
@@ -218,7 +206,7 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 
       // Word highlighting must happen FIRST, then sentence highlighting
       if (highlightEnabled) {
-        const stats = window.highlightWords(matureWords, learningWords);
+        const stats = window.highlightWords(matureWords, learningWords, { strengthGradient: strengthGradientEnabled });
         pageStats = { ...pageStats, ...stats };
         isHighlighted = true;
       }
@@ -259,7 +247,7 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
 
     // Word highlighting must happen FIRST, then sentence highlighting
     if (highlightEnabled) {
-      const stats = window.highlightWords(matureWords, learningWords);
+      const stats = window.highlightWords(matureWords, learningWords, { strengthGradient: strengthGradientEnabled });
       pageStats = { ...pageStats, ...stats };
       isHighlighted = true;
     }
@@ -324,10 +312,12 @@ const observer = new MutationObserver((mutations) => {
       target.id === window.DOM_IDS.YOUTUBE_OVERLAY ||
       target.id === window.DOM_IDS.NETFLIX_OVERLAY ||
       target.id === window.DOM_IDS.STREAMISRAEL_OVERLAY ||
+      target.id === window.DOM_IDS.VIDEO_OVERLAY ||
       (target.closest && (
         target.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}`) ||
         target.closest(`#${window.DOM_IDS.NETFLIX_OVERLAY}`) ||
-        target.closest(`#${window.DOM_IDS.STREAMISRAEL_OVERLAY}`)
+        target.closest(`#${window.DOM_IDS.STREAMISRAEL_OVERLAY}`) ||
+        target.closest(`#${window.DOM_IDS.VIDEO_OVERLAY}`)
       ))
     )) {
       continue; // Skip this mutation
@@ -340,10 +330,12 @@ const observer = new MutationObserver((mutations) => {
           if (node.id === window.DOM_IDS.YOUTUBE_OVERLAY ||
               node.id === window.DOM_IDS.NETFLIX_OVERLAY ||
               node.id === window.DOM_IDS.STREAMISRAEL_OVERLAY ||
+              node.id === window.DOM_IDS.VIDEO_OVERLAY ||
               (node.closest && (
                 node.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}`) ||
                 node.closest(`#${window.DOM_IDS.NETFLIX_OVERLAY}`) ||
-                node.closest(`#${window.DOM_IDS.STREAMISRAEL_OVERLAY}`)
+                node.closest(`#${window.DOM_IDS.STREAMISRAEL_OVERLAY}`) ||
+                node.closest(`#${window.DOM_IDS.VIDEO_OVERLAY}`)
               ))) {
             continue; // Skip this node
           }
@@ -384,7 +376,7 @@ const observer = new MutationObserver((mutations) => {
         const resetStats = window.removeHighlights();
         pageStats = { ...pageStats, ...resetStats };
       }
-      const stats = window.highlightWords(matureWords, learningWords);
+      const stats = window.highlightWords(matureWords, learningWords, { strengthGradient: strengthGradientEnabled });
       pageStats = { ...pageStats, ...stats };
       isHighlighted = true;
 
@@ -430,6 +422,7 @@ function handleSubtitleUpdate(subtitleElement, platform) {
 
     matches.push({
       word: word,
+      normalized: normalized,
       type: wordType,
       index: match.index,
       length: word.length
@@ -466,15 +459,22 @@ function handleSubtitleUpdate(subtitleElement, platform) {
         const titles = {
           'mature': 'Mature card',
           'learning': 'Learning card',
-          'potentially-known': 'Potentially known (prefix detected)',
+          'potentially-known': 'Potentially known (affix detected)',
           'unknown': 'Unknown word'
         };
         span.title = titles[m.type] || 'Unknown word';
       } else {
-        // YouTube and Netflix use getUnderlineColor()
+        // YouTube, Netflix, and other video sites use getUnderlineColor()
         span.style.textDecorationColor = getUnderlineColor(m.type);
       }
 
+      // Strength gradient: shade known words by their longest card interval
+      const vocabulary = strengthGradientEnabled ? window.getVocabularyStore() : null;
+      const interval = vocabulary ? vocabulary.interval(m.normalized) : null;
+      if (interval !== null && (m.type === 'mature' || m.type === 'learning')) {
+        span.style.textDecorationColor = window.getStrengthColor(interval);
+      }
+
       fragment.appendChild(span);
       lastIndex = m.index + m.length;
     });
@@ -559,6 +559,10 @@ document.addEventListener('ankiStreamIsraelSubtitleUpdated', (event) => {
   handleSubtitleUpdate(event.detail.element, 'streamisrael');
 });
 
+document.addEventListener('ankiVideoSubtitleUpdated', (event) => {
+  handleSubtitleUpdate(event.detail.element, 'video');
+});
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
     observer.observe(document.body, {
@@ -740,10 +744,7 @@ if (document.readyState === 'loading') {
         });
       }
     } else if (data.type === 'ankiUpdateSubtitleHighlight') {
-      const browserId = data.platform === 'YouTube' ? window.DOM_IDS.YOUTUBE_BROWSER :
-                       data.platform === 'Netflix' ? window.DOM_IDS.NETFLIX_BROWSER :
-                       window.DOM_IDS.STREAMISRAEL_BROWSER;
-      const container = document.getElementById(`${browserId}-list`);
+      const container = document.getElementById(`${window.SUBTITLE_BROWSER_IDS[data.platform]}-list`);
       if (container) {
         const items = container.querySelectorAll('[data-index]');
         items.forEach((item) => {
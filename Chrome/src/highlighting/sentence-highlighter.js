@@ -4,8 +4,8 @@
   'use strict';
 
   const SPECIAL_CONTAINER_IDS = [
-    'YOUTUBE_OVERLAY', 'NETFLIX_OVERLAY', 'STREAMISRAEL_OVERLAY',
-    'YOUTUBE_BROWSER', 'NETFLIX_BROWSER', 'STREAMISRAEL_BROWSER'
+    'YOUTUBE_OVERLAY', 'NETFLIX_OVERLAY', 'STREAMISRAEL_OVERLAY', 'VIDEO_OVERLAY',
+    'YOUTUBE_BROWSER', 'NETFLIX_BROWSER', 'STREAMISRAEL_BROWSER', 'VIDEO_BROWSER'
   ];
 
   /**
@@ -49,8 +49,8 @@
     element.style.backgroundColor = color;
 
     // Check if we're in a subtitle overlay or browser and set appropriate text color
-    const isInSubtitleOverlay = element.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}, #${window.DOM_IDS.NETFLIX_OVERLAY}`);
-    const isInSubtitleBrowser = element.closest(`#${window.DOM_IDS.YOUTUBE_BROWSER}, #${window.DOM_IDS.NETFLIX_BROWSER}`);
+    const isInSubtitleOverlay = element.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}, #${window.DOM_IDS.NETFLIX_OVERLAY}, #${window.DOM_IDS.VIDEO_OVERLAY}`);
+    const isInSubtitleBrowser = element.closest(`#${window.DOM_IDS.YOUTUBE_BROWSER}, #${window.DOM_IDS.NETFLIX_BROWSER}, #${window.DOM_IDS.VIDEO_BROWSER}`);
 
     if (isInSubtitleOverlay) {
       element.style.color = 'white'; // White text for video overlay
@@ -72,8 +72,8 @@
    * Highlight sentences with exactly 1 unknown Hebrew word (i+1 sentences)
    * or exactly 1 potentially-known word (potentially-i+1 sentences)
    * This runs AFTER word highlighting, working with already-highlighted spans
-   * @param {Array} matureWords - Array of mature/known words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature/known words
+   * @param {Array|Set} learningWords - Array of learning words
    * @param {string} sentenceColor - Color for i+1 sentence highlights
    * @param {string} potentiallyI1Color - Color for potentially-i+1 sentence highlights
    * @returns {Object} {i1Count, potentiallyI1Count}
@@ -287,9 +287,9 @@
       // Apply sentence highlighting to these word spans
       // Check if we're in a subtitle overlay or browser and set appropriate text color
       const isInSubtitleOverlay = sentenceSpans.length > 0 &&
-                                   sentenceSpans[0].span.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}, #${window.DOM_IDS.NETFLIX_OVERLAY}`);
+                                   sentenceSpans[0].span.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}, #${window.DOM_IDS.NETFLIX_OVERLAY}, #${window.DOM_IDS.VIDEO_OVERLAY}`);
       const isInSubtitleBrowser = sentenceSpans.length > 0 &&
-                                   sentenceSpans[0].span.closest(`#${window.DOM_IDS.YOUTUBE_BROWSER}, #${window.DOM_IDS.NETFLIX_BROWSER}`);
+                                   sentenceSpans[0].span.closest(`#${window.DOM_IDS.YOUTUBE_BROWSER}, #${window.DOM_IDS.NETFLIX_BROWSER}, #${window.DOM_IDS.VIDEO_BROWSER}`);
 
       sentenceSpans.forEach(sm => {
         sm.span.style.backgroundColor = sentenceColor;
@@ -0,0 +1,432 @@
+// Book file parsers (EPUB, plain text, HTML) for the book reader page
+// Books become chapters of plain text blocks; markup, images, and scripts are dropped
+
+(function() {
+  'use strict';
+
+  // ZIP record signatures
+  const ZIP_END_OF_DIRECTORY = 0x06054b50;
+  const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+  // The end-of-directory record is followed by a comment of up to this many bytes
+  const ZIP_MAX_COMMENT_LENGTH = 0xffff;
+
+  // Elements read as one block of text
+  const LEAF_BLOCK_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'pre', 'dt', 'dd', 'figcaption', 'caption'];
+  // Elements that start a new block (a container holding one is read child by child)
+  const BLOCK_TAGS = LEAF_BLOCK_TAGS.concat([
+    'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote', 'body',
+    'ul', 'ol', 'dl', 'table', 'thead', 'tbody', 'tr', 'td', 'th', 'figure', 'hr'
+  ]);
+  // Elements whose text is never part of the book
+  const SKIPPED_TAGS = ['head', 'script', 'style', 'noscript', 'svg', 'math', 'rt', 'rp'];
+
+  // A plain text line that opens a chapter ("פרק א", "Chapter 3")
+  const TXT_CHAPTER_HEADING_REGEX = /^(?:פרק|chapter)(?:\s.{0,60})?$/i;
+
+  /**
+   * Decode text that is UTF-8, or Windows-1255 (common for older Hebrew files)
+   * @param {ArrayBuffer|Uint8Array} bytes - File content
+   * @returns {string} Decoded text
+   */
+  function decodeText(bytes) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return new TextDecoder('windows-1255').decode(bytes);
+    }
+  }
+
+  /**
+   * Read the central directory of a ZIP archive
+   * @param {ArrayBuffer} buffer - Archive content
+   * @returns {Map<string, Object>} Path → {method, compressedSize, localOffset}
+   */
+  function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+
+    let end = -1;
+    const lowest = Math.max(0, buffer.byteLength - 22 - ZIP_MAX_COMMENT_LENGTH);
+    for (let i = buffer.byteLength - 22; i >= lowest; i--) {
+      if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a valid EPUB (ZIP) file');
+    }
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY) {
+        throw new Error('Corrupt EPUB (ZIP) directory');
+      }
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+      entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Extract one file from a ZIP archive (stored or deflated)
+   * @param {ArrayBuffer} buffer - Archive content
+   * @param {Object} entry - Directory entry from readZipDirectory()
+   * @returns {Promise<Uint8Array>} File content
+   */
+  async function readZipEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const nameLength = view.getUint16(entry.localOffset + 26, true);
+    const extraLength = view.getUint16(entry.localOffset + 28, true);
+    const data = new Uint8Array(buffer, entry.localOffset + 30 + nameLength + extraLength, entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method !== 8) {
+      throw new Error(`Unsupported EPUB compression method ${entry.method}`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Resolve a link relative to the folder of the file it appears in
+   * @param {string} baseDir - Folder of the linking file ('' or ending with '/')
+   * @param {string} href - Relative link (a #fragment is dropped)
+   * @returns {string} Archive path
+   */
+  function resolvePath(baseDir, href) {
+    const parts = [];
+    decodeURIComponent(`${baseDir}${href.split('#')[0]}`).split('/').forEach(part => {
+      if (part === '..') {
+        parts.pop();
+      } else if (part && part !== '.') {
+        parts.push(part);
+      }
+    });
+    return parts.join('/');
+  }
+
+  /**
+   * Get the folder part of an archive path
+   * @param {string} path - Archive path
+   * @returns {string} Folder ending with '/', or '' at the root
+   */
+  function getDirectory(path) {
+    return path.slice(0, path.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * Find elements by local name, whatever their namespace (dc:title, opf:item...)
+   * @param {Document|Element} root - Where to search
+   * @param {string} localName - Element name without prefix
+   * @returns {Array<Element>} Matching elements
+   */
+  function findElements(root, localName) {
+    return Array.from(root.getElementsByTagNameNS('*', localName));
+  }
+
+  /**
+   * Parse an XHTML document, falling back to the HTML parser for files that aren't well-formed
+   * @param {string} text - Document source
+   * @returns {Document} Parsed document
+   */
+  function parseXHTML(text) {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(text, 'application/xhtml+xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      return parser.parseFromString(text, 'text/html');
+    }
+    return doc;
+  }
+
+  /**
+   * Get the visible text of an element, with line breaks read as spaces
+   * @param {Element} element - Element to read
+   * @returns {string} Text with whitespace collapsed
+   */
+  function getBlockText(element) {
+    let text = '';
+    const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.nodeType === Node.ELEMENT_NODE && SKIPPED_TAGS.includes(node.localName.toLowerCase())
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    let node = walker.nextNode();
+    while (node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent;
+      } else if (node.localName.toLowerCase() === 'br') {
+        text += ' ';
+      }
+      node = walker.nextNode();
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Split a document body into text blocks (paragraphs and headings)
+   * @param {Element} root - Element to read (usually the body)
+   * @returns {Array} Blocks [{type: 'heading'|'paragraph', level, text}]
+   */
+  function extractBlocks(root) {
+    const blocks = [];
+    const addBlock = (tag, text) => {
+      const clean = text.replace(/\s+/g, ' ').trim();
+      if (!clean) return;
+      const heading = /^h([1-6])$/.exec(tag);
+      blocks.push(heading
+        ? { type: 'heading', level: Number(heading[1]), text: clean }
+        : { type: 'paragraph', level: 0, text: clean });
+    };
+    const hasBlockChildren = element => Array.from(element.children)
+      .some(child => BLOCK_TAGS.includes(child.localName.toLowerCase()));
+
+    const visit = (element) => {
+      const tag = element.localName.toLowerCase();
+      if (SKIPPED_TAGS.includes(tag)) return;
+
+      if (LEAF_BLOCK_TAGS.includes(tag) || !hasBlockChildren(element)) {
+        addBlock(tag, getBlockText(element));
+        return;
+      }
+
+      element.childNodes.forEach(child => {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          visit(child);
+        } else if (child.nodeType === Node.TEXT_NODE) {
+          addBlock('p', child.textContent);
+        }
+      });
+    };
+
+    if (root) visit(root);
+    return blocks;
+  }
+
+  /**
+   * Read the table of contents of an EPUB (EPUB 3 nav document or EPUB 2 NCX)
+   * @param {Function} readText - Async archive path → text
+   * @param {Map} manifest - Manifest id → {path, mediaType, properties}
+   * @param {Element} spine - The OPF spine element
+   * @returns {Promise<Map<string, string>>} Chapter file path → title
+   */
+  async function readEPUBTableOfContents(readText, manifest, spine) {
+    const titles = new Map();
+    const addTitle = (path, title) => {
+      const clean = (title || '').replace(/\s+/g, ' ').trim();
+      if (clean && !titles.has(path)) titles.set(path, clean);
+    };
+
+    try {
+      const navItem = Array.from(manifest.values()).find(item => item.properties.split(/\s+/).includes('nav'));
+      if (navItem) {
+        const doc = parseXHTML(await readText(navItem.path));
+        const navs = findElements(doc, 'nav');
+        const tocNav = navs.find(nav => /toc/.test(nav.getAttribute('epub:type') || nav.getAttributeNS('*', 'type') || '')) || navs[0];
+        findElements(tocNav || doc, 'a').forEach(link => {
+          const href = link.getAttribute('href');
+          if (href) addTitle(resolvePath(getDirectory(navItem.path), href), link.textContent);
+        });
+        return titles;
+      }
+
+      const ncxItem = manifest.get(spine.getAttribute('toc'));
+      if (ncxItem) {
+        const doc = new DOMParser().parseFromString(await readText(ncxItem.path), 'application/xml');
+        findElements(doc, 'navPoint').forEach(point => {
+          const label = findElements(point, 'text')[0];
+          const content = findElements(point, 'content')[0];
+          if (label && content && content.getAttribute('src')) {
+            addTitle(resolvePath(getDirectory(ncxItem.path), content.getAttribute('src')), label.textContent);
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('[Book Reader] Could not read the EPUB table of contents:', error);
+    }
+    return titles;
+  }
+
+  /**
+   * Parse an EPUB book
+   * @param {ArrayBuffer} buffer - File content
+   * @param {string} fileName - File name (used when the book has no title)
+   * @returns {Promise<Object>} Book {title, chapters: [{title, blocks}]}
+   */
+  async function parseEPUB(buffer, fileName) {
+    const entries = readZipDirectory(buffer);
+    const readText = async (path) => {
+      const entry = entries.get(path);
+      if (!entry) {
+        throw new Error(`EPUB is missing ${path}`);
+      }
+      return decodeText(await readZipEntry(buffer, entry));
+    };
+
+    const container = new DOMParser().parseFromString(await readText('META-INF/container.xml'), 'application/xml');
+    const rootfile = findElements(container, 'rootfile')[0];
+    if (!rootfile) {
+      throw new Error('EPUB has no package document');
+    }
+    const opfPath = rootfile.getAttribute('full-path');
+    const opf = new DOMParser().parseFromString(await readText(opfPath), 'application/xml');
+
+    const manifest = new Map();
+    findElements(opf, 'item').forEach(item => {
+      manifest.set(item.getAttribute('id'), {
+        path: resolvePath(getDirectory(opfPath), item.getAttribute('href') || ''),
+        mediaType: item.getAttribute('media-type') || '',
+        properties: item.getAttribute('properties') || ''
+      });
+    });
+
+    const spine = findElements(opf, 'spine')[0];
+    if (!spine) {
+      throw new Error('EPUB has no reading order (spine)');
+    }
+    const tocTitles = await readEPUBTableOfContents(readText, manifest, spine);
+
+    const chapters = [];
+    for (const itemref of findElements(spine, 'itemref')) {
+      const item = manifest.get(itemref.getAttribute('idref'));
+      if (!item || !/html/.test(item.mediaType)) continue;
+
+      const doc = parseXHTML(await readText(item.path));
+      const body = doc.body || findElements(doc, 'body')[0] || doc.documentElement;
+      const blocks = extractBlocks(body);
+      if (blocks.length > 0) {
+        chapters.push({ title: tocTitles.get(item.path) || '', blocks: blocks });
+      }
+    }
+
+    const titleElement = findElements(opf, 'title')[0];
+    return {
+      title: (titleElement && titleElement.textContent.trim()) || stripExtension(fileName),
+      chapters: nameChapters(chapters)
+    };
+  }
+
+  /**
+   * Parse a plain text book
+   * Paragraphs are separated by blank lines (or are single lines in files without any),
+   * and lines like "פרק ב" / "Chapter 2" start chapters.
+   * @param {string} text - File content
+   * @param {string} fileName - File name (used as the title)
+   * @returns {Object} Book {title, chapters: [{title, blocks}]}
+   */
+  function parseTXT(text, fileName) {
+    const content = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const paragraphs = /\n[ \t]*\n/.test(content) ? content.split(/\n[ \t]*\n/) : content.split('\n');
+
+    const chapters = [];
+    let current = null;
+    paragraphs.forEach(paragraph => {
+      const clean = paragraph.replace(/\s+/g, ' ').trim();
+      if (!clean) return;
+
+      if (TXT_CHAPTER_HEADING_REGEX.test(clean)) {
+        current = { title: clean, blocks: [{ type: 'heading', level: 2, text: clean }] };
+        chapters.push(current);
+        return;
+      }
+      if (!current) {
+        current = { title: '', blocks: [] };
+        chapters.push(current);
+      }
+      current.blocks.push({ type: 'paragraph', level: 0, text: clean });
+    });
+
+    return { title: stripExtension(fileName), chapters: nameChapters(chapters) };
+  }
+
+  /**
+   * Parse an HTML book (a saved page or single-file book), starting chapters at h1/h2 headings
+   * @param {string} text - File content
+   * @param {string} fileName - File name (used when the page has no title)
+   * @returns {Object} Book {title, chapters: [{title, blocks}]}
+   */
+  function parseHTMLBook(text, fileName) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+
+    const chapters = [];
+    let current = null;
+    extractBlocks(doc.body).forEach(block => {
+      if (!current || (block.type === 'heading' && block.level <= 2 && current.blocks.length > 0)) {
+        current = { title: '', blocks: [] };
+        chapters.push(current);
+      }
+      current.blocks.push(block);
+    });
+
+    return { title: doc.title.trim() || stripExtension(fileName), chapters: nameChapters(chapters) };
+  }
+
+  /**
+   * Give untitled chapters their first heading, or a number, as title
+   * @param {Array} chapters - Chapters [{title, blocks}]
+   * @returns {Array} The same chapters
+   */
+  function nameChapters(chapters) {
+    chapters.forEach((chapter, index) => {
+      if (chapter.title) return;
+      const heading = chapter.blocks.find(block => block.type === 'heading');
+      chapter.title = heading ? heading.text : `Chapter ${index + 1}`;
+    });
+    return chapters;
+  }
+
+  /**
+   * Remove the extension from a file name
+   * @param {string} fileName - File name
+   * @returns {string} Name without extension
+   */
+  function stripExtension(fileName) {
+    return fileName.replace(/\.[^.]+$/, '') || fileName;
+  }
+
+  /**
+   * Parse a book file, picking the format from its extension
+   * @param {File} file - EPUB, TXT, or HTML file
+   * @returns {Promise<Object>} Book {title, chapters: [{title, blocks: [{type, level, text}]}]}
+   */
+  async function parseBookFile(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    const buffer = await file.arrayBuffer();
+
+    let book;
+    if (extension === 'epub') {
+      book = await parseEPUB(buffer, file.name);
+    } else if (['html', 'htm', 'xhtml'].includes(extension)) {
+      book = parseHTMLBook(decodeText(buffer), file.name);
+    } else {
+      book = parseTXT(decodeText(buffer), file.name);
+    }
+
+    if (book.chapters.length === 0) {
+      throw new Error('No text found in this file');
+    }
+    return book;
+  }
+
+  // Expose to global scope
+  window.parseBookFile = parseBookFile;
+  window.parseEPUB = parseEPUB;
+  window.parseTXT = parseTXT;
+  window.parseHTMLBook = parseHTMLBook;
+})();
@@ -0,0 +1,418 @@
+// Subtitle audio extraction from downloadable media segments
+// Cuts a time range out of a DASH/HLS/Vimeo stream without playing the video
+// (HLS MPEG-TS segments are demuxed to their audio frames, which decodeAudioData can read)
+
+(function() {
+  'use strict';
+
+  // Sample rate clips are decoded to
+  const DECODE_SAMPLE_RATE = 44100;
+
+  // MPEG-TS packets, and the PMT stream types whose frames decodeAudioData reads as-is
+  // (0x0f ADTS AAC, 0x03/0x04 MPEG-1/2 audio)
+  const TS_PACKET_SIZE = 188;
+  const TS_SYNC_BYTE = 0x47;
+  const TS_AUDIO_STREAM_TYPES = new Set([0x0f, 0x03, 0x04]);
+
+  // Parsed segment indexes by source key (playlist URL or DASH URL)
+  const segmentIndexCache = new Map();
+
+  /**
+   * Find the HLS or Vimeo playlist the page's player loaded
+   * @returns {string|null} Playlist URL, or null if none was requested
+   */
+  function findStreamingPlaylistUrl() {
+    const urls = performance.getEntriesByType('resource').map(entry => entry.name);
+
+    // Prefer Vimeo's JSON playlist (separate audio streams), then an HLS master playlist
+    return urls.find(url => /\/playlist\.json(\?|$)/.test(url)) ||
+      urls.find(url => /\.m3u8(\?|$)/.test(url)) ||
+      null;
+  }
+
+  /**
+   * Fetch a URL, or a byte range of it
+   * @param {string} url - URL to fetch
+   * @param {Object|null} byteRange - {start, end} (inclusive)
+   * @param {boolean} rangeParam - Send the range as a range= URL parameter instead of a Range header
+   * @returns {Promise<ArrayBuffer>} Response body
+   */
+  async function fetchBytes(url, byteRange = null, rangeParam = false) {
+    let requestUrl = url;
+    const options = {};
+
+    if (byteRange && rangeParam) {
+      requestUrl += `${url.includes('?') ? '&' : '?'}range=${byteRange.start}-${byteRange.end}`;
+    } else if (byteRange) {
+      options.headers = { Range: `bytes=${byteRange.start}-${byteRange.end}` };
+    }
+
+    const response = await fetch(requestUrl, options);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} fetching media segment`);
+    }
+    return response.arrayBuffer();
+  }
+
+  /**
+   * Parse an MP4 sidx box into segment times and byte ranges
+   * @param {ArrayBuffer} buffer - Bytes of the sidx box
+   * @param {number} boxOffset - File offset of the box
+   * @returns {Array<Object>} Segments [{start, end, byteRange}]
+   */
+  function parseSidx(buffer, boxOffset) {
+    const view = new DataView(buffer);
+    const boxSize = view.getUint32(0);
+    const type = String.fromCharCode(view.getUint8(4), view.getUint8(5), view.getUint8(6), view.getUint8(7));
+    if (type !== 'sidx') {
+      throw new Error('Index range does not contain a sidx box');
+    }
+
+    const version = view.getUint8(8);
+    const timescale = view.getUint32(16);
+    let position = 20;
+    let time;
+    let firstOffset;
+    if (version === 0) {
+      time = view.getUint32(position);
+      firstOffset = view.getUint32(position + 4);
+      position += 8;
+    } else {
+      time = Number(view.getBigUint64(position));
+      firstOffset = Number(view.getBigUint64(position + 8));
+      position += 16;
+    }
+
+    const referenceCount = view.getUint16(position + 2);
+    position += 4;
+
+    const segments = [];
+    let offset = boxOffset + boxSize + firstOffset;
+    for (let i = 0; i < referenceCount; i++) {
+      const size = view.getUint32(position) & 0x7fffffff;
+      const duration = view.getUint32(position + 4);
+      segments.push({
+        start: time / timescale,
+        end: (time + duration) / timescale,
+        byteRange: { start: offset, end: offset + size - 1 }
+      });
+      time += duration;
+      offset += size;
+      position += 12;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Build the segment index of a single-file DASH audio stream (sidx-indexed MP4)
+   * @param {Object} source - {url, initRange, indexRange, rangeParam}
+   * @returns {Promise<Object>} Segment index {init, segments, rangeParam}
+   */
+  async function loadDashIndex(source) {
+    const indexBytes = await fetchBytes(source.url, source.indexRange, source.rangeParam);
+    return {
+      init: { url: source.url, byteRange: source.initRange },
+      segments: parseSidx(indexBytes, source.indexRange.start).map(segment => ({ ...segment, url: source.url })),
+      rangeParam: source.rangeParam
+    };
+  }
+
+  /**
+   * Read the attributes of an HLS tag (KEY=value,KEY="quoted value")
+   * @param {string} line - Tag line
+   * @returns {Object} Attributes
+   */
+  function parseHlsAttributes(line) {
+    const attributes = {};
+    const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = regex.exec(line.slice(line.indexOf(':') + 1))) !== null) {
+      attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+  }
+
+  /**
+   * Parse an HLS BYTERANGE value ("length@offset")
+   * @param {string} value - BYTERANGE value
+   * @param {number} previousEnd - Offset after the previous range (used when @offset is omitted)
+   * @returns {Object} {start, end} (inclusive)
+   */
+  function parseHlsByteRange(value, previousEnd) {
+    const [length, offset] = value.split('@').map(Number);
+    const start = offset !== undefined && !isNaN(offset) ? offset : previousEnd;
+    return { start: start, end: start + length - 1 };
+  }
+
+  /**
+   * Join byte arrays
+   * @param {Array<Uint8Array>} parts - Byte arrays
+   * @returns {Uint8Array} Concatenated bytes
+   */
+  function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+    return bytes;
+  }
+
+  /**
+   * Check whether bytes are MPEG-TS packets
+   * @param {Uint8Array} bytes - Segment bytes
+   * @returns {boolean} True for a transport stream
+   */
+  function isTransportStream(bytes) {
+    return bytes.length >= TS_PACKET_SIZE * 2 && bytes[0] === TS_SYNC_BYTE && bytes[TS_PACKET_SIZE] === TS_SYNC_BYTE;
+  }
+
+  /**
+   * Read the start and end of the PSI section in a TS packet payload (after the pointer field)
+   * @param {Uint8Array} bytes - Transport stream
+   * @param {number} payloadStart - Offset of the packet payload
+   * @returns {Object} {start, end} (end excludes the CRC)
+   */
+  function getTsSection(bytes, payloadStart) {
+    const start = payloadStart + 1 + bytes[payloadStart];
+    const sectionLength = ((bytes[start + 1] & 0x0f) << 8) | bytes[start + 2];
+    return { start: start, end: start + 3 + sectionLength - 4 };
+  }
+
+  /**
+   * Pull the audio elementary stream out of MPEG-TS segments
+   * Finds the first AAC or MP3 stream in the PMT and joins its PES payloads into raw frames
+   * @param {Uint8Array} bytes - Concatenated TS segments
+   * @returns {Uint8Array} ADTS AAC or MP3 frames
+   */
+  function demuxTransportStreamAudio(bytes) {
+    let pmtPid = null;
+    let audioPid = null;
+    let pesStarted = false;
+    const payloads = [];
+
+    let offset = 0;
+    while (offset + TS_PACKET_SIZE <= bytes.length) {
+      if (bytes[offset] !== TS_SYNC_BYTE) {
+        // Resynchronize on the next packet
+        offset = bytes.indexOf(TS_SYNC_BYTE, offset + 1);
+        if (offset === -1) break;
+        continue;
+      }
+
+      const packetEnd = offset + TS_PACKET_SIZE;
+      const payloadUnitStart = (bytes[offset + 1] & 0x40) !== 0;
+      const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+      const adaptationControl = (bytes[offset + 3] >> 4) & 0x03;
+      let payloadStart = offset + 4;
+      if (adaptationControl & 0x02) {
+        payloadStart += 1 + bytes[offset + 4];
+      }
+
+      if ((adaptationControl & 0x01) && payloadStart < packetEnd) {
+        if (pid === 0 && payloadUnitStart && pmtPid === null) {
+          // PAT: take the first program's PMT
+          const section = getTsSection(bytes, payloadStart);
+          for (let entry = section.start + 8; entry + 4 <= section.end; entry += 4) {
+            const programNumber = (bytes[entry] << 8) | bytes[entry + 1];
+            if (programNumber !== 0) {
+              pmtPid = ((bytes[entry + 2] & 0x1f) << 8) | bytes[entry + 3];
+              break;
+            }
+          }
+        } else if (pid === pmtPid && payloadUnitStart && audioPid === null) {
+          const section = getTsSection(bytes, payloadStart);
+          const programInfoLength = ((bytes[section.start + 10] & 0x0f) << 8) | bytes[section.start + 11];
+          let entry = section.start + 12 + programInfoLength;
+          while (entry + 5 <= section.end) {
+            const streamType = bytes[entry];
+            const streamPid = ((bytes[entry + 1] & 0x1f) << 8) | bytes[entry + 2];
+            if (TS_AUDIO_STREAM_TYPES.has(streamType)) {
+              audioPid = streamPid;
+              break;
+            }
+            entry += 5 + (((bytes[entry + 3] & 0x0f) << 8) | bytes[entry + 4]);
+          }
+        } else if (pid === audioPid && payloadUnitStart) {
+          // PES header: start code, stream id, length, flags, header data length
+          if (bytes[payloadStart] === 0 && bytes[payloadStart + 1] === 0 && bytes[payloadStart + 2] === 1) {
+            payloads.push(bytes.subarray(payloadStart + 9 + bytes[payloadStart + 8], packetEnd));
+            pesStarted = true;
+          }
+        } else if (pid === audioPid && pesStarted) {
+          payloads.push(bytes.subarray(payloadStart, packetEnd));
+        }
+      }
+
+      offset = packetEnd;
+    }
+
+    if (payloads.length === 0) {
+      throw new Error('Transport stream has no AAC or MP3 audio stream');
+    }
+    return concatBytes(payloads);
+  }
+
+  /**
+   * Build the segment index of an HLS stream
+   * Uses a separate audio rendition when there is one, otherwise the lowest-bandwidth variant.
+   * Works with fMP4 (EXT-X-MAP) and MPEG-TS segments; TS audio is demuxed in extractAudioClip
+   * @param {string} playlistUrl - Master or media playlist URL
+   * @returns {Promise<Object>} Segment index {init, segments}
+   */
+  async function loadHlsIndex(playlistUrl) {
+    let url = playlistUrl;
+    let text = new TextDecoder().decode(await fetchBytes(url));
+
+    if (text.includes('#EXT-X-STREAM-INF')) {
+      const lines = text.split('\n').map(line => line.trim());
+      const audioRenditions = lines
+        .filter(line => line.startsWith('#EXT-X-MEDIA:') && line.includes('TYPE=AUDIO'))
+        .map(parseHlsAttributes)
+        .filter(attributes => attributes.URI);
+      const variants = [];
+      lines.forEach((line, i) => {
+        if (line.startsWith('#EXT-X-STREAM-INF:') && lines[i + 1]) {
+          variants.push({ bandwidth: Number(parseHlsAttributes(line).BANDWIDTH) || 0, uri: lines[i + 1] });
+        }
+      });
+
+      const rendition = audioRenditions.find(attributes => attributes.DEFAULT === 'YES') || audioRenditions[0];
+      const uri = rendition ? rendition.URI : variants.sort((a, b) => a.bandwidth - b.bandwidth)[0]?.uri;
+      if (!uri) {
+        throw new Error('HLS master playlist has no playable streams');
+      }
+
+      url = new URL(uri, url).href;
+      text = new TextDecoder().decode(await fetchBytes(url));
+    }
+
+    const segments = [];
+    let init = null;
+    let time = 0;
+    let duration = null;
+    let byteRange = null;
+    let previousEnd = 0;
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (line.startsWith('#EXT-X-KEY:')) {
+        const method = parseHlsAttributes(line).METHOD;
+        if (method && method !== 'NONE') {
+          throw new Error('HLS stream is encrypted');
+        }
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        const attributes = parseHlsAttributes(line);
+        init = {
+          url: new URL(attributes.URI, url).href,
+          byteRange: attributes.BYTERANGE ? parseHlsByteRange(attributes.BYTERANGE, 0) : null
+        };
+      } else if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.slice(8));
+      } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+        byteRange = parseHlsByteRange(line.slice(17), previousEnd);
+      } else if (!line.startsWith('#') && duration !== null) {
+        segments.push({ start: time, end: time + duration, url: new URL(line, url).href, byteRange: byteRange });
+        time += duration;
+        previousEnd = byteRange ? byteRange.end + 1 : 0;
+        duration = null;
+        byteRange = null;
+      }
+    }
+
+    return { init: init, segments: segments };
+  }
+
+  /**
+   * Build the segment index of a Vimeo playlist.json (separate audio streams)
+   * @param {string} playlistUrl - playlist.json URL
+   * @returns {Promise<Object>} Segment index {init, segments}
+   */
+  async function loadVimeoIndex(playlistUrl) {
+    const playlist = JSON.parse(new TextDecoder().decode(await fetchBytes(playlistUrl)));
+    const audio = (playlist.audio || [])
+      .filter(stream => (stream.mime_type || '').includes('mp4') && stream.segments && stream.segments.length > 0)
+      .sort((a, b) => (a.bitrate || 0) - (b.bitrate || 0))[0];
+    if (!audio) {
+      throw new Error('Vimeo playlist has no MP4 audio stream');
+    }
+
+    const baseUrl = new URL(audio.base_url || '', new URL(playlist.base_url || '', playlistUrl));
+    return {
+      init: audio.init_segment ? { data: Uint8Array.from(atob(audio.init_segment), c => c.charCodeAt(0)) } : null,
+      segments: audio.segments.map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        url: new URL(segment.url, baseUrl).href,
+        byteRange: null
+      }))
+    };
+  }
+
+  /**
+   * Get (and cache) the segment index of an audio source
+   * @param {Object} source - {type: 'dash'|'hls'|'vimeo', url, ...}
+   * @returns {Promise<Object>} Segment index {init, segments, rangeParam}
+   */
+  async function getSegmentIndex(source) {
+    if (!segmentIndexCache.has(source.url)) {
+      let loader;
+      if (source.type === 'dash') {
+        loader = loadDashIndex(source);
+      } else if (source.type === 'vimeo') {
+        loader = loadVimeoIndex(source.url);
+      } else {
+        loader = loadHlsIndex(source.url);
+      }
+      segmentIndexCache.set(source.url, loader);
+      loader.catch(() => segmentIndexCache.delete(source.url));
+    }
+    return segmentIndexCache.get(source.url);
+  }
+
+  /**
+   * Extract a time range of a stream's audio by downloading only the segments that cover it
+   * @param {Object} source - Audio source from the subtitle reader:
+   *   {type: 'dash', url, initRange, indexRange, rangeParam} | {type: 'hls', url} | {type: 'vimeo', url}
+   * @param {number} startTime - Start of the clip in video seconds
+   * @param {number} endTime - End of the clip in video seconds
+   * @returns {Promise<AudioBuffer>} Decoded clip
+   */
+  async function extractAudioClip(source, startTime, endTime) {
+    const index = await getSegmentIndex(source);
+    const segments = index.segments.filter(segment => segment.end > startTime && segment.start < endTime);
+    if (segments.length === 0) {
+      throw new Error(`No media segments cover ${startTime}s-${endTime}s`);
+    }
+
+    const parts = [];
+    if (index.init && index.init.data) {
+      parts.push(index.init.data);
+    } else if (index.init) {
+      parts.push(new Uint8Array(await fetchBytes(index.init.url, index.init.byteRange, index.rangeParam)));
+    }
+    for (const segment of segments) {
+      parts.push(new Uint8Array(await fetchBytes(segment.url, segment.byteRange, index.rangeParam)));
+    }
+
+    let bytes = concatBytes(parts);
+    if (!index.init && isTransportStream(bytes)) {
+      bytes = demuxTransportStreamAudio(bytes);
+    }
+
+    const context = new OfflineAudioContext(2, 1, DECODE_SAMPLE_RATE);
+    const decoded = await context.decodeAudioData(bytes.buffer);
+
+    const segmentStart = segments[0].start;
+    return window.sliceAudioBuffer(decoded, startTime - segmentStart, endTime - segmentStart);
+  }
+
+  // Expose to global scope
+  window.findStreamingPlaylistUrl = findStreamingPlaylistUrl;
+  window.parseHlsAttributes = parseHlsAttributes;
+  window.extractAudioClip = extractAudioClip;
+})();
@@ -4,17 +4,158 @@
 (function() {
   'use strict';
 
+  // Video frame screenshots are scaled down to at most this width
+  const MAX_FRAME_WIDTH = 640;
+  const FRAME_JPEG_QUALITY = 0.85;
+
+  // A cue starting within this many seconds of the previous one can continue its sentence
+  const SENTENCE_CONTINUATION_MAX_GAP = 1.5;
+  // Longest run of cues merged into one sentence
+  const MAX_MERGED_CUES = 4;
+  // Sentence-ending punctuation (a trailing "..." means the sentence goes on)
+  const SENTENCE_END_REGEX = /(?<!\.\.)[.!?]["'\u05F3\u05F4)]*$/;
+  // The same punctuation flipped to the start of the line, as some RTL subtitle files have it
+  const FLIPPED_SENTENCE_END_REGEX = /^[.!?](?!\.)/;
+  // A dialogue dash starts a new speaker's line
+  const DIALOGUE_DASH_REGEX = /^[-\u2013\u2014]/;
+
+  // A second-language cue belongs to a line when this much of the shorter of the two overlaps
+  const SECONDARY_MIN_OVERLAP = 0.5;
+
+  // Study mode: which lines the video pauses after
+  const STUDY_PAUSE_MODES = {
+    off: 'Off',
+    all: 'Every line',
+    i1: 'i+1 lines',
+    unknown: 'Lines with unknown words'
+  };
+  // A study-mode pause only happens if playback is still this close to the line's end
+  const STUDY_PAUSE_TOLERANCE = 0.5;
+
+  // Subtitle timing: offset button step (shift-click for the fine step), and how many titles
+  // keep their saved timing
+  const TIMING_OFFSET_STEP = 0.5;
+  const TIMING_FINE_OFFSET_STEP = 0.1;
+  const MAX_SAVED_TIMINGS = 500;
+  // Speed scales for subtitles timed for another frame rate of the same video (subtitle → video)
+  const TIMING_SPEED_PRESETS = [
+    { speed: 1, label: 'Speed ×1' },
+    { speed: 25 / 23.976, label: '25 → 23.976 fps (×1.043)' },
+    { speed: 23.976 / 25, label: '23.976 → 25 fps (×0.959)' },
+    { speed: 25 / 24, label: '25 → 24 fps (×1.042)' },
+    { speed: 24 / 25, label: '24 → 25 fps (×0.960)' },
+    { speed: 24 / 23.976, label: '24 → 23.976 fps (×1.001)' },
+    { speed: 23.976 / 24, label: '23.976 → 24 fps (×0.999)' }
+  ];
+  // Align to speech: audio analyzed around the playhead, largest correction considered, vote bin
+  // width, and the share of the analyzed lines that must start at a speech onset
+  const SPEECH_ALIGN_LEAD_SECONDS = 30;
+  const SPEECH_ALIGN_WINDOW_SECONDS = 90;
+  const SPEECH_ALIGN_MAX_SHIFT = 10;
+  const SPEECH_ALIGN_BIN_SIZE = 0.05;
+  const SPEECH_ALIGN_MIN_MATCH_RATIO = 0.4;
+
+  // Playback rate of the slow replay shortcut
+  const SLOW_REPLAY_RATE = 0.75;
+  // How long shortcut feedback messages stay up
+  const TOAST_DURATION_MS = 2000;
+
+  /**
+   * Check whether a cue's text ends a sentence
+   * @param {string} text - Cue text
+   * @returns {boolean} True if the text ends with (or starts with flipped) terminal punctuation
+   */
+  function endsSentence(text) {
+    const trimmed = text.trim();
+    return SENTENCE_END_REGEX.test(trimmed) || FLIPPED_SENTENCE_END_REGEX.test(trimmed);
+  }
+
+  /**
+   * Find the shift that lines up the most start times with reference times
+   * Every pair within maxShift votes for its difference; the best bin (with its neighbours,
+   * since timings jitter) wins and is refined to the mean of its votes
+   * @param {Array<number>} times - Start times to move
+   * @param {Array<number>} referenceTimes - Times they should start at
+   * @param {number} maxShift - Largest shift considered, in seconds
+   * @param {number} binSize - Vote bin width in seconds
+   * @returns {Object|null} {shift, matches} or null if no pair is close enough
+   */
+  function findTimingShift(times, referenceTimes, maxShift, binSize) {
+    const votes = new Map();
+    times.forEach(time => {
+      referenceTimes.forEach(referenceTime => {
+        const difference = referenceTime - time;
+        if (Math.abs(difference) > maxShift) return;
+
+        const bin = Math.round(difference / binSize);
+        if (!votes.has(bin)) votes.set(bin, []);
+        votes.get(bin).push(difference);
+      });
+    });
+
+    let bestBin = null;
+    let bestCount = 0;
+    votes.forEach((differences, bin) => {
+      const count = differences.length + (votes.get(bin - 1) || []).length + (votes.get(bin + 1) || []).length;
+      if (count > bestCount) {
+        bestBin = bin;
+        bestCount = count;
+      }
+    });
+    if (bestBin === null) return null;
+
+    const differences = [bestBin - 1, bestBin, bestBin + 1].flatMap(bin => votes.get(bin) || []);
+    return {
+      shift: differences.reduce((total, difference) => total + difference, 0) / differences.length,
+      matches: bestCount
+    };
+  }
+
+  /**
+   * Merge cues that continue the previous cue's sentence into one mining unit
+   * A cue continues the sentence when the previous cue has no terminal punctuation,
+   * it starts within SENTENCE_CONTINUATION_MAX_GAP, and it doesn't open with a dialogue dash.
+   * @param {Array} subtitles - Cues [{id, text, startTime, endTime}]
+   * @returns {Array} Units [{id, text, startTime, endTime, cueIndexes}]
+   */
+  function mergeSentenceContinuations(subtitles) {
+    const units = [];
+    let current = null;
+
+    subtitles.forEach((sub, index) => {
+      const text = sub.text.replace(/\s*\n\s*/g, ' ').trim();
+      const continues = current !== null &&
+        current.cueIndexes.length < MAX_MERGED_CUES &&
+        !endsSentence(subtitles[index - 1].text) &&
+        !DIALOGUE_DASH_REGEX.test(text) &&
+        sub.startTime - current.endTime <= SENTENCE_CONTINUATION_MAX_GAP;
+
+      if (continues) {
+        current.text += ` ${text}`;
+        current.endTime = Math.max(current.endTime, sub.endTime);
+        current.cueIndexes.push(index);
+      } else {
+        current = { ...sub, text: text, cueIndexes: [index] };
+        units.push(current);
+      }
+    });
+
+    return units;
+  }
+
   /**
    * Abstract base class for subtitle readers
    * Subclasses must implement: loadSubtitles(), detectVideo()
    */
   class SubtitleReaderBase {
   /**
-   * @param {string} platformName - Platform name ('YouTube' or 'Netflix')
+   * @param {string} platformName - Platform name ('YouTube', 'Netflix', 'StreamIsrael', or 'Video')
    */
   constructor(platformName) {
     this.platformName = platformName;
     this.subtitles = [];
+    this.originalSubtitles = [];  // Cues as loaded, before the timing below is applied
+    this.subtitleTiming = { offset: 0, speed: 1 };  // Saved per title: start * speed + offset
     this.currentSubtitleIndex = -1;
     this.subtitleOverlay = null;
     this.subtitleBrowser = null;
@@ -24,6 +165,27 @@
     this.isEnabled = true;
     this.audioContext = null;
     this.audioSourceNode = null;
+    this.batchSelection = new Set();  // Mining unit indexes ticked for batch mining
+    this.mergeSentencesEnabled = false;  // Browse/mine sentences split across cues as one unit
+    this.miningUnits = null;  // Cached result of getMiningUnits()
+    this.currentUnitIndex = -1;
+    this.secondaryLanguage = '';  // Language code of the second subtitle track ('' = off)
+    this.secondarySubtitles = [];  // Cues of the second track [{text, startTime, endTime}]
+    this.secondaryOverlay = null;
+    this.studyPauseMode = 'off';  // One of STUDY_PAUSE_MODES
+    this.studyPauseTimer = null;
+    this.studyPausedUnit = null;  // Line the video is paused after, waiting for a key
+    this.studyResumedUnit = null;  // Line already paused after (don't pause again on continue)
+    this.studyPauseHint = null;
+    this.shortcutBindings = window.getShortcutBindings();  // {actionId: key}
+    this.overlayHidden = false;
+    this.secondaryRevealed = false;  // Translation shown unblurred (toggle shortcut)
+    this.slowReplay = null;  // {unit, playbackRate} while a line replays slowly
+    this.recordedAudio = null;  // Last clip from the record shortcut: {unit, filename}
+    this.showBrowserButton = null;
+    this.shortcutHelp = null;
+    this.toast = null;
+    this.toastTimeout = null;
   }
 
   /**
@@ -36,6 +198,16 @@
     throw new Error('loadSubtitles() must be implemented by subclass');
   }
 
+  /**
+   * Load a second subtitle track shown under the Hebrew one
+   * Subclasses override this for platforms that can list other languages
+   * @param {string} _languageCode - Language code (e.g., 'en')
+   * @returns {Promise<Array>} Array of subtitle objects (empty if the track isn't available)
+   */
+  async loadSecondarySubtitles(_languageCode) {
+    return [];
+  }
+
   /**
    * Abstract method - must be implemented by subclasses
    * Detect and return the video element
@@ -54,8 +226,798 @@
       return { total: 0, known: 0, potentiallyKnown: 0, percentage: 0, i1Sentences: 0, potentiallyI1Sentences: 0 };
     }
 
-    this.comprehensionStats = await window.calculateComprehensionStats(this.subtitles);
-    return this.comprehensionStats;
+    this.comprehensionStats = await window.calculateComprehensionStats(this.getMiningUnits());
+    return this.comprehensionStats;
+  }
+
+  /**
+   * Get the units the subtitle browser lists and mining works on:
+   * one per cue, or merged sentences when that view is on
+   * @returns {Array} Units [{id, text, startTime, endTime, cueIndexes}]
+   */
+  getMiningUnits() {
+    const cached = this.miningUnits;
+    if (!cached || cached.subtitles !== this.subtitles || cached.count !== this.subtitles.length ||
+        cached.merged !== this.mergeSentencesEnabled) {
+      const units = this.mergeSentencesEnabled
+        ? mergeSentenceContinuations(this.subtitles)
+        : this.subtitles.map((sub, index) => ({ ...sub, cueIndexes: [index] }));
+      this.miningUnits = { subtitles: this.subtitles, count: this.subtitles.length, merged: this.mergeSentencesEnabled, units: units };
+    }
+    return this.miningUnits.units;
+  }
+
+  /**
+   * Load the second subtitle track chosen in settings (clears it when turned off)
+   */
+  async loadSecondaryTrack() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.secondaryLanguage = result.settings?.secondarySubtitleLanguage || '';
+      this.secondarySubtitles = this.secondaryLanguage
+        ? await this.loadSecondarySubtitles(this.secondaryLanguage)
+        : [];
+      if (this.secondaryLanguage) {
+        console.log(`[${this.platformName} Subs] Loaded ${this.secondarySubtitles.length} ${this.secondaryLanguage} subtitles`);
+      }
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error loading second subtitle track:`, error);
+      this.secondarySubtitles = [];
+    }
+  }
+
+  /**
+   * Get the second track's text for a time range (a cue or merged sentence)
+   * @param {number} startTime - Start of the line in seconds
+   * @param {number} endTime - End of the line in seconds
+   * @returns {string} Text of the overlapping second-language cues ('' if none)
+   */
+  getSecondaryText(startTime, endTime) {
+    return this.secondarySubtitles
+      .filter(cue => {
+        const overlap = Math.min(endTime, cue.endTime) - Math.max(startTime, cue.startTime);
+        const shorter = Math.min(endTime - startTime, cue.endTime - cue.startTime);
+        return overlap > 0 && overlap >= shorter * SECONDARY_MIN_OVERLAP;
+      })
+      .map(cue => cue.text.replace(/\s*\n\s*/g, ' ').trim())
+      .join(' ');
+  }
+
+  /**
+   * Load the merged sentence view, study mode, and shortcut settings
+   */
+  async loadReaderSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.mergeSentencesEnabled = result.settings?.mergeSubtitleLines || false;
+      this.studyPauseMode = result.settings?.studyPauseMode || 'off';
+      this.shortcutBindings = window.getShortcutBindings(result.settings?.shortcutBindings);
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error loading reader settings:`, error);
+    }
+  }
+
+  /**
+   * Remember a setting changed from the subtitle browser
+   * @param {string} key - Settings key
+   * @param {*} value - New value
+   */
+  async saveSetting(key, value) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+      await chrome.runtime.sendMessage({
+        action: 'saveSettings',
+        settings: { ...response.settings, [key]: value }
+      });
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error saving ${key} setting:`, error);
+    }
+  }
+
+  /**
+   * Switch between the per-cue and merged sentence views
+   * @param {boolean} enabled - Whether to merge sentence continuations
+   */
+  async setMergeSentences(enabled) {
+    if (enabled === this.mergeSentencesEnabled) return;
+
+    this.mergeSentencesEnabled = enabled;
+    this.batchSelection.clear();
+    this.updateMergeToggle();
+
+    if (this.subtitles.length > 0) {
+      await this.calculateComprehensionStats();
+      await this.populateSubtitleBrowser();
+      this.updateStatsDisplay();
+
+      // Re-highlight the playing line in the new list
+      this.currentSubtitleIndex = -1;
+      this.updateCurrentSubtitle();
+    }
+  }
+
+  /**
+   * Get the key the current title's subtitle timing is saved under
+   * @returns {string} Platform and video ID (or the page path for platforms without IDs)
+   */
+  getTimingKey() {
+    return `${this.platformName}:${this.getVideoId() || window.location.hostname + window.location.pathname}`;
+  }
+
+  /**
+   * Load the offset and speed saved for the current title
+   */
+  async loadSubtitleTiming() {
+    this.subtitleTiming = { offset: 0, speed: 1 };
+    try {
+      const data = await chrome.storage.local.get('subtitleTimings');
+      const saved = (data.subtitleTimings || {})[this.getTimingKey()];
+      if (saved) {
+        this.subtitleTiming = { offset: saved.offset || 0, speed: saved.speed || 1 };
+        console.log(`[${this.platformName} Subs] Using saved timing: offset ${saved.offset}s, speed ×${saved.speed}`);
+      }
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error loading subtitle timing:`, error);
+    }
+  }
+
+  /**
+   * Save the current title's offset and speed (untouched timing is forgotten)
+   */
+  async saveSubtitleTiming() {
+    try {
+      const data = await chrome.storage.local.get('subtitleTimings');
+      const timings = data.subtitleTimings || {};
+      const key = this.getTimingKey();
+      const { offset, speed } = this.subtitleTiming;
+
+      if (offset === 0 && speed === 1) {
+        delete timings[key];
+      } else {
+        timings[key] = { offset: offset, speed: speed, updatedAt: Date.now() };
+      }
+
+      // Keep only the most recently adjusted titles
+      Object.keys(timings)
+        .sort((a, b) => timings[b].updatedAt - timings[a].updatedAt)
+        .slice(MAX_SAVED_TIMINGS)
+        .forEach(oldKey => delete timings[oldKey]);
+
+      await chrome.storage.local.set({ subtitleTimings: timings });
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error saving subtitle timing:`, error);
+    }
+  }
+
+  /**
+   * Rebuild the cues from the loaded ones with the current offset and speed
+   */
+  applySubtitleTiming() {
+    const { offset, speed } = this.subtitleTiming;
+    this.subtitles = this.originalSubtitles.map(sub => ({
+      ...sub,
+      startTime: Math.max(0, sub.startTime * speed + offset),
+      endTime: Math.max(0, sub.endTime * speed + offset)
+    }));
+    this.recordedAudio = null;
+  }
+
+  /**
+   * Change the subtitle timing, redraw, and remember it for this title
+   * @param {number} offset - Seconds added to every cue (positive shows lines later)
+   * @param {number} speed - Factor cue times are scaled by before the offset
+   */
+  async setSubtitleTiming(offset, speed = this.subtitleTiming.speed) {
+    if (this.originalSubtitles.length === 0) return;
+
+    this.subtitleTiming = { offset: Math.round(offset * 1000) / 1000, speed: speed };
+    this.applySubtitleTiming();
+    this.updateTimingControls();
+
+    // Redraw the browser's timestamps and re-highlight the playing line
+    await this.populateSubtitleBrowser();
+    this.currentSubtitleIndex = -1;
+    this.updateCurrentSubtitle();
+
+    await this.saveSubtitleTiming();
+  }
+
+  /**
+   * Move the lines by a step of the offset buttons
+   * @param {number} direction - -1 for earlier, 1 for later
+   * @param {boolean} fine - Use the fine step
+   */
+  async nudgeSubtitleOffset(direction, fine) {
+    const step = fine ? TIMING_FINE_OFFSET_STEP : TIMING_OFFSET_STEP;
+    await this.setSubtitleTiming(this.subtitleTiming.offset + direction * step);
+  }
+
+  /**
+   * Shift the lines so the most cue starts line up with reference times (keeps the speed)
+   * @param {Array<number>} referenceTimes - Video times lines should start at
+   * @param {Object} options - {maxShift, binSize, minMatches, cues (loaded cues to line up, default all)}
+   * @returns {Promise<Object|null>} {shift, matches} once applied, or null if too few lines lined up
+   */
+  async alignSubtitleStarts(referenceTimes, { maxShift, binSize, minMatches, cues = this.originalSubtitles }) {
+    const { offset, speed } = this.subtitleTiming;
+    const starts = cues.map(sub => sub.startTime * speed + offset);
+
+    const result = findTimingShift(starts, referenceTimes, maxShift, binSize);
+    if (!result || result.matches < minMatches) return null;
+
+    await this.setSubtitleTiming(offset + result.shift);
+    return result;
+  }
+
+  /**
+   * Estimate the offset from the video's audio: lines near the playhead are matched to where
+   * speech starts after a pause
+   */
+  async alignToSpeech() {
+    if (!this.currentVideo || this.originalSubtitles.length === 0) return;
+
+    const source = await this.getAudioSource();
+    if (!source || !window.extractAudioClip) {
+      this.showToast('Align to speech needs the video\'s audio stream, which this site doesn\'t expose');
+      return;
+    }
+
+    const clipStart = Math.max(0, this.currentVideo.currentTime - SPEECH_ALIGN_LEAD_SECONDS);
+    const clipEnd = Math.min(clipStart + SPEECH_ALIGN_WINDOW_SECONDS, this.currentVideo.duration || Infinity);
+    const cues = this.originalSubtitles.filter((_sub, index) => {
+      const startTime = this.subtitles[index].startTime;
+      return startTime >= clipStart && startTime < clipEnd;
+    });
+    if (cues.length === 0) {
+      this.showToast('No subtitle lines near the playhead to align');
+      return;
+    }
+
+    this.showToast('🎙 Listening for speech...');
+    try {
+      const clip = await window.extractAudioClip(source, clipStart, clipEnd);
+      const onsets = window.detectSpeechOnsets(clip).map(time => clipStart + time);
+      const result = await this.alignSubtitleStarts(onsets, {
+        maxShift: SPEECH_ALIGN_MAX_SHIFT,
+        binSize: SPEECH_ALIGN_BIN_SIZE,
+        minMatches: Math.max(3, cues.length * SPEECH_ALIGN_MIN_MATCH_RATIO),
+        cues: cues
+      });
+
+      if (!result) {
+        this.showToast('Could not match the lines near the playhead to speech');
+        return;
+      }
+      const offset = this.subtitleTiming.offset;
+      this.showToast(`🎙 Aligned to speech: offset ${offset > 0 ? '+' : ''}${offset.toFixed(2)}s (${result.matches} of ${cues.length} lines)`);
+      console.log(`[${this.platformName} Subs] Aligned to speech: shifted ${result.shift.toFixed(2)}s, ${result.matches}/${cues.length} lines matched ${onsets.length} onsets`);
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error aligning to speech:`, error);
+      this.showToast('Could not read the video\'s audio');
+    }
+  }
+
+  /**
+   * Show the current offset and speed in the browser header
+   */
+  updateTimingControls() {
+    if (!this.subtitleBrowser) return;
+
+    const { offset, speed } = this.subtitleTiming;
+    const label = this.subtitleBrowser.querySelector('.anki-timing-offset');
+    if (label) {
+      label.textContent = `⏱ ${offset > 0 ? '+' : ''}${offset.toFixed(2)}s`;
+    }
+    const select = this.subtitleBrowser.querySelector('.anki-timing-speed');
+    if (select) {
+      const presetIndex = TIMING_SPEED_PRESETS.findIndex(preset => Math.abs(preset.speed - speed) < 1e-6);
+      select.value = String(Math.max(0, presetIndex));
+    }
+  }
+
+  /**
+   * Flip the merged sentence view and remember the choice in settings
+   */
+  async toggleMergeSentences() {
+    const enabled = !this.mergeSentencesEnabled;
+    await this.setMergeSentences(enabled);
+    await this.saveSetting('mergeSubtitleLines', enabled);
+  }
+
+  updateMergeToggle() {
+    const toggle = this.subtitleBrowser && this.subtitleBrowser.querySelector('.anki-merge-sentences-toggle');
+    if (toggle) {
+      toggle.textContent = `🔗 Merge split sentences: ${this.mergeSentencesEnabled ? 'On' : 'Off'}`;
+      toggle.style.background = this.mergeSentencesEnabled ? '#0066ff' : '#333';
+    }
+  }
+
+  /**
+   * Seek the video, through the platform's player API when it has one
+   * @param {number} seconds - Time to seek to
+   */
+  async seekVideo(seconds) {
+    if (typeof this.seekToTime === 'function') {
+      await this.seekToTime(seconds);
+    } else if (this.currentVideo) {
+      this.currentVideo.currentTime = seconds;
+    }
+  }
+
+  /**
+   * Check whether study mode should pause after a line
+   * @param {Object} unit - Mining unit (cue or merged sentence)
+   * @returns {boolean} True if the line matches the study pause mode
+   */
+  shouldStudyPause(unit) {
+    if (this.studyPauseMode === 'all') return true;
+
+    const vocabulary = window.getVocabularyStore();
+    if (!vocabulary) return false;
+
+    if (this.studyPauseMode === 'i1') {
+      return window.checkIfI1Sentence(unit.text, vocabulary.mature, vocabulary.learning) ||
+        window.checkIfPotentiallyI1Sentence(unit.text, vocabulary.mature, vocabulary.learning);
+    }
+    if (this.studyPauseMode === 'unknown') {
+      return window.hasUnknownWords(unit.text, vocabulary.mature, vocabulary.learning);
+    }
+    return false;
+  }
+
+  /**
+   * Schedule the study-mode pause at the end of the playing line
+   * Called on every timeupdate; a timer stops the video closer to the line's end than timeupdate's ~250ms steps
+   */
+  updateStudyPause() {
+    clearTimeout(this.studyPauseTimer);
+    this.studyPauseTimer = null;
+
+    const video = this.currentVideo;
+    if (this.studyPauseMode === 'off' || !video || video.paused) return;
+
+    const time = video.currentTime;
+    const unit = this.getMiningUnits().find(u => time >= u.startTime && time < u.endTime);
+    if (!unit || unit === this.studyResumedUnit || !this.shouldStudyPause(unit)) return;
+
+    const delay = (unit.endTime - time) / (video.playbackRate || 1) * 1000;
+    this.studyPauseTimer = setTimeout(() => this.studyPause(unit), delay);
+  }
+
+  /**
+   * Pause at the end of a line and wait for Space/Enter (continue) or R (replay)
+   * @param {Object} unit - Line that just ended
+   */
+  studyPause(unit) {
+    const video = this.currentVideo;
+    if (!video || video.paused) return;
+
+    // Skip if the user seeked away since the pause was scheduled
+    const time = video.currentTime;
+    if (time < unit.startTime || time > unit.endTime + STUDY_PAUSE_TOLERANCE) return;
+
+    video.pause();
+    this.studyPausedUnit = unit;
+    this.showStudyPauseHint();
+  }
+
+  continueStudy() {
+    if (!this.studyPausedUnit || !this.currentVideo) return;
+    // The play listener marks the line as done
+    this.currentVideo.play().catch(error => console.warn(`[${this.platformName} Subs] Could not resume playback:`, error));
+  }
+
+  /**
+   * Play the line the video paused after again (it pauses at its end again)
+   */
+  async replayStudyLine() {
+    const unit = this.studyPausedUnit;
+    if (!unit || !this.currentVideo) return;
+
+    this.studyPausedUnit = null;
+    this.studyResumedUnit = null;
+    this.hideStudyPauseHint();
+
+    await this.seekVideo(Math.max(0, unit.startTime));
+    this.currentVideo.play().catch(error => console.warn(`[${this.platformName} Subs] Could not replay line:`, error));
+  }
+
+  /**
+   * Show which keys continue or replay, above the subtitle overlay
+   */
+  showStudyPauseHint() {
+    if (!this.subtitleOverlay) return;
+
+    if (!this.studyPauseHint) {
+      const hint = document.createElement('div');
+      hint.style.cssText = `
+        position: fixed;
+        z-index: ${this.subtitleOverlay.style.zIndex || 10000};
+        transform: translate(-50%, -100%);
+        background: rgba(0, 102, 255, 0.9);
+        color: white;
+        padding: 4px 12px;
+        border-radius: 4px;
+        font-size: 14px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        pointer-events: none;
+      `;
+      const replayKey = this.shortcutBindings.replayLine;
+      hint.textContent = replayKey ? `⏸ Space: continue · ${replayKey}: replay` : '⏸ Space: continue';
+      this.subtitleOverlay.parentElement.appendChild(hint);
+      this.studyPauseHint = hint;
+    }
+
+    const rect = this.subtitleOverlay.getBoundingClientRect();
+    this.studyPauseHint.style.left = this.subtitleOverlay.style.left || '50%';
+    this.studyPauseHint.style.top = rect.height > 0 ? `${rect.top - 6}px` : '70%';
+    this.studyPauseHint.style.display = 'block';
+  }
+
+  hideStudyPauseHint() {
+    if (this.studyPauseHint) {
+      this.studyPauseHint.style.display = 'none';
+    }
+  }
+
+  /**
+   * Hook study mode into the video (its keys are handled with the other shortcuts)
+   * @param {HTMLVideoElement} video - Video element
+   */
+  setupStudyMode(video) {
+    video.addEventListener('play', () => {
+      // Resumed (by key or the player's own controls): don't pause after this line again
+      if (this.studyPausedUnit) {
+        this.studyResumedUnit = this.studyPausedUnit;
+        this.studyPausedUnit = null;
+        this.hideStudyPauseHint();
+      }
+    });
+    video.addEventListener('seeking', () => {
+      clearTimeout(this.studyPauseTimer);
+      this.studyPauseTimer = null;
+    });
+  }
+
+  /**
+   * Change which lines study mode pauses after
+   * @param {string} mode - One of STUDY_PAUSE_MODES
+   */
+  setStudyPauseMode(mode) {
+    this.studyPauseMode = STUDY_PAUSE_MODES[mode] ? mode : 'off';
+    this.studyResumedUnit = null;
+    this.updateStudyPause();
+
+    const select = this.subtitleBrowser && this.subtitleBrowser.querySelector('.anki-study-mode-select');
+    if (select) select.value = this.studyPauseMode;
+  }
+
+  /**
+   * Get the playhead position to compare with cue times
+   * (cue times already include the title's timing, see applySubtitleTiming)
+   * @returns {number} Time in seconds
+   */
+  getSubtitleTime() {
+    return this.currentVideo ? this.currentVideo.currentTime : 0;
+  }
+
+  /**
+   * Get the browser line (cue or merged sentence) at the playhead, or the last one before it
+   * @returns {number} Mining unit index, or -1 before the first line
+   */
+  getCurrentUnitIndex() {
+    const time = this.getSubtitleTime();
+    const units = this.getMiningUnits();
+    let index = -1;
+    for (let i = 0; i < units.length; i++) {
+      if (units[i].startTime > time) break;
+      index = i;
+    }
+    return index;
+  }
+
+  /**
+   * Seek to the start of a line
+   * @param {Object} unit - Mining unit
+   */
+  async seekToUnit(unit) {
+    await this.seekVideo(Math.max(0, unit.startTime));
+  }
+
+  /**
+   * Replay the current line at SLOW_REPLAY_RATE (normal speed returns at its end)
+   */
+  async slowReplayLine() {
+    const unit = this.getMiningUnits()[this.getCurrentUnitIndex()];
+    if (!unit || !this.currentVideo) return;
+
+    if (!this.slowReplay) {
+      this.slowReplay = { unit: unit, playbackRate: this.currentVideo.playbackRate };
+    }
+    this.slowReplay.unit = unit;
+    this.studyResumedUnit = null;
+    this.studyPausedUnit = null;
+    this.hideStudyPauseHint();
+
+    await this.seekToUnit(unit);
+    this.currentVideo.playbackRate = SLOW_REPLAY_RATE;
+    this.currentVideo.play().catch(error => console.warn(`[${this.platformName} Subs] Could not replay line:`, error));
+  }
+
+  updateSlowReplay() {
+    if (!this.slowReplay || !this.currentVideo) return;
+
+    const time = this.getSubtitleTime();
+    if (time >= this.slowReplay.unit.endTime || time < this.slowReplay.unit.startTime - 1) {
+      this.currentVideo.playbackRate = this.slowReplay.playbackRate;
+      this.slowReplay = null;
+    }
+  }
+
+  /**
+   * Record the current line's audio into Anki's media folder (mining the line reuses it)
+   */
+  async recordCurrentLineAudio() {
+    const unit = this.getMiningUnits()[this.getCurrentUnitIndex()];
+    if (!unit) return;
+
+    this.showToast('🎤 Recording line audio...');
+    const filename = await this.recordSubtitleAudio(unit);
+    if (filename) {
+      this.recordedAudio = { unit: unit, filename: filename };
+      this.showToast(`🎤 Saved ${filename}`);
+    } else {
+      this.showToast('🎤 Audio recording failed');
+    }
+  }
+
+  /**
+   * Open the dictionary popup for the first unknown word of the current line
+   */
+  async lookUpCurrentWord() {
+    const unit = this.getMiningUnits()[this.getCurrentUnitIndex()];
+    if (!unit || !window.showDictionaryPopup) return;
+
+    const { matureWords, learningWords } = await this.getWordLists();
+    const unknownWords = window.extractAllUnknownWords
+      ? window.extractAllUnknownWords(unit.text, matureWords, learningWords)
+      : [];
+    const word = unknownWords[0] || (unit.text.match(window.HEBREW_WORD_REGEX) || [])[0];
+    if (!word) return;
+
+    const rect = this.subtitleOverlay ? this.subtitleOverlay.getBoundingClientRect() : null;
+    const x = rect && rect.width > 0 ? rect.left + rect.width / 2 : window.innerWidth / 2;
+    const y = rect && rect.height > 0 ? rect.top : window.innerHeight / 2;
+    window.showDictionaryPopup(word, x, y, null);
+  }
+
+  toggleTranslation() {
+    if (this.secondarySubtitles.length === 0) {
+      this.showToast('No second subtitle language loaded (choose one in the options)');
+      return;
+    }
+    this.secondaryRevealed = !this.secondaryRevealed;
+    if (this.secondaryOverlay) {
+      this.secondaryOverlay.style.filter = this.secondaryRevealed ? 'none' : 'blur(6px)';
+    }
+  }
+
+  toggleOverlay() {
+    this.overlayHidden = !this.overlayHidden;
+    const visibility = this.overlayHidden ? 'hidden' : 'visible';
+    if (this.subtitleOverlay) this.subtitleOverlay.style.visibility = visibility;
+    if (this.secondaryOverlay) this.secondaryOverlay.style.visibility = visibility;
+  }
+
+  toggleBrowser() {
+    if (!this.subtitleBrowser) return;
+
+    const isVisible = this.subtitleBrowser.style.display !== 'none';
+    this.subtitleBrowser.style.display = isVisible ? 'none' : 'block';
+    if (this.showBrowserButton) {
+      this.showBrowserButton.style.display = isVisible ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show a short message over the video (feedback for shortcuts)
+   * @param {string} message - Message to show
+   */
+  showToast(message) {
+    if (!this.subtitleOverlay) return;
+
+    if (!this.toast) {
+      const toast = document.createElement('div');
+      toast.style.cssText = `
+        position: fixed;
+        top: 80px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: ${this.subtitleOverlay.style.zIndex || 10000};
+        background: rgba(0, 0, 0, 0.85);
+        color: white;
+        padding: 8px 16px;
+        border-radius: 4px;
+        font-size: 14px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        pointer-events: none;
+      `;
+      this.subtitleOverlay.parentElement.appendChild(toast);
+      this.toast = toast;
+    }
+
+    this.toast.style.left = this.subtitleOverlay.style.left || '50%';
+    this.toast.textContent = message;
+    this.toast.style.display = 'block';
+    clearTimeout(this.toastTimeout);
+    this.toastTimeout = setTimeout(() => {
+      if (this.toast) this.toast.style.display = 'none';
+    }, TOAST_DURATION_MS);
+  }
+
+  /**
+   * Show or hide the list of shortcuts
+   */
+  toggleShortcutHelp() {
+    if (this.shortcutHelp) {
+      this.shortcutHelp.remove();
+      this.shortcutHelp = null;
+      return;
+    }
+    if (!this.subtitleOverlay) return;
+
+    const help = document.createElement('div');
+    help.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: 2147483647;
+      background: #272727;
+      color: white;
+      padding: 20px 24px;
+      border-radius: 8px;
+      border: 1px solid #333;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.5);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      min-width: 320px;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Keyboard Shortcuts';
+    title.style.cssText = 'font-size: 18px; font-weight: 600; margin-bottom: 12px;';
+    help.appendChild(title);
+
+    const rows = Object.entries(window.SHORTCUT_ACTIONS)
+      .map(([action, { label }]) => [label, this.shortcutBindings[action]])
+      .filter(([, key]) => key);
+    if (this.studyPauseMode !== 'off') {
+      rows.push(['Continue after a study-mode pause', 'Space / Enter']);
+    }
+
+    rows.forEach(([label, key]) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; gap: 24px; padding: 4px 0; border-bottom: 1px solid #333;';
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = label;
+      const keySpan = document.createElement('kbd');
+      keySpan.textContent = key;
+      keySpan.style.cssText = 'background: #1a1a1a; border: 1px solid #444; border-radius: 3px; padding: 1px 6px; font-family: monospace;';
+      row.appendChild(labelSpan);
+      row.appendChild(keySpan);
+      help.appendChild(row);
+    });
+
+    const footer = document.createElement('div');
+    footer.textContent = 'Change these in the extension options. Press Esc to close.';
+    footer.style.cssText = 'margin-top: 12px; font-size: 12px; color: #888;';
+    help.appendChild(footer);
+
+    help.addEventListener('click', () => this.toggleShortcutHelp());
+    this.subtitleOverlay.parentElement.appendChild(help);
+    this.shortcutHelp = help;
+  }
+
+  /**
+   * Run a shortcut action
+   * @param {string} action - Action ID from SHORTCUT_ACTIONS
+   */
+  async runShortcut(action) {
+    const units = this.getMiningUnits();
+    const index = this.getCurrentUnitIndex();
+
+    switch (action) {
+      case 'previousLine': {
+        // From inside a line, go back to the one before it (not just its own start)
+        const unit = units[index];
+        const inLine = unit && this.getSubtitleTime() < unit.endTime;
+        const target = units[Math.max(0, inLine ? index - 1 : index)];
+        if (target) await this.seekToUnit(target);
+        break;
+      }
+      case 'nextLine':
+        if (units[index + 1]) await this.seekToUnit(units[index + 1]);
+        break;
+      case 'replayLine':
+        if (this.studyPausedUnit) {
+          await this.replayStudyLine();
+        } else if (units[index]) {
+          await this.seekToUnit(units[index]);
+        }
+        break;
+      case 'slowReplay':
+        await this.slowReplayLine();
+        break;
+      case 'mineLine':
+        if (units[index]) {
+          this.currentVideo.pause();
+          await this.mineUnit(units[index]);
+        }
+        break;
+      case 'recordAudio':
+        await this.recordCurrentLineAudio();
+        break;
+      case 'lookUpWord':
+        await this.lookUpCurrentWord();
+        break;
+      case 'toggleTranslation':
+        this.toggleTranslation();
+        break;
+      case 'toggleOverlay':
+        this.toggleOverlay();
+        break;
+      case 'toggleBrowser':
+        this.toggleBrowser();
+        break;
+      case 'showHelp':
+        this.toggleShortcutHelp();
+        break;
+    }
+  }
+
+  /**
+   * Listen for the shortcut keys (capture phase, so the player doesn't also act on them)
+   */
+  setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      // Reader was cleaned up (e.g. SPA navigation to another video)
+      if (this.subtitles.length === 0) return;
+
+      // Skip if typing in a text field
+      const activeElement = document.activeElement;
+      if (activeElement && (
+        activeElement.tagName === 'INPUT' ||
+        activeElement.tagName === 'TEXTAREA' ||
+        activeElement.tagName === 'SELECT' ||
+        activeElement.isContentEditable
+      )) {
+        return;
+      }
+
+      if (e.key === 'Escape' && this.shortcutHelp) {
+        e.preventDefault();
+        this.toggleShortcutHelp();
+        return;
+      }
+
+      // Continue after a study-mode pause
+      if (this.studyPausedUnit && (e.key === ' ' || e.key === 'Enter')) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.continueStudy();
+        return;
+      }
+
+      const action = window.findShortcutAction(window.getShortcutKey(e), this.shortcutBindings);
+      if (!action) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.runShortcut(action).catch(error => {
+        console.error(`[${this.platformName} Subs] Error running shortcut ${action}:`, error);
+      });
+    }, true);
   }
 
   async loadStripNikudSetting() {
@@ -83,6 +1045,8 @@
       overlayId = window.DOM_IDS.NETFLIX_OVERLAY;
     } else if (this.platformName === 'StreamIsrael') {
       overlayId = window.DOM_IDS.STREAMISRAEL_OVERLAY;
+    } else if (this.platformName === 'Video') {
+      overlayId = window.DOM_IDS.VIDEO_OVERLAY;
     } else {
       overlayId = 'anki-subtitle-overlay'; // Generic fallback
     }
@@ -139,6 +1103,70 @@
     return overlay;
   }
 
+  /**
+   * Create the second-language line shown under the Hebrew overlay
+   * Kept out of the Hebrew overlay so word highlighting doesn't touch it; blurred until hovered
+   * @returns {HTMLElement} Overlay element
+   */
+  createSecondaryOverlay() {
+    if (this.secondaryOverlay) return this.secondaryOverlay;
+    if (!this.subtitleOverlay) return null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'anki-secondary-subtitle';
+    overlay.style.cssText = `
+      position: fixed;
+      z-index: ${this.subtitleOverlay.style.zIndex || 10000};
+      background: rgba(0, 0, 0, 0.75);
+      color: #ddd;
+      padding: 6px 16px;
+      border-radius: 4px;
+      font-size: 24px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      text-align: center;
+      max-width: 70%;
+      filter: blur(6px);
+      transition: filter 0.15s;
+      pointer-events: auto;
+      display: none;
+    `;
+    overlay.title = 'Hover to reveal';
+    overlay.addEventListener('mouseenter', () => {
+      overlay.style.filter = 'none';
+    });
+    overlay.addEventListener('mouseleave', () => {
+      overlay.style.filter = this.secondaryRevealed ? 'none' : 'blur(6px)';
+    });
+
+    this.subtitleOverlay.parentElement.appendChild(overlay);
+    this.secondaryOverlay = overlay;
+    return overlay;
+  }
+
+  /**
+   * Show the second-language line for the playing cue under the Hebrew overlay
+   * @param {Object|null} sub - Playing cue, or null when none is
+   */
+  updateSecondaryOverlay(sub) {
+    const overlay = this.secondaryOverlay;
+    if (!overlay) return;
+
+    const text = sub ? this.getSecondaryText(sub.startTime, sub.endTime) : '';
+    if (!text) {
+      overlay.style.display = 'none';
+      return;
+    }
+
+    // Hang it from the Hebrew overlay's bottom edge (readers move that overlay around)
+    overlay.style.left = this.subtitleOverlay.style.left || '50%';
+    overlay.style.bottom = this.subtitleOverlay.style.bottom || '150px';
+    overlay.style.transform = 'translate(-50%, calc(100% + 6px))';
+    overlay.style.filter = this.secondaryRevealed ? 'none' : 'blur(6px)';
+    overlay.style.visibility = this.overlayHidden ? 'hidden' : 'visible';
+    overlay.textContent = text;
+    overlay.style.display = 'block';
+  }
+
   centerOverlayWithVideo() {
     if (!this.subtitleOverlay || !this.currentVideo) return;
 
@@ -177,17 +1205,7 @@
   createSubtitleBrowser() {
     if (this.subtitleBrowser) return this.subtitleBrowser;
 
-    // Determine browser ID based on platform
-    let browserId;
-    if (this.platformName === 'YouTube') {
-      browserId = window.DOM_IDS.YOUTUBE_BROWSER;
-    } else if (this.platformName === 'Netflix') {
-      browserId = window.DOM_IDS.NETFLIX_BROWSER;
-    } else if (this.platformName === 'StreamIsrael') {
-      browserId = window.DOM_IDS.STREAMISRAEL_BROWSER;
-    } else {
-      browserId = 'anki-subtitle-browser'; // Generic fallback
-    }
+    const browserId = this.getSubtitleBrowserId();
 
     const browser = document.createElement('div');
     browser.id = browserId;
@@ -304,6 +1322,7 @@
     `;
     // Create show button (initially hidden)
     const showBtn = document.createElement('button');
+    this.showBrowserButton = showBtn;
     showBtn.textContent = '📖 Show Sub Browser';
     showBtn.style.cssText = `
       position: fixed;
@@ -383,6 +1402,169 @@
     });
     header.appendChild(toggleBtn);
 
+    // Batch mining controls
+    const batchBar = document.createElement('div');
+    batchBar.style.cssText = `
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+    `;
+    const batchButtonStyle = `
+      flex: 1;
+      padding: 6px;
+      background: #333;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 13px;
+    `;
+
+    const selectI1Btn = document.createElement('button');
+    selectI1Btn.textContent = 'Select i+1';
+    selectI1Btn.title = 'Tick every i+1 line for batch mining';
+    selectI1Btn.style.cssText = batchButtonStyle;
+    selectI1Btn.addEventListener('click', () => this.selectI1Subtitles());
+    batchBar.appendChild(selectI1Btn);
+
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear';
+    clearBtn.style.cssText = batchButtonStyle;
+    clearBtn.addEventListener('click', () => this.clearBatchSelection());
+    batchBar.appendChild(clearBtn);
+
+    const mineBtn = document.createElement('button');
+    mineBtn.id = `${browserId}-batch-mine`;
+    mineBtn.textContent = 'Mine 0 lines';
+    mineBtn.disabled = true;
+    mineBtn.style.cssText = batchButtonStyle;
+    mineBtn.style.background = '#28a745';
+    mineBtn.style.opacity = '0.5';
+    mineBtn.addEventListener('click', () => this.mineBatchSelection());
+    batchBar.appendChild(mineBtn);
+
+    header.appendChild(batchBar);
+
+    // Merged sentence view toggle
+    const mergeToggle = document.createElement('button');
+    mergeToggle.className = 'anki-merge-sentences-toggle';
+    mergeToggle.title = 'Show sentences split across several subtitle lines as one line';
+    mergeToggle.style.cssText = batchButtonStyle;
+    mergeToggle.style.width = '100%';
+    mergeToggle.style.marginTop = '6px';
+    mergeToggle.addEventListener('click', () => this.toggleMergeSentences());
+    header.appendChild(mergeToggle);
+
+    // Study mode: pause after each (matching) line
+    const studyRow = document.createElement('label');
+    studyRow.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 6px;
+      font-size: 13px;
+      color: #aaa;
+    `;
+    studyRow.textContent = '⏸ Pause after:';
+    const studySelect = document.createElement('select');
+    studySelect.className = 'anki-study-mode-select';
+    studySelect.title = 'Study mode: pause when a line ends, then Space to continue or R to replay';
+    studySelect.style.cssText = `
+      flex: 1;
+      padding: 4px;
+      background: #333;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      font-size: 13px;
+    `;
+    Object.entries(STUDY_PAUSE_MODES).forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      studySelect.appendChild(option);
+    });
+    studySelect.value = this.studyPauseMode;
+    studySelect.addEventListener('change', () => {
+      this.setStudyPauseMode(studySelect.value);
+      this.saveSetting('studyPauseMode', studySelect.value);
+    });
+    studyRow.appendChild(studySelect);
+    header.appendChild(studyRow);
+
+    // Subtitle timing: offset, frame rate speed scale, and align to speech
+    const timingRow = document.createElement('div');
+    timingRow.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 6px;
+      font-size: 13px;
+      color: #aaa;
+    `;
+    const timingButtonStyle = `
+      padding: 4px 8px;
+      background: #333;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 13px;
+    `;
+
+    const offsetLabel = document.createElement('span');
+    offsetLabel.className = 'anki-timing-offset';
+    offsetLabel.title = 'Subtitle offset for this video (saved)';
+    offsetLabel.style.cssText = 'flex: 1;';
+    timingRow.appendChild(offsetLabel);
+
+    const earlierBtn = document.createElement('button');
+    earlierBtn.textContent = `−${TIMING_OFFSET_STEP}s`;
+    earlierBtn.title = `Show lines earlier (Shift-click: ${TIMING_FINE_OFFSET_STEP}s)`;
+    earlierBtn.style.cssText = timingButtonStyle;
+    earlierBtn.addEventListener('click', (e) => this.nudgeSubtitleOffset(-1, e.shiftKey));
+    timingRow.appendChild(earlierBtn);
+
+    const laterBtn = document.createElement('button');
+    laterBtn.textContent = `+${TIMING_OFFSET_STEP}s`;
+    laterBtn.title = `Show lines later (Shift-click: ${TIMING_FINE_OFFSET_STEP}s)`;
+    laterBtn.style.cssText = timingButtonStyle;
+    laterBtn.addEventListener('click', (e) => this.nudgeSubtitleOffset(1, e.shiftKey));
+    timingRow.appendChild(laterBtn);
+
+    const alignBtn = document.createElement('button');
+    alignBtn.textContent = '🎙 Align';
+    alignBtn.title = 'Align to speech: estimate the offset from where speech starts near the playhead';
+    alignBtn.style.cssText = timingButtonStyle;
+    alignBtn.addEventListener('click', () => this.alignToSpeech());
+    timingRow.appendChild(alignBtn);
+
+    header.appendChild(timingRow);
+
+    const speedSelect = document.createElement('select');
+    speedSelect.className = 'anki-timing-speed';
+    speedSelect.title = 'Stretch the lines when the subtitles were timed for another frame rate (subtitles → video)';
+    speedSelect.style.cssText = `
+      width: 100%;
+      margin-top: 6px;
+      padding: 4px;
+      background: #333;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      font-size: 13px;
+    `;
+    TIMING_SPEED_PRESETS.forEach((preset, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = preset.label;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.addEventListener('change', () => {
+      this.setSubtitleTiming(this.subtitleTiming.offset, TIMING_SPEED_PRESETS[Number(speedSelect.value)].speed);
+    });
+    header.appendChild(speedSelect);
+
     browser.appendChild(header);
 
     // Subtitles container
@@ -430,20 +1612,15 @@
     }
 
     this.subtitleBrowser = browser;
+    this.updateMergeToggle();
+    this.updateTimingControls();
     return browser;
   }
 
   updateStatsDisplay() {
     if (!this.subtitleBrowser) return;
 
-    let browserId;
-    if (this.platformName === 'YouTube') {
-      browserId = window.DOM_IDS.YOUTUBE_BROWSER;
-    } else if (this.platformName === 'Netflix') {
-      browserId = window.DOM_IDS.NETFLIX_BROWSER;
-    } else if (this.platformName === 'StreamIsrael') {
-      browserId = window.DOM_IDS.STREAMISRAEL_BROWSER;
-    }
+    const browserId = this.getSubtitleBrowserId();
     const percentageText = document.getElementById(`${browserId}-percentage`);
     const statsText = document.getElementById(`${browserId}-stats-detail`);
     const i1Text = document.getElementById(`${browserId}-i1-count`);
@@ -485,14 +1662,7 @@
       return;
     }
 
-    let browserId;
-    if (this.platformName === 'YouTube') {
-      browserId = window.DOM_IDS.YOUTUBE_BROWSER;
-    } else if (this.platformName === 'Netflix') {
-      browserId = window.DOM_IDS.NETFLIX_BROWSER;
-    } else if (this.platformName === 'StreamIsrael') {
-      browserId = window.DOM_IDS.STREAMISRAEL_BROWSER;
-    }
+    const browserId = this.getSubtitleBrowserId();
 
     const container = document.getElementById(`${browserId}-list`);
     if (!container) {
@@ -501,15 +1671,23 @@
     }
 
     // Get words and settings for i+1 detection
-    const storage = await chrome.storage.local.get(['matureWords', 'learningWords', 'settings']);
-    const matureWords = storage.matureWords || [];
-    const learningWords = storage.learningWords || [];
+    const storage = await chrome.storage.local.get(['settings']);
+    const vocabulary = await window.loadVocabularyStore();
+    const matureWords = vocabulary.mature;
+    const learningWords = vocabulary.learning;
     const sentenceHighlightEnabled = storage.settings?.sentenceHighlightEnabled !== false;
     const sentenceColor = storage.settings?.sentenceColor || '#add8e6';
 
     container.innerHTML = '';
 
-    this.subtitles.forEach((sub, index) => {
+    const units = this.getMiningUnits();
+
+    // Drop ticked lines that no longer exist (subtitles reloaded)
+    this.batchSelection.forEach(index => {
+      if (index >= units.length) this.batchSelection.delete(index);
+    });
+
+    units.forEach((sub, index) => {
       const item = document.createElement('div');
       item.dataset.index = index;
 
@@ -554,7 +1732,7 @@
       });
 
       item.addEventListener('mouseleave', () => {
-        if (parseInt(item.dataset.index) !== this.currentSubtitleIndex) {
+        if (parseInt(item.dataset.index) !== this.currentUnitIndex) {
           item.style.borderColor = 'transparent';
         }
       });
@@ -571,44 +1749,48 @@
             window.getSelection().removeAllRanges();
           }
 
-          // Record audio for this subtitle
-          const audioFilename = await this.recordSubtitleAudio(sub);
-
-          // Provide callback to get word lists from storage
-          const getWordsCallback = async () => {
-            const data = await chrome.storage.local.get(['matureWords', 'learningWords']);
-            return {
-              matureWords: data.matureWords || [],
-              learningWords: data.learningWords || []
-            };
-          };
-
-          // Use stripped version if nikud stripping is enabled
-          const sentenceText = window.stripNikud(sub.text, this.stripNikudEnabled);
-          window.openAnkiModal(sentenceText, getWordsCallback, audioFilename);
+          await this.mineUnit(sub);
           return;
         }
 
         // Regular click seeks to time (if enabled)
         if (this.enableClickToSeek !== false && this.currentVideo) {
-          // Use platform-specific seek if available, otherwise direct seek
-          if (typeof this.seekToTime === 'function') {
-            await this.seekToTime(sub.startTime);
-          } else {
-            this.currentVideo.currentTime = sub.startTime;
-          }
+          await this.seekVideo(sub.startTime);
         }
       });
 
-      // Timestamp
+      // Timestamp, with the batch mining checkbox
       const timestamp = document.createElement('div');
-      timestamp.textContent = window.formatTimestamp(sub.startTime, sub.endTime);
       const timestampColor = (isI1Sentence || isPotentiallyI1Sentence) ? '#000' : '#aaa';
       timestamp.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
         font-size: 12px;
         color: ${timestampColor};
         margin-bottom: 6px;
       `;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'anki-batch-checkbox';
+      checkbox.title = 'Select for batch mining';
+      checkbox.checked = this.batchSelection.has(index);
+      checkbox.style.cssText = 'margin: 0; cursor: pointer;';
+      checkbox.addEventListener('click', (e) => {
+        e.stopPropagation();
+      });
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.batchSelection.add(index);
+        } else {
+          this.batchSelection.delete(index);
+        }
+        this.updateBatchControls();
+      });
+      timestamp.appendChild(checkbox);
+      const lineCount = sub.cueIndexes.length > 1 ? ` · ${sub.cueIndexes.length} lines` : '';
+      timestamp.appendChild(document.createTextNode(window.formatTimestamp(sub.startTime, sub.endTime) + lineCount));
       item.appendChild(timestamp);
 
       // Text
@@ -624,8 +1806,140 @@
       `;
       item.appendChild(text);
 
+      // Second subtitle track
+      const translation = this.getSecondaryText(sub.startTime, sub.endTime);
+      if (translation) {
+        const translationDiv = document.createElement('div');
+        translationDiv.className = 'anki-secondary-subtitle';
+        translationDiv.textContent = translation;
+        translationDiv.style.cssText = `
+          font-size: 14px;
+          margin-top: 4px;
+          color: ${(isI1Sentence || isPotentiallyI1Sentence) ? '#333' : '#999'};
+        `;
+        item.appendChild(translationDiv);
+      }
+
       container.appendChild(item);
     });
+
+    this.updateBatchControls();
+  }
+
+  /**
+   * Record a line's audio and open the card creator for it
+   * @param {Object} sub - Mining unit (cue or merged sentence)
+   */
+  async mineUnit(sub) {
+    if (!window.openAnkiModal) return;
+
+    // Reuse audio already recorded with the record shortcut
+    const audioFilename = this.recordedAudio && this.recordedAudio.unit === sub
+      ? this.recordedAudio.filename
+      : await this.recordSubtitleAudio(sub);
+
+    // Use stripped version if nikud stripping is enabled
+    const sentenceText = window.stripNikud(sub.text, this.stripNikudEnabled);
+    window.openAnkiModal(sentenceText, () => this.getWordLists(), audioFilename, this.getSubtitleSource(sub),
+      () => this.captureVideoFrame(sub), this.getSecondaryText(sub.startTime, sub.endTime) || null);
+  }
+
+  /**
+   * Get the learning and mature word lists (used to pick each card's target word)
+   * @returns {Promise<Object>} {matureWords, learningWords}
+   */
+  async getWordLists() {
+    const data = await chrome.storage.local.get(['matureWords', 'learningWords']);
+    return {
+      matureWords: data.matureWords || [],
+      learningWords: data.learningWords || []
+    };
+  }
+
+  /**
+   * Get the ID of this platform's subtitle browser element
+   * @returns {string} Element ID (list, stats and buttons use it as a prefix)
+   */
+  getSubtitleBrowserId() {
+    return window.SUBTITLE_BROWSER_IDS[this.platformName] || 'anki-subtitle-browser';
+  }
+
+  /**
+   * Get the subtitle browser's list container
+   * @returns {HTMLElement|null} Container element
+   */
+  getSubtitleBrowserList() {
+    return this.subtitleBrowser
+      ? this.subtitleBrowser.querySelector(`[id="${this.getSubtitleBrowserId()}-list"]`)
+      : null;
+  }
+
+  /**
+   * Sync the checkboxes and the "Mine N lines" button with the batch selection
+   */
+  updateBatchControls() {
+    const container = this.getSubtitleBrowserList();
+    if (!container) return;
+
+    container.querySelectorAll('[data-index]').forEach(item => {
+      const checkbox = item.querySelector('.anki-batch-checkbox');
+      if (checkbox) checkbox.checked = this.batchSelection.has(parseInt(item.dataset.index));
+    });
+
+    const mineBtn = this.subtitleBrowser.querySelector(`[id="${container.id.replace(/-list$/, '')}-batch-mine"]`);
+    if (mineBtn) {
+      const count = this.batchSelection.size;
+      mineBtn.textContent = `Mine ${count} line${count === 1 ? '' : 's'}`;
+      mineBtn.disabled = count === 0;
+      mineBtn.style.opacity = count === 0 ? '0.5' : '1';
+    }
+  }
+
+  /**
+   * Tick every i+1 line in the subtitle browser
+   */
+  selectI1Subtitles() {
+    const container = this.getSubtitleBrowserList();
+    if (!container) return;
+
+    container.querySelectorAll('.anki-i1-sentence').forEach(item => {
+      this.batchSelection.add(parseInt(item.dataset.index));
+    });
+    this.updateBatchControls();
+  }
+
+  clearBatchSelection() {
+    this.batchSelection.clear();
+    this.updateBatchControls();
+  }
+
+  /**
+   * Open the batch review screen for the ticked lines
+   * Audio is recorded line by line while the cards are created
+   */
+  mineBatchSelection() {
+    if (this.batchSelection.size === 0 || !window.openBatchCardCreator) return;
+
+    const units = this.getMiningUnits();
+    const items = [...this.batchSelection]
+      .sort((a, b) => a - b)
+      .map(index => units[index])
+      .filter(Boolean)
+      .map(sub => ({
+        sentence: window.stripNikud(sub.text, this.stripNikudEnabled),
+        subtitle: sub,
+        source: this.getSubtitleSource(sub),
+        translation: this.getSecondaryText(sub.startTime, sub.endTime)
+      }));
+
+    window.openBatchCardCreator(items, {
+      getWordsCallback: () => this.getWordLists(),
+      recordAudio: item => this.recordSubtitleAudio(item.subtitle),
+      onComplete: (minedSubtitles) => {
+        minedSubtitles.forEach(sub => this.batchSelection.delete(this.getMiningUnits().indexOf(sub)));
+        this.updateBatchControls();
+      }
+    });
   }
 
   /**
@@ -690,6 +2004,8 @@
             eventName = 'ankiNetflixSubtitleUpdated';
           } else if (this.platformName === 'StreamIsrael') {
             eventName = 'ankiStreamIsraelSubtitleUpdated';
+          } else if (this.platformName === 'Video') {
+            eventName = 'ankiVideoSubtitleUpdated';
           } else {
             eventName = 'ankiSubtitleUpdated'; // Generic fallback
           }
@@ -702,15 +2018,14 @@
         }
       }
 
+      this.updateSecondaryOverlay(foundIndex !== -1 ? this.subtitles[foundIndex] : null);
+
       if (this.subtitleBrowser) {
-        let browserId;
-        if (this.platformName === 'YouTube') {
-          browserId = window.DOM_IDS.YOUTUBE_BROWSER;
-        } else if (this.platformName === 'Netflix') {
-          browserId = window.DOM_IDS.NETFLIX_BROWSER;
-        } else if (this.platformName === 'StreamIsrael') {
-          browserId = window.DOM_IDS.STREAMISRAEL_BROWSER;
-        }
+        // Highlight the unit (cue or merged sentence) containing the playing cue
+        const unitIndex = this.getMiningUnits().findIndex(unit => unit.cueIndexes.includes(foundIndex));
+        this.currentUnitIndex = unitIndex;
+
+        const browserId = this.getSubtitleBrowserId();
         const container = document.getElementById(`${browserId}-list`);
         if (container) {
           const items = container.querySelectorAll('[data-index]');
@@ -718,7 +2033,7 @@
             const isI1 = item.classList.contains('anki-i1-sentence');
             const isPotentiallyI1 = item.classList.contains('anki-potentially-i1-sentence');
 
-            if (i === foundIndex) {
+            if (i === unitIndex) {
               item.style.borderColor = '#0066ff';
               // Set appropriate background: i+1 stays light blue, potentially-i+1 stays purple, others get gray
               if (isI1) {
@@ -766,10 +2081,18 @@
    */
   async initialize(languageCode = 'iw') {
     await this.loadStripNikudSetting();
+    await this.loadReaderSettings();
 
     chrome.runtime.onMessage.addListener(async (message, _sender, _sendResponse) => {
       if (message.action === 'settingsUpdated') {
         this.stripNikudEnabled = message.settings.stripNikudEnabled;
+        if ((message.settings.secondarySubtitleLanguage || '') !== this.secondaryLanguage && this.subtitles.length > 0) {
+          await this.loadSecondaryTrack();
+          this.currentSubtitleIndex = -1;  // Redraw the overlays on the next update
+        }
+        await this.setMergeSentences(message.settings.mergeSubtitleLines || false);
+        this.setStudyPauseMode(message.settings.studyPauseMode || 'off');
+        this.shortcutBindings = window.getShortcutBindings(message.settings.shortcutBindings);
         // Refresh displays
         await this.populateSubtitleBrowser();
         if (this.currentSubtitleIndex !== -1) {
@@ -798,7 +2121,14 @@
       if (this.subtitles && this.subtitles.length > 0) {
         console.log(`[${this.platformName} Subs] Loaded ${this.subtitles.length} subtitles`);
 
+        this.originalSubtitles = this.subtitles;
+        await this.loadSubtitleTiming();
+        this.applySubtitleTiming();
+
+        await this.loadSecondaryTrack();
+
         this.createSubtitleOverlay();
+        this.createSecondaryOverlay();
         this.createSubtitleBrowser();
 
         await this.calculateComprehensionStats();
@@ -815,8 +2145,12 @@
         this.currentVideo.addEventListener('timeupdate', () => {
           if (this.isEnabled) {
             this.updateCurrentSubtitle();
+            this.updateStudyPause();
+            this.updateSlowReplay();
           }
         });
+        this.setupStudyMode(this.currentVideo);
+        this.setupKeyboardShortcuts();
 
         console.log(`[${this.platformName} Subs] Initialization complete`);
       }
@@ -826,11 +2160,149 @@
   }
 
   /**
-   * Record audio for a subtitle time range
+   * Get the platform's ID for the current video
+   * @returns {string|null} Video ID, or null if the platform has none
+   */
+  getVideoId() {
+    return null;
+  }
+
+  /**
+   * Get the title of the current video
+   * @returns {string} Video title (the page title by default)
+   */
+  getVideoTitle() {
+    return document.title.trim();
+  }
+
+  /**
+   * Describe where a subtitle came from, for the card's Source field and tags
+   * @param {Object} subtitle - Subtitle object with startTime
+   * @returns {Object} Source {platform, videoId, title, time, url}
+   */
+  getSubtitleSource(subtitle) {
+    return {
+      platform: this.platformName,
+      videoId: this.getVideoId(),
+      title: this.getVideoTitle(),
+      time: subtitle.startTime,
+      url: window.location.href
+    };
+  }
+
+  /**
+   * Describe where the current video's audio can be downloaded from
+   * Platforms with fetchable media segments override this so clips can be cut without playback
+   * @returns {Promise<Object|null>} Audio source for window.extractAudioClip, or null to record live
+   */
+  async getAudioSource() {
+    return null;
+  }
+
+  /**
+   * Get audio for a subtitle time range and store it in Anki
+   * Cuts the clip from downloaded media segments when the platform allows it (faster than
+   * realtime, no seeking), otherwise records the video while it plays the line. The clip is
+   * then trimmed/normalized and encoded as configured in the options.
    * @param {Object} subtitle - Subtitle object with startTime and endTime
    * @returns {Promise<string|null>} Audio filename in Anki media folder, or null if failed
    */
   async recordSubtitleAudio(subtitle) {
+    const data = await chrome.storage.local.get('settings');
+    const settings = data.settings || {};
+    const startTime = Math.max(0, subtitle.startTime - (settings.audioLeadInMs ?? 250) / 1000);
+    const endTime = subtitle.endTime + (settings.audioLeadOutMs ?? 250) / 1000;
+
+    let clip = null;
+    let fallbackReason = 'no downloadable audio stream';
+    try {
+      const source = await this.getAudioSource();
+      if (source) {
+        clip = await window.extractAudioClip(source, startTime, endTime);
+        console.log(`[${this.platformName} Subs] Extracted ${clip.duration.toFixed(2)}s of audio from media segments`);
+      }
+    } catch (error) {
+      console.warn(`[${this.platformName} Subs] Could not extract audio from media segments:`, error);
+      fallbackReason = 'the audio stream could not be read';
+    }
+
+    if (!clip) {
+      console.log(`[${this.platformName} Subs] Recording audio live (${fallbackReason})`);
+      this.showToast(`🎤 Recording the line while it plays (${fallbackReason})`);
+      const recording = await this.recordSubtitleAudioLive(subtitle, startTime, endTime);
+      if (!recording) return null;
+
+      try {
+        clip = await window.decodeAudioClip(recording);
+      } catch (error) {
+        console.warn(`[${this.platformName} Subs] Could not decode recording, storing it unprocessed:`, error);
+        return this.storeSubtitleAudio(recording, 'webm', subtitle);
+      }
+    }
+
+    try {
+      clip = window.processAudioClip(clip, {
+        trimSilence: settings.audioTrimSilence ?? true,
+        normalize: settings.audioNormalize ?? true
+      });
+      const encoded = await window.encodeAudioClip(clip, settings.audioFormat || 'ogg');
+      return await this.storeSubtitleAudio(encoded.blob, encoded.extension, subtitle);
+    } catch (error) {
+      console.error(`[${this.platformName} Subs] Error encoding audio:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store an audio clip for a subtitle in Anki's media folder
+   * @param {Blob} audioBlob - Encoded audio
+   * @param {string} extension - File extension matching the encoding (e.g. 'ogg', 'wav')
+   * @param {Object} subtitle - Subtitle object (used for the filename)
+   * @returns {Promise<string|null>} Audio filename in Anki media folder, or null if failed
+   */
+  async storeSubtitleAudio(audioBlob, extension, subtitle) {
+    const reader = new FileReader();
+    const base64Promise = new Promise((resolve, reject) => {
+      reader.onloadend = () => {
+        const base64 = reader.result.split(',')[1]; // Remove data:audio/...;base64, prefix
+        resolve(base64);
+      };
+      reader.onerror = reject;
+    });
+    reader.readAsDataURL(audioBlob);
+    const base64Audio = await base64Promise;
+
+    // Generate filename using timestamp and first few words
+    const timestamp = Date.now();
+    const textPreview = subtitle.text.split(' ').slice(0, 3).join('_').replace(/[^\u0590-\u05FF\w]/g, '');
+    const filename = `subtitle_${timestamp}_${textPreview}.${extension}`;
+
+    console.log(`[${this.platformName} Subs] Storing audio in Anki as: ${filename}`);
+
+    // Store in Anki via AnkiConnect
+    const response = await chrome.runtime.sendMessage({
+      action: 'ankiStoreMediaFile',
+      filename: filename,
+      data: base64Audio
+    });
+
+    if (response && response.success) {
+      console.log(`[${this.platformName} Subs] Audio successfully stored in Anki`);
+      return filename;
+    } else {
+      console.error(`[${this.platformName} Subs] Failed to store audio in Anki:`, response?.error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a time range of the video by playing it through MediaRecorder
+   * @param {Object} subtitle - Subtitle object being recorded
+   * @param {number} startTime - Start of the recording in video seconds (including lead-in)
+   * @param {number} endTime - End of the recording in video seconds (including lead-out)
+   * @returns {Promise<Blob|null>} audio/webm recording, or null if failed
+   */
+  async recordSubtitleAudioLive(subtitle, startTime, endTime) {
     if (!this.currentVideo) {
       console.error(`[${this.platformName} Subs] No video element available for recording`);
       return null;
@@ -876,7 +2348,7 @@
         }
       };
 
-      const duration = subtitle.endTime - subtitle.startTime;
+      const duration = endTime - startTime;
 
       const recordingPromise = new Promise((resolve, reject) => {
         mediaRecorder.onstop = () => {
@@ -897,14 +2369,14 @@
 
         // Use platform-specific seek if available (e.g., Netflix requires special API)
         if (typeof this.seekToTime === 'function') {
-          this.seekToTime(subtitle.startTime);
+          this.seekToTime(startTime);
         } else {
-          this.currentVideo.currentTime = subtitle.startTime;
+          this.currentVideo.currentTime = startTime;
         }
       });
 
       mediaRecorder.start();
-      console.log(`[${this.platformName} Subs] Recording started at ${subtitle.startTime}s`);
+      console.log(`[${this.platformName} Subs] Recording started at ${startTime}s`);
 
       const wasPlaying = !this.currentVideo.paused;
       await this.currentVideo.play();
@@ -930,44 +2402,14 @@
       // Small delay to let MediaRecorder fully release resources
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      const reader = new FileReader();
-      const base64Promise = new Promise((resolve, reject) => {
-        reader.onloadend = () => {
-          const base64 = reader.result.split(',')[1]; // Remove data:audio/webm;base64, prefix
-          resolve(base64);
-        };
-        reader.onerror = reject;
-      });
-      reader.readAsDataURL(audioBlob);
-      const base64Audio = await base64Promise;
-
-      // Generate filename using timestamp and first few words
-      const timestamp = Date.now();
-      const textPreview = subtitle.text.split(' ').slice(0, 3).join('_').replace(/[^\u0590-\u05FF\w]/g, '');
-      const filename = `subtitle_${timestamp}_${textPreview}.webm`;
-
-      console.log(`[${this.platformName} Subs] Storing audio in Anki as: ${filename}`);
-
-      // Store in Anki via AnkiConnect
-      const response = await chrome.runtime.sendMessage({
-        action: 'ankiStoreMediaFile',
-        filename: filename,
-        data: base64Audio
-      });
-
       // Disconnect recording destination (but keep source connected to speakers)
       if (destNode) {
         this.audioSourceNode.disconnect(destNode);
+        destNode = null;
         console.log(`[${this.platformName} Subs] Recording stream disconnected`);
       }
 
-      if (response && response.success) {
-        console.log(`[${this.platformName} Subs] Audio successfully stored in Anki`);
-        return filename;
-      } else {
-        console.error(`[${this.platformName} Subs] Failed to store audio in Anki:`, response?.error);
-        return null;
-      }
+      return audioBlob;
 
     } catch (error) {
       console.error(`[${this.platformName} Subs] Error recording audio:`, error);
@@ -983,6 +2425,119 @@
     }
   }
 
+  /**
+   * Capture the current video frame as a JPEG
+   * Draws the video onto a canvas; DRM-protected or cross-origin videos can't be read back
+   * (blank frame or tainted canvas), so those fall back to a cropped screenshot of the tab
+   * @param {Object} subtitle - Subtitle object the frame is for (used for the filename)
+   * @returns {Promise<Object|null>} Frame {filename, dataUrl}, or null if capture failed
+   */
+  async captureVideoFrame(subtitle) {
+    const video = this.currentVideo;
+    if (!video || !video.videoWidth) {
+      console.error(`[${this.platformName} Subs] No video frame available for screenshot`);
+      return null;
+    }
+
+    let dataUrl = null;
+    try {
+      dataUrl = this.drawVideoFrame(video);
+    } catch (error) {
+      console.log(`[${this.platformName} Subs] Canvas capture not allowed (${error.name}), using tab screenshot`);
+    }
+
+    if (!dataUrl) {
+      try {
+        dataUrl = await this.captureVideoFromTab(video);
+      } catch (error) {
+        console.error(`[${this.platformName} Subs] Error capturing video frame:`, error);
+        return null;
+      }
+    }
+
+    if (!dataUrl) return null;
+
+    const textPreview = subtitle.text.split(' ').slice(0, 3).join('_').replace(/[^\u0590-\u05FF\w]/g, '');
+    return {
+      filename: `subtitle_${Date.now()}_${textPreview}.jpg`,
+      dataUrl: dataUrl
+    };
+  }
+
+  /**
+   * Draw the video's current frame onto a canvas
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {string|null} JPEG data URL, or null if the frame came out blank (DRM)
+   * @throws {DOMException} SecurityError if the canvas is tainted by a cross-origin video
+   */
+  drawVideoFrame(video) {
+    const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    // Protected content draws as solid black; sample the frame to detect it
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    const step = Math.max(4, Math.floor(pixels.length / 4 / 1000) * 4);
+    let hasContent = false;
+    for (let i = 0; i < pixels.length; i += step) {
+      if (pixels[i] > 16 || pixels[i + 1] > 16 || pixels[i + 2] > 16) {
+        hasContent = true;
+        break;
+      }
+    }
+
+    return hasContent ? canvas.toDataURL('image/jpeg', FRAME_JPEG_QUALITY) : null;
+  }
+
+  /**
+   * Screenshot the visible tab and crop it to the video's on-screen rectangle
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {Promise<string|null>} JPEG data URL, or null if the screenshot failed
+   */
+  async captureVideoFromTab(video) {
+    // Inside an iframe (e.g. an embedded player) the video's position in the tab is unknown
+    if (window !== window.top) {
+      console.error(`[${this.platformName} Subs] Can't crop a tab screenshot from inside a frame`);
+      return null;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'captureVisibleTab' });
+    if (!response || !response.success) {
+      console.error(`[${this.platformName} Subs] Tab screenshot failed:`, response?.error);
+      return null;
+    }
+
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = reject;
+      image.src = response.dataUrl;
+    });
+
+    // The screenshot is in device pixels of the viewport
+    const ratio = image.width / window.innerWidth;
+    const rect = video.getBoundingClientRect();
+    const left = Math.max(0, rect.left);
+    const top = Math.max(0, rect.top);
+    const width = Math.min(window.innerWidth, rect.right) - left;
+    const height = Math.min(window.innerHeight, rect.bottom) - top;
+    if (width <= 0 || height <= 0) return null;
+
+    const scale = Math.min(1, MAX_FRAME_WIDTH / (width * ratio));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * ratio * scale);
+    canvas.height = Math.round(height * ratio * scale);
+    canvas.getContext('2d').drawImage(image,
+      left * ratio, top * ratio, width * ratio, height * ratio,
+      0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', FRAME_JPEG_QUALITY);
+  }
+
   /**
    * Cleanup resources
    */
@@ -991,11 +2546,34 @@
       this.subtitleOverlay.remove();
       this.subtitleOverlay = null;
     }
+    if (this.secondaryOverlay) {
+      this.secondaryOverlay.remove();
+      this.secondaryOverlay = null;
+    }
+    if (this.studyPauseHint) {
+      this.studyPauseHint.remove();
+      this.studyPauseHint = null;
+    }
+    if (this.shortcutHelp) {
+      this.shortcutHelp.remove();
+      this.shortcutHelp = null;
+    }
+    if (this.toast) {
+      this.toast.remove();
+      this.toast = null;
+    }
+    if (this.showBrowserButton) {
+      this.showBrowserButton.remove();
+      this.showBrowserButton = null;
+    }
+    clearTimeout(this.studyPauseTimer);
     if (this.subtitleBrowser) {
       this.subtitleBrowser.remove();
       this.subtitleBrowser = null;
     }
     this.subtitles = [];
+    this.originalSubtitles = [];
+    this.secondarySubtitles = [];
     this.currentSubtitleIndex = -1;
     this.currentVideo = null;
   }
@@ -4,8 +4,15 @@
 (function() {
   'use strict';
 
+  // Last /player response, reused for audio extraction: {videoId, data}
+  let cachedPlayerData = null;
+
   // Standalone InnerTube API function (proven working /player endpoint)
-  async function fetchYouTubeCaptionTrack(videoId, languageCode = 'iw') {
+  async function fetchYouTubePlayerData(videoId) {
+    if (cachedPlayerData && cachedPlayerData.videoId === videoId) {
+      return cachedPlayerData.data;
+    }
+
     let apiKey = null;
     const scriptElements = document.querySelectorAll('script');
     for (const script of scriptElements) {
@@ -55,19 +62,67 @@
       return null;
     }
 
+    cachedPlayerData = { videoId: videoId, data: playerData };
+    return playerData;
+  }
+
+  /**
+   * Find the player's own request for an audio stream
+   * Formats with a signatureCipher have no usable URL in the /player response, but the player
+   * requests them with the signature already deciphered, so its URL can be reused without the
+   * per-request parameters
+   * @param {string|number} itag - Format itag
+   * @returns {string|null} Stream URL, or null if the player hasn't requested that stream
+   */
+  function findPlayerStreamUrl(itag) {
+    const entry = performance.getEntriesByType('resource')
+      .map(resource => new URL(resource.name))
+      .reverse()
+      .find(url => url.pathname.endsWith('/videoplayback') && url.searchParams.get('itag') === String(itag));
+    if (!entry) return null;
+
+    ['range', 'rn', 'rbuf', 'ump', 'srfvp'].forEach(param => entry.searchParams.delete(param));
+    return entry.href;
+  }
+
+  async function fetchYouTubeCaptionTrack(videoId, languageCode = 'iw') {
+    const playerData = await fetchYouTubePlayerData(videoId);
+    if (!playerData) return null;
+
     const tracks = playerData?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
 
     console.log('[YouTube Subs] Got', tracks.length, 'caption tracks from player API');
 
-    const track = tracks.find(t => t.languageCode === languageCode || t.languageCode === 'he');
-    return track;
+    // YouTube still uses the old 'iw' code for Hebrew; other languages may carry a region ('en-GB')
+    const codes = languageCode === 'iw' || languageCode === 'he' ? ['iw', 'he'] : [languageCode];
+    const matching = tracks.filter(t => codes.includes(t.languageCode) || codes.includes(t.languageCode.split('-')[0]));
+
+    // Prefer uploaded captions over auto-generated (kind 'asr') ones
+    return matching.find(t => t.kind !== 'asr') || matching[0];
+  }
+
+  /**
+   * Find a caption track in a second language, falling back to YouTube's
+   * machine translation of the Hebrew track when the video has none
+   * @param {string} videoId - YouTube video ID
+   * @param {string} languageCode - Language code (e.g., 'en')
+   * @returns {Promise<Object|null>} Caption track {baseUrl, ...}
+   */
+  async function fetchYouTubeSecondaryTrack(videoId, languageCode) {
+    const track = await fetchYouTubeCaptionTrack(videoId, languageCode);
+    if (track) return track;
+
+    const hebrewTrack = await fetchYouTubeCaptionTrack(videoId, 'iw');
+    if (!hebrewTrack || !hebrewTrack.baseUrl || hebrewTrack.isTranslatable === false) return null;
+
+    console.log('[YouTube Subs] No', languageCode, 'captions, using YouTube translation of the Hebrew track');
+    return { ...hebrewTrack, baseUrl: `${hebrewTrack.baseUrl}&tlang=${encodeURIComponent(languageCode)}` };
   }
 
   class YouTubeSubtitleReader extends window.SubtitleReaderBase {
     constructor() {
       super('YouTube');
       this.captionTracks = [];
-      this.subtitleTimeOffset = 0;
     }
 
     /**
@@ -85,6 +140,52 @@
       return urlParams.get('v');
     }
 
+    /**
+     * Get the smallest MP4 audio-only stream from the /player response
+     * (its sidx index lets clips be cut without playing the video). Ciphered formats use the
+     * URL the player deciphered when it requested them.
+     */
+    async getAudioSource() {
+      const videoId = this.getVideoId();
+      if (!videoId) return null;
+
+      const playerData = await fetchYouTubePlayerData(videoId);
+      const formats = (playerData?.streamingData?.adaptiveFormats || [])
+        .filter(f => f.mimeType && f.mimeType.startsWith('audio/mp4') && f.initRange && f.indexRange)
+        .sort((a, b) => (a.bitrate || 0) - (b.bitrate || 0));
+
+      let format = null;
+      let url = null;
+      for (const candidate of formats) {
+        url = candidate.url || findPlayerStreamUrl(candidate.itag);
+        if (url) {
+          format = candidate;
+          break;
+        }
+      }
+      if (!format) {
+        console.log(formats.length > 0
+          ? '[YouTube Subs] Audio streams are ciphered and the player hasn\'t requested one yet'
+          : '[YouTube Subs] No MP4 audio stream in the player response');
+        return null;
+      }
+
+      return {
+        type: 'dash',
+        url: url,
+        initRange: { start: Number(format.initRange.start), end: Number(format.initRange.end) },
+        indexRange: { start: Number(format.indexRange.start), end: Number(format.indexRange.end) },
+        rangeParam: true  // googlevideo.com takes byte ranges as a URL parameter
+      };
+    }
+
+    /**
+     * Get the video title without YouTube's " - YouTube" suffix
+     */
+    getVideoTitle() {
+      return document.title.replace(/^\(\d+\)\s*/, '').replace(/\s*-\s*YouTube$/, '').trim();
+    }
+
     /**
      * Parse YouTube's timedtext format (XML with <p> and <s> elements)
      */
@@ -176,6 +277,37 @@
 
       console.log('[YouTube Subs] Got caption track, fetching subtitles...');
 
+      const parsedSubtitles = await this.fetchTrackSubtitles(track);
+
+      if (parsedSubtitles.length > 0) {
+        console.log('[YouTube Subs] Successfully loaded', parsedSubtitles.length, 'subtitles');
+      }
+      return parsedSubtitles;
+    }
+
+    /**
+     * Load a second-language caption track (shown under the Hebrew one)
+     * @param {string} languageCode - Language code (e.g., 'en')
+     */
+    async loadSecondarySubtitles(languageCode) {
+      const videoId = this.getVideoId();
+      if (!videoId) return [];
+
+      const track = await fetchYouTubeSecondaryTrack(videoId, languageCode);
+      if (!track || !track.baseUrl) {
+        console.log('[YouTube Subs] No', languageCode, 'caption track found');
+        return [];
+      }
+
+      return this.fetchTrackSubtitles(track);
+    }
+
+    /**
+     * Download and parse a caption track
+     * @param {Object} track - Caption track from the /player response
+     * @returns {Promise<Array>} Parsed subtitles (empty on failure)
+     */
+    async fetchTrackSubtitles(track) {
       const response = await fetch(track.baseUrl);
 
       if (!response.ok) {
@@ -194,22 +326,19 @@
 
       if (parsedSubtitles.length === 0) {
         console.error('[YouTube Subs] No subtitles parsed from XML');
-        return [];
       }
-
-      console.log('[YouTube Subs] Successfully loaded', parsedSubtitles.length, 'subtitles');
       return parsedSubtitles;
     }
 
     /**
      * Update current subtitle display
-     * Overrides base method to add time offset support
+     * Overrides base method to notify the YouTube word highlighter (cue times already include
+     * the title's timing, see applySubtitleTiming)
      */
     updateCurrentSubtitle() {
       if (!this.currentVideo || this.subtitles.length === 0) return;
 
-      // Apply time offset for sync adjustment
-      const currentTime = this.currentVideo.currentTime + this.subtitleTimeOffset;
+      const currentTime = this.currentVideo.currentTime;
 
       let foundIndex = -1;
       for (let i = 0; i < this.subtitles.length; i++) {
@@ -245,6 +374,8 @@
           }
         }
 
+        this.updateSecondaryOverlay(foundIndex !== -1 ? this.subtitles[foundIndex] : null);
+
         // Update browser highlight
         this.updateBrowserHighlight(foundIndex);
       }
@@ -252,10 +383,14 @@
 
     /**
      * Update browser highlighting for current subtitle
+     * @param {number} index - Index of the playing cue (highlights the browser line containing it)
      */
     updateBrowserHighlight(index) {
       if (!this.subtitleBrowser) return;
 
+      const unitIndex = this.getMiningUnits().findIndex(unit => unit.cueIndexes.includes(index));
+      this.currentUnitIndex = unitIndex;
+
       const container = document.getElementById('anki-youtube-subtitle-browser-list');
       if (!container) return;
 
@@ -264,7 +399,7 @@
         const isI1 = item.classList.contains('anki-i1-sentence');
         const isPotentiallyI1 = item.classList.contains('anki-potentially-i1-sentence');
 
-        if (i === index) {
+        if (i === unitIndex) {
           // Preserve i+1 and potentially-i+1 backgrounds, otherwise use highlight color
           if (isI1) {
             item.style.backgroundColor = '#add8e6'; // Light blue
@@ -305,119 +440,6 @@
   // Expose class to global scope
   window.YouTubeSubtitleReader = YouTubeSubtitleReader;
 
-  /**
-   * Setup keyboard navigation for subtitles
-   * @param {YouTubeSubtitleReader} reader - The subtitle reader instance
-   * @param {HTMLVideoElement} video - The video element
-   */
-  function setupKeyboardNavigation(reader, video) {
-    // Use capture phase to intercept before YouTube's handlers
-    document.addEventListener('keydown', (e) => {
-      // Only block arrow keys when actively typing in text fields
-      const activeElement = document.activeElement;
-      if (activeElement && (
-        activeElement.tagName === 'INPUT' ||
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.isContentEditable
-      )) {
-        return; // Let user use arrow keys normally in text fields
-      }
-
-      // Left arrow: previous subtitle
-      if (e.key === 'ArrowLeft') {
-        e.preventDefault(); // Prevent default behavior
-        e.stopPropagation(); // Stop YouTube from seeing this event
-
-        const currentTime = video.currentTime;
-        const subtitles = reader.subtitles;
-
-        if (subtitles.length === 0) return;
-
-        // Find current subtitle index
-        let currentIndex = -1;
-        for (let i = 0; i < subtitles.length; i++) {
-          if (currentTime >= subtitles[i].startTime && currentTime < subtitles[i].endTime) {
-            currentIndex = i;
-            break;
-          }
-        }
-
-        // If no current subtitle, find the last subtitle before current time
-        if (currentIndex === -1) {
-          for (let i = subtitles.length - 1; i >= 0; i--) {
-            if (currentTime >= subtitles[i].endTime) {
-              currentIndex = i;
-              break;
-            }
-          }
-        }
-
-        // Go to previous subtitle
-        const prevIndex = currentIndex > 0 ? currentIndex - 1 : 0;
-        if (subtitles[prevIndex]) {
-          video.currentTime = subtitles[prevIndex].startTime;
-          console.log('[YouTube Subs] Jump to previous subtitle:', subtitles[prevIndex].text);
-        }
-      }
-
-      // Right arrow: next subtitle
-      if (e.key === 'ArrowRight') {
-        e.preventDefault(); // Prevent default behavior
-        e.stopPropagation(); // Stop YouTube from seeing this event
-
-        const currentTime = video.currentTime;
-        const subtitles = reader.subtitles;
-
-        if (subtitles.length === 0) return;
-
-        // Find the next subtitle after current time
-        let nextIndex = -1;
-        for (let i = 0; i < subtitles.length; i++) {
-          if (subtitles[i].startTime > currentTime) {
-            nextIndex = i;
-            break;
-          }
-        }
-
-        // If found a next subtitle, jump to it
-        if (nextIndex !== -1 && subtitles[nextIndex]) {
-          video.currentTime = subtitles[nextIndex].startTime;
-          console.log('[YouTube Subs] Jump to next subtitle:', subtitles[nextIndex].text);
-        } else {
-          console.log('[YouTube Subs] Already at last subtitle');
-        }
-      }
-
-      // Down arrow: repeat current subtitle
-      if (e.key === 'ArrowDown') {
-        e.preventDefault(); // Prevent default behavior
-        e.stopPropagation(); // Stop YouTube from seeing this event
-
-        const currentTime = video.currentTime;
-        const subtitles = reader.subtitles;
-
-        if (subtitles.length === 0) return;
-
-        // Find current subtitle
-        let currentIndex = -1;
-        for (let i = 0; i < subtitles.length; i++) {
-          if (currentTime >= subtitles[i].startTime && currentTime <= subtitles[i].endTime) {
-            currentIndex = i;
-            break;
-          }
-        }
-
-        // If found current subtitle, jump to its start
-        if (currentIndex !== -1 && subtitles[currentIndex]) {
-          video.currentTime = subtitles[currentIndex].startTime;
-          console.log('[YouTube Subs] Repeat current subtitle:', subtitles[currentIndex].text);
-        } else {
-          console.log('[YouTube Subs] No current subtitle to repeat');
-        }
-      }
-    }, true); // Use capture phase to intercept before YouTube's handlers
-  }
-
   // Store current reader instance globally for cleanup on navigation
   let currentReader = null;
 
@@ -447,12 +469,8 @@
             console.log('[YouTube Subs] Video found, starting reader');
 
             currentReader.initialize('iw').then(() => {
-              // Setup keyboard navigation only if subtitles were loaded
-              if (currentReader.subtitles && currentReader.subtitles.length > 0) {
-                setupKeyboardNavigation(currentReader, video);
-                console.log('[YouTube Subs] Keyboard navigation enabled (←/→/↓)');
-              } else {
-                console.log('[YouTube Subs] No subtitles loaded, arrow keys will work normally');
+              if (!currentReader.subtitles || currentReader.subtitles.length === 0) {
+                console.log('[YouTube Subs] No subtitles loaded, shortcuts disabled');
               }
             }).catch(error => {
               console.error('[YouTube Subs] Initialization error:', error);
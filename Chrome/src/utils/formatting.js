@@ -32,7 +32,26 @@
     return `${formatTime(startTime)} → ${formatTime(endTime)}`;
   }
 
+  /**
+   * Format a past timestamp relative to now
+   * @param {number} timestamp - Time in milliseconds since epoch
+   * @returns {string} Relative time (e.g., "today", "3 days ago", "2 months ago")
+   */
+  function formatTimeAgo(timestamp) {
+    const days = Math.floor((Date.now() - timestamp) / 86400000);
+
+    if (days < 1) return 'today';
+    if (days === 1) return 'yesterday';
+    if (days < 60) return `${days} days ago`;
+
+    const months = Math.floor(days / 30);
+    if (months < 24) return `${months} months ago`;
+
+    return `${Math.floor(days / 365)} years ago`;
+  }
+
   // Expose to global scope
   window.formatTime = formatTime;
   window.formatTimestamp = formatTimestamp;
+  window.formatTimeAgo = formatTimeAgo;
 })();
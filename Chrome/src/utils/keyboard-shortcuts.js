@@ -0,0 +1,88 @@
+// Keyboard shortcuts for the subtitle readers: actions, default keys, and key names
+// Shared by the readers (which run the actions) and the options page (which remaps them)
+
+(function() {
+  'use strict';
+
+  // Actions in the order the help overlay lists them
+  // Default keys stay clear of the players' own (arrows, Space, J/K/L, F, M, C, T, S...)
+  const SHORTCUT_ACTIONS = {
+    previousLine: { label: 'Previous line', defaultKey: 'A' },
+    nextLine: { label: 'Next line', defaultKey: 'D' },
+    replayLine: { label: 'Replay line', defaultKey: 'R' },
+    slowReplay: { label: 'Replay line slowly', defaultKey: 'Shift+R' },
+    mineLine: { label: 'Mine line (open card creator)', defaultKey: 'E' },
+    recordAudio: { label: 'Record line audio', defaultKey: 'Q' },
+    lookUpWord: { label: 'Look up unknown word', defaultKey: 'W' },
+    toggleTranslation: { label: 'Reveal / blur translation', defaultKey: 'V' },
+    toggleOverlay: { label: 'Show / hide subtitle overlay', defaultKey: 'H' },
+    toggleBrowser: { label: 'Show / hide subtitle browser', defaultKey: 'B' },
+    showHelp: { label: 'Show keyboard shortcuts', defaultKey: '?' }
+  };
+
+  // Keys that only modify other keys
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Dead', 'Unidentified'];
+
+  /**
+   * Get the key bound to each action, with custom bindings over the defaults
+   * @param {Object} customBindings - {actionId: key} from settings ('' unbinds an action)
+   * @returns {Object} {actionId: key}
+   */
+  function getShortcutBindings(customBindings = {}) {
+    const bindings = {};
+    Object.entries(SHORTCUT_ACTIONS).forEach(([action, { defaultKey }]) => {
+      bindings[action] = customBindings && typeof customBindings[action] === 'string'
+        ? customBindings[action]
+        : defaultKey;
+    });
+    return bindings;
+  }
+
+  /**
+   * Name the key combination of a keydown event (e.g. 'R', 'Shift+R', 'Ctrl+ArrowLeft', '?')
+   * Letters are named by their position, so shortcuts keep working with the Hebrew layout active
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {string|null} Key name, or null for a lone modifier key
+   */
+  function getShortcutKey(event) {
+    const key = event.key;
+    if (!key || MODIFIER_KEYS.includes(key)) return null;
+
+    const letterMatch = /^Key([A-Z])$/.exec(event.code || '');
+    const isCharacter = key.length === 1 && key !== ' ';
+
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.metaKey) parts.push('Meta');
+    // Shift is part of symbols like '?' already, so only name it for letters and named keys
+    if (event.shiftKey && (letterMatch || !isCharacter)) parts.push('Shift');
+
+    if (letterMatch) {
+      parts.push(letterMatch[1]);
+    } else if (key === ' ') {
+      parts.push('Space');
+    } else {
+      parts.push(isCharacter ? key.toUpperCase() : key);
+    }
+    return parts.join('+');
+  }
+
+  /**
+   * Find the action bound to a key
+   * @param {string} key - Key name from getShortcutKey()
+   * @param {Object} bindings - {actionId: key}
+   * @returns {string|null} Action ID
+   */
+  function findShortcutAction(key, bindings) {
+    if (!key) return null;
+    const entry = Object.entries(bindings).find(([, boundKey]) => boundKey === key);
+    return entry ? entry[0] : null;
+  }
+
+  // Expose to global scope
+  window.SHORTCUT_ACTIONS = SHORTCUT_ACTIONS;
+  window.getShortcutBindings = getShortcutBindings;
+  window.getShortcutKey = getShortcutKey;
+  window.findShortcutAction = findShortcutAction;
+})();
@@ -0,0 +1,128 @@
+// Where a mined sentence came from: page or video moment, as an Anki field and tags
+(function() {
+  'use strict';
+
+  // Anki tag prefix for source tags (e.g. source::netflix::Fauda)
+  const SOURCE_TAG_PREFIX = 'source::';
+
+  /**
+   * Describe the current page as a sentence source
+   * @returns {Object} Source {url, title}
+   */
+  function getPageSource() {
+    return {
+      url: window.location.href,
+      title: document.title.trim()
+    };
+  }
+
+  /**
+   * Build a link back to the exact moment of a video source
+   * @param {Object} source - Source {platform, videoId, time, url}
+   * @returns {string} URL (the page URL when the platform has no moment links)
+   */
+  function buildSourceUrl(source) {
+    const seconds = Math.max(0, Math.floor(source.time || 0));
+    const platform = (source.platform || '').toLowerCase();
+
+    if (platform === 'youtube' && source.videoId) {
+      return `https://www.youtube.com/watch?v=${encodeURIComponent(source.videoId)}&t=${seconds}s`;
+    }
+    if (platform === 'netflix' && source.videoId) {
+      return `https://www.netflix.com/watch/${encodeURIComponent(source.videoId)}?t=${seconds}`;
+    }
+    return source.url || '';
+  }
+
+  /**
+   * Turn text into a single Anki tag component (no spaces or ::)
+   * @param {string} text - Text to convert
+   * @returns {string} Tag component
+   */
+  function toTagComponent(text) {
+    return String(text || '')
+      .replace(/::/g, ':')
+      .replace(/["\s]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 80);
+  }
+
+  /**
+   * Build Anki tags for a source: source::<platform>::<title>, or source::web::<host> for pages
+   * @param {Object} source - Source {platform, title, url}
+   * @returns {Array<string>} Tags
+   */
+  function buildSourceTags(source) {
+    if (!source) return [];
+
+    if (source.platform) {
+      const platform = toTagComponent(source.platform.toLowerCase());
+      const title = toTagComponent(source.title);
+      return [title ? `${SOURCE_TAG_PREFIX}${platform}::${title}` : `${SOURCE_TAG_PREFIX}${platform}`];
+    }
+
+    try {
+      const host = new URL(source.url).hostname.replace(/^www\./, '');
+      return host ? [`${SOURCE_TAG_PREFIX}web::${toTagComponent(host)}`] : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Escape text for use inside field HTML
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Format a source as a field value: a link labelled with platform, title, and timestamp
+   * @param {Object} source - Source {platform, videoId, title, time, url}
+   * @returns {string} Field HTML (e.g. <a href="...">Netflix: Fauda (12:34)</a>)
+   */
+  function formatSourceField(source) {
+    if (!source) return '';
+
+    const url = buildSourceUrl(source);
+    let label = source.title || url;
+    if (source.platform) {
+      label = source.title ? `${source.platform}: ${source.title}` : source.platform;
+      if (typeof source.time === 'number') {
+        label += ` (${window.formatTime(source.time)})`;
+      }
+    }
+
+    return url ? `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>` : escapeHtml(label);
+  }
+
+  /**
+   * Read the link and label back out of a source field
+   * @param {string} html - Source field value
+   * @returns {Object|null} {url, label} (url is null for plain-text sources), or null if empty
+   */
+  function parseSourceField(html) {
+    if (!html || !html.trim()) return null;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const link = doc.querySelector('a[href]');
+    const href = link ? link.getAttribute('href') : (doc.body.textContent.trim().match(/^https?:\/\/\S+$/) || [])[0];
+    const url = href && /^https?:\/\//i.test(href) ? href : null;
+
+    return { url: url, label: doc.body.textContent.trim() || url };
+  }
+
+  // Expose to global scope
+  window.SOURCE_TAG_PREFIX = SOURCE_TAG_PREFIX;
+  window.getPageSource = getPageSource;
+  window.buildSourceUrl = buildSourceUrl;
+  window.buildSourceTags = buildSourceTags;
+  window.formatSourceField = formatSourceField;
+  window.parseSourceField = parseSourceField;
+})();
@@ -0,0 +1,124 @@
+// Shared vocabulary index built once per word-list update
+
+(function() {
+  'use strict';
+
+  /**
+   * Indexed view of the known-word lists. Lookups are Set-based and word
+   * analyses are memoized, so one instance can be shared by the content
+   * coordinator, subtitle readers, and comprehension stats.
+   */
+  class VocabularyStore {
+    /**
+     * @param {Object} data - Word data from storage
+     * @param {Array} data.matureWords - Mature words
+     * @param {Array} data.learningWords - Learning words
+     * @param {Object} data.wordRecords - Map of word → {interval, ease, lapses, lastReview, noteIds, decks}
+     */
+    constructor({ matureWords = [], learningWords = [], wordRecords = {} } = {}) {
+      // Arrays are kept for callers that still expect lists (e.g. card creator)
+      this.matureWords = matureWords;
+      this.learningWords = learningWords;
+      this.mature = new Set(matureWords);
+      this.learning = new Set(learningWords);
+      this.records = wordRecords || {};
+    }
+
+    /**
+     * Analyze a word (see window.analyzeHebrewWord)
+     * @param {string} word - Hebrew word, with or without nikud
+     * @returns {Object} {type, lemma, lemmaStatus, prefixes, suffix, infinitive}
+     */
+    analyze(word) {
+      return window.analyzeHebrewWord(window.normalizeHebrew(word), this.mature, this.learning);
+    }
+
+    /**
+     * @param {string} word - Hebrew word
+     * @returns {string} 'mature', 'learning', 'potentially-known', or 'unknown'
+     */
+    status(word) {
+      return this.analyze(word).type;
+    }
+
+    /**
+     * @param {string} word - Hebrew word
+     * @returns {string|null} The known lemma the word matched, or null
+     */
+    lemma(word) {
+      return this.analyze(word).lemma;
+    }
+
+    /**
+     * @param {string} word - Hebrew word
+     * @returns {Object|null} Review record of the matched lemma
+     *   {interval, ease, lapses, lastReview, noteIds, decks}, or null
+     */
+    record(word) {
+      const lemma = this.lemma(word);
+      return (lemma && this.records[lemma]) || null;
+    }
+
+    /**
+     * @param {string} word - Hebrew word
+     * @returns {number|null} Longest card interval (days) of the matched lemma, or null
+     */
+    interval(word) {
+      const record = this.record(word);
+      return record ? record.interval : null;
+    }
+  }
+
+  let currentStore = null;
+  let storePromise = null;
+
+  /**
+   * Load the shared vocabulary store (built once, then kept in sync with storage)
+   * @returns {Promise<VocabularyStore>} Shared store
+   */
+  function loadVocabularyStore() {
+    if (!storePromise) {
+      storePromise = Promise.all([
+        chrome.storage.local.get(['matureWords', 'learningWords', 'wordRecords']),
+        window.loadConjugationWords()
+      ])
+        .then(([data]) => {
+          currentStore = new VocabularyStore(data);
+          return currentStore;
+        })
+        .catch(error => {
+          console.error('Error loading vocabulary store:', error);
+          storePromise = null;
+          currentStore = new VocabularyStore();
+          return currentStore;
+        });
+    }
+    return storePromise;
+  }
+
+  /**
+   * Get the shared vocabulary store if it has been loaded
+   * @returns {VocabularyStore|null} Shared store
+   */
+  function getVocabularyStore() {
+    return currentStore;
+  }
+
+  // Rebuild the index whenever the word lists change
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !currentStore) return;
+    if (changes.matureWords || changes.learningWords || changes.wordRecords) {
+      currentStore = new VocabularyStore({
+        matureWords: changes.matureWords ? changes.matureWords.newValue || [] : currentStore.matureWords,
+        learningWords: changes.learningWords ? changes.learningWords.newValue || [] : currentStore.learningWords,
+        wordRecords: changes.wordRecords ? changes.wordRecords.newValue || {} : currentStore.records
+      });
+      storePromise = Promise.resolve(currentStore);
+    }
+  });
+
+  // Expose to global scope
+  window.VocabularyStore = VocabularyStore;
+  window.loadVocabularyStore = loadVocabularyStore;
+  window.getVocabularyStore = getVocabularyStore;
+})();
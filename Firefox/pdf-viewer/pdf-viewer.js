@@ -0,0 +1,364 @@
+// PDF viewer page script for SelfStudyHebrew
+// Renders PDFs with the bundled pdf.js and lays a text layer over each page, so words can be
+// highlighted, looked up, and mined like on any web page
+
+// pdf.js build bundled with the extension (pdfjs-dist 4.10.38, see lib/pdfjs/README.md)
+const PDFJS_PATH = 'lib/pdfjs/pdf.min.mjs';
+const PDFJS_WORKER_PATH = 'lib/pdfjs/pdf.worker.min.mjs';
+// Zoom (pdf.js scale) limits and step
+const DEFAULT_ZOOM = 1.5;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.25;
+// Pages start rendering when they come this close to the visible area
+const RENDER_MARGIN = '800px';
+// Pages rendered in quick succession are highlighted together
+const HIGHLIGHT_DELAY_MS = 100;
+
+// DOM elements
+const landing = document.getElementById('landing');
+const openPdfBtn = document.getElementById('open-pdf-btn');
+const loadStatus = document.getElementById('load-status');
+const viewer = document.getElementById('viewer');
+const openOtherBtn = document.getElementById('open-other-btn');
+const documentTitle = document.getElementById('document-title');
+const pageIndicator = document.getElementById('page-indicator');
+const zoomOutBtn = document.getElementById('zoom-out-btn');
+const zoomLabel = document.getElementById('zoom-label');
+const zoomInBtn = document.getElementById('zoom-in-btn');
+const pagesContainer = document.getElementById('pages');
+const pdfFileInput = document.getElementById('pdf-file-input');
+
+// Viewer state
+let pdfjsLib = null;
+let pdfDocument = null;
+let pageViews = [];  // [{page, element, canvas, textLayer, rendered, renderTask}]
+let zoom = DEFAULT_ZOOM;
+let renderObserver = null;
+let highlightTimeout = null;
+
+let matureWords = [];
+let learningWords = [];
+let settings = {};
+
+/**
+ * Highlight known words and i+1 sentences in text that isn't highlighted yet
+ */
+function applyHighlights() {
+  if (matureWords.length === 0 && learningWords.length === 0) return;
+
+  // Word highlighting must happen FIRST, then sentence highlighting
+  if (settings.highlightEnabled !== false) {
+    window.highlightWords(matureWords, learningWords, { strengthGradient: settings.strengthGradientEnabled === true });
+  }
+  if (settings.sentenceHighlightEnabled !== false) {
+    window.highlightSentences(matureWords, learningWords, settings.sentenceColor || '#add8e6');
+  }
+  window.addDictionaryHoverListeners(refreshWords);
+}
+
+/**
+ * Highlight once the pages rendering right now are done
+ */
+function scheduleHighlights() {
+  clearTimeout(highlightTimeout);
+  highlightTimeout = setTimeout(applyHighlights, HIGHLIGHT_DELAY_MS);
+}
+
+/**
+ * Fetch the word lists from Anki again (the storage listener re-highlights with them)
+ * @returns {Promise<boolean>} True if the words were refreshed
+ */
+async function refreshWords() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'fetchWords' });
+    if (!response.success) {
+      console.error('[PDF Viewer] Failed to refresh words:', response.error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('[PDF Viewer] Error refreshing words:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the bundled pdf.js on first use
+ * @returns {Promise<Object>} pdf.js module
+ */
+async function loadPdfjs() {
+  if (!pdfjsLib) {
+    try {
+      pdfjsLib = await import(chrome.runtime.getURL(PDFJS_PATH));
+    } catch (error) {
+      console.error('[PDF Viewer] Error loading pdf.js:', error);
+      throw new Error('pdf.js could not be loaded');
+    }
+    pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(PDFJS_WORKER_PATH);
+  }
+  return pdfjsLib;
+}
+
+/**
+ * Size a page's placeholder for the current zoom and clear what was rendered into it
+ * @param {Object} pageView - Page view
+ */
+function resetPageView(pageView) {
+  if (pageView.renderTask) {
+    pageView.renderTask.cancel();
+    pageView.renderTask = null;
+  }
+  const viewport = pageView.page.getViewport({ scale: zoom });
+  pageView.element.style.width = `${viewport.width}px`;
+  pageView.element.style.height = `${viewport.height}px`;
+  pageView.canvas.width = 0;
+  pageView.canvas.height = 0;
+  pageView.textLayer.textContent = '';
+  pageView.rendered = false;
+}
+
+/**
+ * Render a page's canvas and text layer, then highlight it
+ * @param {Object} pageView - Page view
+ */
+async function renderPageView(pageView) {
+  if (pageView.rendered) return;
+  pageView.rendered = true;
+
+  const renderedZoom = zoom;
+  const viewport = pageView.page.getViewport({ scale: renderedZoom });
+  // Render at the screen's pixel density so text stays sharp
+  const outputScale = window.devicePixelRatio || 1;
+  const canvas = pageView.canvas;
+  canvas.width = Math.floor(viewport.width * outputScale);
+  canvas.height = Math.floor(viewport.height * outputScale);
+  canvas.style.width = `${viewport.width}px`;
+  canvas.style.height = `${viewport.height}px`;
+
+  try {
+    pageView.renderTask = pageView.page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport: viewport,
+      transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+    });
+    await pageView.renderTask.promise;
+    pageView.renderTask = null;
+    const textContent = await pageView.page.getTextContent();
+
+    // Skip the text layer if the zoom changed while rendering (the page renders again)
+    if (renderedZoom !== zoom) return;
+    window.renderPdfTextLayer(pageView.textLayer, textContent, viewport);
+    scheduleHighlights();
+  } catch (error) {
+    // Rendering is cancelled when the zoom changes
+    if (error.name === 'RenderingCancelledException') return;
+    console.error(`[PDF Viewer] Error rendering page ${pageView.page.pageNumber}:`, error);
+    pageView.rendered = false;
+  }
+}
+
+/**
+ * Create a placeholder for every page; pages render as they scroll into view
+ */
+async function createPageViews() {
+  if (renderObserver) {
+    renderObserver.disconnect();
+  }
+  pagesContainer.textContent = '';
+  pageViews = [];
+
+  renderObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        renderPageView(pageViews[Number(entry.target.dataset.pageIndex)]);
+      }
+    });
+  }, { rootMargin: RENDER_MARGIN });
+
+  for (let i = 1; i <= pdfDocument.numPages; i++) {
+    const page = await pdfDocument.getPage(i);
+
+    const element = document.createElement('div');
+    element.className = 'pdf-page';
+    element.dataset.pageIndex = String(i - 1);
+
+    const canvas = document.createElement('canvas');
+    element.appendChild(canvas);
+
+    const textLayer = document.createElement('div');
+    textLayer.className = 'pdf-text-layer';
+    element.appendChild(textLayer);
+
+    const pageView = { page: page, element: element, canvas: canvas, textLayer: textLayer, rendered: false, renderTask: null };
+    resetPageView(pageView);
+    pageViews.push(pageView);
+    pagesContainer.appendChild(element);
+    renderObserver.observe(element);
+  }
+
+  updatePageIndicator();
+}
+
+/**
+ * Change the zoom, keeping the same part of the document in view
+ * @param {number} newZoom - New pdf.js scale
+ */
+function setZoom(newZoom) {
+  newZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, newZoom));
+  zoomLabel.textContent = `${Math.round(newZoom / DEFAULT_ZOOM * 100)}%`;
+  zoomOutBtn.disabled = newZoom <= MIN_ZOOM;
+  zoomInBtn.disabled = newZoom >= MAX_ZOOM;
+  if (newZoom === zoom || pageViews.length === 0) {
+    zoom = newZoom;
+    return;
+  }
+
+  const scrollRatio = window.scrollY / Math.max(1, document.documentElement.scrollHeight);
+  zoom = newZoom;
+  pageViews.forEach(pageView => {
+    resetPageView(pageView);
+    // Observing again reports the pages already in view, so they render at the new zoom
+    renderObserver.unobserve(pageView.element);
+    renderObserver.observe(pageView.element);
+  });
+  window.scrollTo(0, scrollRatio * document.documentElement.scrollHeight);
+}
+
+/**
+ * Show which page is at the top of the window
+ */
+function updatePageIndicator() {
+  if (pageViews.length === 0) return;
+
+  const toolbarHeight = viewer.querySelector('.toolbar').offsetHeight;
+  const index = pageViews.findIndex(pageView => pageView.element.getBoundingClientRect().bottom > toolbarHeight);
+  const current = index === -1 ? pageViews.length : index + 1;
+  pageIndicator.textContent = `Page ${current} of ${pageViews.length}`;
+}
+
+/**
+ * Open a PDF
+ * @param {Object} source - pdf.js document source ({url} or {data})
+ * @param {string} name - File name, used as the title if the PDF has none
+ */
+async function openPdf(source, name) {
+  loadStatus.textContent = `Opening ${name}...`;
+  loadStatus.className = 'load-status';
+
+  try {
+    const pdfjs = await loadPdfjs();
+    if (pdfDocument) {
+      await pdfDocument.destroy();
+      pdfDocument = null;
+    }
+    pdfDocument = await pdfjs.getDocument({ ...source, isEvalSupported: false }).promise;
+
+    const metadata = await pdfDocument.getMetadata().catch(() => null);
+    const title = (metadata && metadata.info && metadata.info.Title) || name.replace(/\.pdf$/i, '');
+    console.log(`[PDF Viewer] Opened "${title}" (${pdfDocument.numPages} pages)`);
+
+    landing.style.display = 'none';
+    viewer.style.display = 'block';
+    loadStatus.textContent = '';
+    documentTitle.textContent = title;
+    // The page title is the source of cards mined from the PDF
+    document.title = title;
+
+    window.scrollTo(0, 0);
+    await createPageViews();
+  } catch (error) {
+    console.error('[PDF Viewer] Error opening PDF:', error);
+    landing.style.display = 'block';
+    viewer.style.display = 'none';
+    loadStatus.textContent = `Could not open ${name}: ${error.message}`;
+    loadStatus.className = 'load-status error';
+  }
+}
+
+/**
+ * Open a PDF file picked or dropped by the user
+ * @param {File} file - PDF file
+ */
+async function openPdfFile(file) {
+  openPdf({ data: await file.arrayBuffer() }, file.name);
+}
+
+async function initialize() {
+  setZoom(DEFAULT_ZOOM);
+
+  try {
+    const vocabulary = await window.loadVocabularyStore();
+    matureWords = vocabulary.matureWords;
+    learningWords = vocabulary.learningWords;
+
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    settings = response.settings || {};
+
+    window.initializeCardCreator(() => ({ matureWords, learningWords }));
+    window.initializeDictionaryFeature(refreshWords);
+  } catch (error) {
+    console.error('[PDF Viewer] Error initializing:', error);
+  }
+
+  // Opened from the popup on a tab showing a PDF
+  const fileUrl = new URLSearchParams(window.location.search).get('file');
+  if (fileUrl) {
+    const name = decodeURIComponent(new URL(fileUrl).pathname.split('/').pop() || fileUrl);
+    openPdf({ url: fileUrl }, name);
+  }
+}
+
+// Re-highlight when the words or settings change
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (!changes.matureWords && !changes.learningWords && !changes.conjugationWords && !changes.settings) return;
+
+  if (changes.settings) {
+    settings = changes.settings.newValue || {};
+  }
+  const vocabulary = await window.loadVocabularyStore();
+  matureWords = vocabulary.matureWords;
+  learningWords = vocabulary.learningWords;
+
+  window.removeSentenceHighlights();
+  window.removeHighlights();
+  applyHighlights();
+});
+
+// Event listeners
+openPdfBtn.addEventListener('click', () => pdfFileInput.click());
+openOtherBtn.addEventListener('click', () => pdfFileInput.click());
+pdfFileInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) {
+    openPdfFile(file);
+    // Reset file input so the same file can be opened again
+    e.target.value = '';
+  }
+});
+
+zoomOutBtn.addEventListener('click', () => setZoom(zoom - ZOOM_STEP));
+zoomInBtn.addEventListener('click', () => setZoom(zoom + ZOOM_STEP));
+window.addEventListener('scroll', updatePageIndicator, { passive: true });
+
+// Open a dropped file
+document.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  document.body.classList.add('drag-over');
+});
+document.addEventListener('dragleave', (e) => {
+  if (e.target === document.documentElement || e.target === document.body) {
+    document.body.classList.remove('drag-over');
+  }
+});
+document.addEventListener('drop', (e) => {
+  e.preventDefault();
+  document.body.classList.remove('drag-over');
+  const file = e.dataTransfer.files[0];
+  if (file) {
+    openPdfFile(file);
+  }
+});
+
+initialize();
@@ -2,6 +2,9 @@
 
 let currentSettings = null;
 
+// Sites with their own subtitle reader (the generic video reader and subtitle files aren't offered there)
+const BUILT_IN_READER_HOSTS = ['www.netflix.com', 'www.youtube.com', 'www.streamisrael.tv', 'embed.vhx.tv'];
+
 // DOM elements
 const ankiStatus = document.getElementById('anki-status');
 const matureCount = document.getElementById('mature-count');
@@ -18,6 +21,11 @@ const pagePotentiallyI1 = document.getElementById('page-potentially-i1');
 const pageI1 = document.getElementById('page-i1');
 const toggleBtn = document.getElementById('toggle-btn');
 const toggleText = document.getElementById('toggle-text');
+const videoReaderBtn = document.getElementById('video-reader-btn');
+const videoReaderText = document.getElementById('video-reader-text');
+const subtitleFileBtn = document.getElementById('subtitle-file-btn');
+const bookReaderBtn = document.getElementById('book-reader-btn');
+const pdfViewerBtn = document.getElementById('pdf-viewer-btn');
 const refreshBtn = document.getElementById('refresh-btn');
 const settingsBtn = document.getElementById('settings-btn');
 const coffeeBtn = document.getElementById('coffee-btn');
@@ -54,6 +62,17 @@ function hideError() {
 }
 
 // Update comprehension stats for current tab
+// Show comprehension on the toolbar badge, unless it is showing the Anki outbox count
+async function setComprehensionBadge(text, color) {
+  const { pendingAnkiActions = [] } = await chrome.storage.local.get('pendingAnkiActions');
+  if (pendingAnkiActions.length > 0) return;
+
+  chrome.action.setBadgeText({ text: text });
+  if (color) {
+    chrome.action.setBadgeBackgroundColor({ color: color });
+  }
+}
+
 async function updateComprehensionStats() {
   try {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -89,18 +108,16 @@ async function updateComprehensionStats() {
         comprehensionSection.style.display = 'block';
 
         // Update badge with percentage
-        chrome.action.setBadgeText({ text: percentage + '%' });
-        chrome.action.setBadgeBackgroundColor({
-          color: percentage >= 80 ? '#4caf50' : percentage >= 50 ? '#ff9800' : '#f44336'
-        });
+        setComprehensionBadge(percentage + '%',
+          percentage >= 80 ? '#4caf50' : percentage >= 50 ? '#ff9800' : '#f44336');
       } else {
         comprehensionSection.style.display = 'none';
-        chrome.action.setBadgeText({ text: '' });
+        setComprehensionBadge('');
       }
     } catch (error) {
       // Content script not loaded or no stats available
       comprehensionSection.style.display = 'none';
-      chrome.action.setBadgeText({ text: '' });
+      setComprehensionBadge('');
     }
   } catch (error) {
     console.error('Error updating comprehension stats:', error);
@@ -116,8 +133,15 @@ async function updateStatus() {
     if (ankiResponse.available) {
       ankiStatus.textContent = 'Connected';
       ankiStatus.className = 'status-badge connected';
+    } else if (ankiResponse.offline) {
+      ankiStatus.textContent = ankiResponse.pendingCount
+        ? `Offline (${ankiResponse.pendingCount} queued)`
+        : 'Offline';
+      ankiStatus.className = 'status-badge offline';
     } else {
-      ankiStatus.textContent = 'Disconnected';
+      ankiStatus.textContent = ankiResponse.pendingCount
+        ? `Disconnected (${ankiResponse.pendingCount} queued)`
+        : 'Disconnected';
       ankiStatus.className = 'status-badge disconnected';
       showError('Cannot connect to AnkiConnect. Make sure Anki is running and AnkiConnect is installed.');
     }
@@ -147,6 +171,8 @@ async function updateStatus() {
       toggleBtn.classList.add('btn-secondary');
     }
 
+    await updateVideoReaderButton();
+
     // Update comprehension stats for current page
     await updateComprehensionStats();
 
@@ -232,6 +258,96 @@ async function toggleHighlighting() {
   }
 }
 
+// Get the hostname of the active tab, if it's a web page
+async function getActiveTabHost() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tabs[0] || !tabs[0].url || !/^https?:/.test(tabs[0].url)) {
+    return null;
+  }
+  return { tabId: tabs[0].id, hostname: new URL(tabs[0].url).hostname };
+}
+
+// Show the generic video reader toggle and subtitle file button for the active tab's site
+async function updateVideoReaderButton() {
+  const tab = await getActiveTabHost();
+  if (!tab || BUILT_IN_READER_HOSTS.includes(tab.hostname)) {
+    videoReaderBtn.style.display = 'none';
+    subtitleFileBtn.style.display = 'none';
+    return;
+  }
+  subtitleFileBtn.style.display = '';
+
+  const enabled = (currentSettings.videoReaderSites || []).includes(tab.hostname);
+  videoReaderText.textContent = enabled ? 'Disable Subtitle Reader on This Site' : 'Enable Subtitle Reader on This Site';
+  videoReaderBtn.title = `Read <video> subtitles on ${tab.hostname}`;
+  videoReaderBtn.style.display = '';
+}
+
+// Toggle the generic video reader for the active tab's site
+async function toggleVideoReader() {
+  try {
+    const tab = await getActiveTabHost();
+    if (!tab) return;
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'toggleVideoReaderSite',
+      hostname: tab.hostname,
+      tabId: tab.tabId
+    });
+
+    if (response.success) {
+      const sites = (currentSettings.videoReaderSites || []).filter(site => site !== tab.hostname);
+      currentSettings.videoReaderSites = response.enabled ? [...sites, tab.hostname] : sites;
+      await updateVideoReaderButton();
+    } else {
+      showError('Error toggling subtitle reader: ' + response.error);
+    }
+  } catch (error) {
+    showError('Error toggling subtitle reader: ' + error.message);
+  }
+}
+
+// Show a prompt on the active tab's video to choose a subtitle file. The file dialog has to
+// open from the page: Firefox closes the popup when a dialog opens from it.
+async function showSubtitleFilePicker() {
+  try {
+    hideError();
+    const tab = await getActiveTabHost();
+    if (!tab) return;
+
+    subtitleFileBtn.disabled = true;
+    const response = await chrome.runtime.sendMessage({
+      action: 'showSubtitleFilePicker',
+      tabId: tab.tabId
+    });
+
+    if (response.success) {
+      // Get out of the way of the prompt on the page
+      window.close();
+    } else {
+      showError('Error loading subtitles: ' + response.error);
+    }
+  } catch (error) {
+    showError('Error loading subtitles: ' + error.message);
+  } finally {
+    subtitleFileBtn.disabled = false;
+  }
+}
+
+// Open the book reader page in a new tab
+function openBookReader() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('reader/reader.html') });
+}
+
+// Open the PDF viewer in a new tab, with the current tab's PDF if it shows one
+async function openPdfViewer() {
+  const viewerUrl = chrome.runtime.getURL('pdf-viewer/pdf-viewer.html');
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  const tabUrl = tabs[0] && tabs[0].url;
+  const isPdf = tabUrl && /^(https?|file):/.test(tabUrl) && /\.pdf([?#]|$)/i.test(tabUrl);
+  chrome.tabs.create({ url: isPdf ? `${viewerUrl}?file=${encodeURIComponent(tabUrl)}` : viewerUrl });
+}
+
 // Open settings page
 function openSettings() {
   chrome.runtime.openOptionsPage();
@@ -829,6 +945,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Event listeners
 toggleBtn.addEventListener('click', toggleHighlighting);
+videoReaderBtn.addEventListener('click', toggleVideoReader);
+subtitleFileBtn.addEventListener('click', showSubtitleFilePicker);
+bookReaderBtn.addEventListener('click', openBookReader);
+pdfViewerBtn.addEventListener('click', openPdfViewer);
 refreshBtn.addEventListener('click', refreshWords);
 settingsBtn.addEventListener('click', openSettings);
 coffeeBtn.addEventListener('click', openCoffeePage);
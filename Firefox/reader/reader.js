@@ -0,0 +1,440 @@
+// Book reader page script for SelfStudyHebrew
+// Opens local EPUB/TXT/HTML files, paginates them, and highlights words like the content scripts do
+
+// Reading positions are kept for this many books
+const MAX_SAVED_POSITIONS = 100;
+// Sentence boundaries used for the chapter comprehension stats
+const SENTENCE_SPLIT_REGEX = /(?<=[.!?…:])\s+/;
+
+// DOM elements
+const landing = document.getElementById('landing');
+const openBookBtn = document.getElementById('open-book-btn');
+const loadStatus = document.getElementById('load-status');
+const recentSection = document.getElementById('recent-section');
+const recentBooks = document.getElementById('recent-books');
+const reader = document.getElementById('reader');
+const bookTitle = document.getElementById('book-title');
+const chapterStats = document.getElementById('chapter-stats');
+const chapterList = document.getElementById('chapter-list');
+const openOtherBtn = document.getElementById('open-other-btn');
+const chapterTitle = document.getElementById('chapter-title');
+const pageElement = document.getElementById('page');
+const nextPageBtn = document.getElementById('next-page-btn');
+const prevPageBtn = document.getElementById('prev-page-btn');
+const pageIndicator = document.getElementById('page-indicator');
+const bookFileInput = document.getElementById('book-file-input');
+
+// Reader state
+let book = null;  // {title, chapters: [{title, blocks: [{type, level, text}], stats}]}
+let bookKey = '';  // Key of the open book in readerPositions
+let chapterIndex = 0;
+let pages = [];  // Pages of the current chapter as block ranges [{start, end}]
+let pageIndex = 0;
+let statsGeneration = 0;  // Bumped to stop an outdated chapter stats run
+let resizeTimeout = null;
+
+let matureWords = [];
+let learningWords = [];
+let settings = {};
+
+/**
+ * Highlight known words and i+1 sentences in text that isn't highlighted yet
+ */
+function applyHighlights() {
+  if (matureWords.length === 0 && learningWords.length === 0) return;
+
+  // Word highlighting must happen FIRST, then sentence highlighting
+  if (settings.highlightEnabled !== false) {
+    window.highlightWords(matureWords, learningWords, { strengthGradient: settings.strengthGradientEnabled === true });
+  }
+  if (settings.sentenceHighlightEnabled !== false) {
+    window.highlightSentences(matureWords, learningWords, settings.sentenceColor || '#add8e6');
+  }
+  window.addDictionaryHoverListeners(refreshWords);
+}
+
+/**
+ * Fetch the word lists from Anki again (the storage listener re-highlights with them)
+ * @returns {Promise<boolean>} True if the words were refreshed
+ */
+async function refreshWords() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'fetchWords' });
+    if (!response.success) {
+      console.error('[Book Reader] Failed to refresh words:', response.error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('[Book Reader] Error refreshing words:', error);
+    return false;
+  }
+}
+
+/**
+ * Create the element for a block of text
+ * @param {Object} block - Block {type, text}
+ * @returns {HTMLElement} Heading or paragraph
+ */
+function createBlockElement(block) {
+  const element = document.createElement(block.type === 'heading' ? 'h2' : 'p');
+  element.textContent = window.stripNikud(block.text, settings.stripNikudEnabled);
+  return element;
+}
+
+/**
+ * Split the current chapter into pages that fit the page area
+ * Blocks are laid out one at a time; the block that overflows starts the next page
+ * (a block taller than the whole page gets a page of its own and scrolls).
+ */
+function paginateChapter() {
+  const blocks = book.chapters[chapterIndex].blocks;
+  pages = [];
+  pageElement.textContent = '';
+
+  let start = 0;
+  blocks.forEach((block, index) => {
+    pageElement.appendChild(createBlockElement(block));
+    if (index > start && pageElement.scrollHeight > pageElement.clientHeight) {
+      pages.push({ start: start, end: index });
+      pageElement.textContent = '';
+      pageElement.appendChild(createBlockElement(block));
+      start = index;
+    }
+  });
+  pages.push({ start: start, end: blocks.length });
+
+  pageElement.textContent = '';
+}
+
+/**
+ * Show the current page, highlight it, and remember the position
+ */
+function renderPage() {
+  const page = pages[pageIndex];
+  const blocks = book.chapters[chapterIndex].blocks;
+
+  pageElement.textContent = '';
+  for (let i = page.start; i < page.end; i++) {
+    pageElement.appendChild(createBlockElement(blocks[i]));
+  }
+  pageElement.scrollTop = 0;
+  applyHighlights();
+
+  pageIndicator.textContent = `Page ${pageIndex + 1} of ${pages.length} · Chapter ${chapterIndex + 1} of ${book.chapters.length}`;
+  prevPageBtn.disabled = chapterIndex === 0 && pageIndex === 0;
+  nextPageBtn.disabled = chapterIndex === book.chapters.length - 1 && pageIndex === pages.length - 1;
+
+  saveReadingPosition();
+}
+
+/**
+ * Open a chapter at the page holding a block
+ * @param {number} index - Chapter index
+ * @param {number} blockIndex - Block to show (past the end shows the last page)
+ */
+function showChapter(index, blockIndex = 0) {
+  chapterIndex = index;
+  const chapter = book.chapters[chapterIndex];
+
+  paginateChapter();
+  const target = Math.min(blockIndex, chapter.blocks.length - 1);
+  pageIndex = Math.max(0, pages.findIndex(page => target >= page.start && target < page.end));
+
+  chapterTitle.textContent = chapter.title;
+  // The page title is the source of cards mined from the book
+  document.title = `${book.title} - ${chapter.title}`;
+  displayChapterList();
+  displayChapterStats();
+  renderPage();
+}
+
+/**
+ * Turn the page, moving into the next or previous chapter at its ends
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function turnPage(direction) {
+  if (!book) return;
+
+  const target = pageIndex + direction;
+  if (target >= 0 && target < pages.length) {
+    pageIndex = target;
+    renderPage();
+  } else if (direction > 0 && chapterIndex < book.chapters.length - 1) {
+    showChapter(chapterIndex + 1, 0);
+  } else if (direction < 0 && chapterIndex > 0) {
+    showChapter(chapterIndex - 1, Infinity);
+  }
+}
+
+/**
+ * Show the chapters with their comprehension in the sidebar
+ */
+function displayChapterList() {
+  chapterList.textContent = '';
+
+  book.chapters.forEach((chapter, index) => {
+    const item = document.createElement('div');
+    item.className = index === chapterIndex ? 'chapter-item current' : 'chapter-item';
+    item.addEventListener('click', () => showChapter(index, 0));
+
+    const title = document.createElement('span');
+    title.className = 'chapter-item-title';
+    title.textContent = chapter.title;
+    title.title = chapter.title;
+    item.appendChild(title);
+
+    const percent = document.createElement('span');
+    percent.className = 'chapter-item-percent';
+    percent.textContent = chapter.stats ? `${chapter.stats.percentage}%` : '';
+    item.appendChild(percent);
+
+    chapterList.appendChild(item);
+  });
+}
+
+/**
+ * Show the current chapter's comprehension stats in the sidebar
+ */
+function displayChapterStats() {
+  const stats = book.chapters[chapterIndex].stats;
+  chapterStats.textContent = '';
+  if (!stats) {
+    chapterStats.textContent = 'Calculating chapter comprehension...';
+    return;
+  }
+
+  const percentLine = document.createElement('div');
+  const strong = document.createElement('strong');
+  strong.textContent = `${stats.percentage}%`;
+  percentLine.appendChild(strong);
+  percentLine.appendChild(document.createTextNode(' comprehension (this chapter)'));
+
+  const wordsLine = document.createElement('div');
+  wordsLine.textContent = `${stats.known}/${stats.total} words known, ${stats.potentiallyKnown} potentially known`;
+
+  const sentencesLine = document.createElement('div');
+  sentencesLine.textContent = `${stats.i1Sentences} i+1 sentences, ${stats.potentiallyI1Sentences} potentially i+1`;
+
+  chapterStats.appendChild(percentLine);
+  chapterStats.appendChild(wordsLine);
+  chapterStats.appendChild(sentencesLine);
+}
+
+/**
+ * Calculate every chapter's comprehension, one chapter at a time, updating the sidebar as it goes
+ */
+async function calculateChapterStats() {
+  const generation = ++statsGeneration;
+  const chapters = book.chapters;
+
+  for (const chapter of chapters) {
+    const sentences = chapter.blocks
+      .flatMap(block => block.text.split(SENTENCE_SPLIT_REGEX))
+      .map(text => ({ text: text }));
+    const stats = await window.calculateComprehensionStats(sentences);
+
+    // Stop if another book was opened or the words changed meanwhile
+    if (generation !== statsGeneration) return;
+    chapter.stats = stats;
+  }
+
+  displayChapterList();
+  displayChapterStats();
+  applyHighlights();
+}
+
+/**
+ * Remember where the open book is being read
+ */
+async function saveReadingPosition() {
+  try {
+    const data = await chrome.storage.local.get('readerPositions');
+    const positions = data.readerPositions || {};
+    positions[bookKey] = {
+      title: book.title,
+      chapter: chapterIndex,
+      block: pages[pageIndex].start,
+      chapterCount: book.chapters.length,
+      updatedAt: Date.now()
+    };
+
+    // Keep only the most recently read books
+    Object.keys(positions)
+      .sort((a, b) => positions[b].updatedAt - positions[a].updatedAt)
+      .slice(MAX_SAVED_POSITIONS)
+      .forEach(oldKey => delete positions[oldKey]);
+
+    await chrome.storage.local.set({ readerPositions: positions });
+  } catch (error) {
+    console.error('[Book Reader] Error saving reading position:', error);
+  }
+}
+
+/**
+ * Show the recently read books on the landing screen
+ */
+async function displayRecentBooks() {
+  const data = await chrome.storage.local.get('readerPositions');
+  const positions = Object.values(data.readerPositions || {})
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+  recentBooks.textContent = '';
+  recentSection.style.display = positions.length > 0 ? 'block' : 'none';
+
+  positions.forEach(position => {
+    const row = document.createElement('div');
+    row.className = 'recent-book';
+
+    const title = document.createElement('span');
+    title.textContent = position.title;
+    title.dir = 'auto';
+    row.appendChild(title);
+
+    const progress = document.createElement('span');
+    progress.className = 'recent-book-progress';
+    progress.textContent = `Chapter ${position.chapter + 1} of ${position.chapterCount} · ${new Date(position.updatedAt).toLocaleDateString()}`;
+    row.appendChild(progress);
+
+    recentBooks.appendChild(row);
+  });
+}
+
+/**
+ * Open a book file at the saved position
+ * @param {File} file - EPUB, TXT, or HTML file
+ */
+async function openBook(file) {
+  loadStatus.textContent = `Opening ${file.name}...`;
+  loadStatus.className = 'load-status';
+
+  try {
+    const parsedBook = await window.parseBookFile(file);
+    const data = await chrome.storage.local.get('readerPositions');
+
+    book = parsedBook;
+    bookKey = `${file.name}:${file.size}`;
+    const saved = (data.readerPositions || {})[bookKey];
+    console.log(`[Book Reader] Opened "${book.title}" (${book.chapters.length} chapters)`);
+
+    landing.style.display = 'none';
+    reader.style.display = 'flex';
+    loadStatus.textContent = '';
+    bookTitle.textContent = book.title;
+
+    const savedChapter = saved ? Math.min(saved.chapter, book.chapters.length - 1) : 0;
+    showChapter(savedChapter, saved && saved.chapter === savedChapter ? saved.block : 0);
+    calculateChapterStats();
+  } catch (error) {
+    console.error('[Book Reader] Error opening book:', error);
+    landing.style.display = 'block';
+    reader.style.display = 'none';
+    loadStatus.textContent = `Could not open ${file.name}: ${error.message}`;
+    loadStatus.className = 'load-status error';
+    displayRecentBooks();
+  }
+}
+
+async function initialize() {
+  try {
+    const vocabulary = await window.loadVocabularyStore();
+    matureWords = vocabulary.matureWords;
+    learningWords = vocabulary.learningWords;
+
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    settings = response.settings || {};
+
+    window.initializeCardCreator(() => ({ matureWords, learningWords }));
+    window.initializeDictionaryFeature(refreshWords);
+  } catch (error) {
+    console.error('[Book Reader] Error initializing:', error);
+  }
+
+  displayRecentBooks();
+}
+
+// Re-highlight and recount when the words or settings change
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (!changes.matureWords && !changes.learningWords && !changes.conjugationWords && !changes.settings) return;
+
+  if (changes.settings) {
+    settings = changes.settings.newValue || {};
+  }
+  const vocabulary = await window.loadVocabularyStore();
+  matureWords = vocabulary.matureWords;
+  learningWords = vocabulary.learningWords;
+
+  if (book) {
+    window.removeSentenceHighlights();
+    window.removeHighlights();
+    book.chapters.forEach(chapter => {
+      chapter.stats = null;
+    });
+    showChapter(chapterIndex, pages[pageIndex].start);
+    calculateChapterStats();
+  }
+});
+
+// Event listeners
+openBookBtn.addEventListener('click', () => bookFileInput.click());
+openOtherBtn.addEventListener('click', () => bookFileInput.click());
+bookFileInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) {
+    openBook(file);
+    // Reset file input so the same file can be opened again
+    e.target.value = '';
+  }
+});
+
+nextPageBtn.addEventListener('click', () => turnPage(1));
+prevPageBtn.addEventListener('click', () => turnPage(-1));
+
+// Hebrew books turn pages leftward: ← is the next page
+document.addEventListener('keydown', (e) => {
+  const target = e.target;
+  if (!book || reader.style.display === 'none' || e.shiftKey || e.ctrlKey || e.altKey || e.metaKey ||
+      target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable) {
+    return;
+  }
+
+  if (e.key === 'ArrowLeft' || e.key === 'PageDown' || e.key === ' ') {
+    e.preventDefault();
+    turnPage(1);
+  } else if (e.key === 'ArrowRight' || e.key === 'PageUp') {
+    e.preventDefault();
+    turnPage(-1);
+  }
+});
+
+// Re-paginate from the first block on the page when the page area changes size
+window.addEventListener('resize', () => {
+  clearTimeout(resizeTimeout);
+  resizeTimeout = setTimeout(() => {
+    if (book) {
+      showChapter(chapterIndex, pages[pageIndex].start);
+    }
+  }, 200);
+});
+
+// Open a dropped file
+document.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  document.body.classList.add('drag-over');
+});
+document.addEventListener('dragleave', (e) => {
+  if (e.target === document.documentElement || e.target === document.body) {
+    document.body.classList.remove('drag-over');
+  }
+});
+document.addEventListener('drop', (e) => {
+  e.preventDefault();
+  document.body.classList.remove('drag-over');
+  const file = e.dataTransfer.files[0];
+  if (file) {
+    openBook(file);
+  }
+});
+
+initialize();
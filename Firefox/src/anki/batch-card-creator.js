@@ -0,0 +1,544 @@
+// Batch review screen for mining several subtitle lines into Anki cards at once
+
+(function() {
+  'use strict';
+
+  // Module state
+  let batchModal = null;
+  let batchItems = [];  // [{sentence, subtitle, source, targetWord, translation, audioStatus, status, error}]
+  let batchOptions = null;  // {getWordsCallback, recordAudio, onComplete}
+  let modelFields = [];
+  let modelIsCloze = false;
+  let isCreating = false;
+
+  const AUDIO_STATUS_LABELS = {
+    waiting: '🎤 Audio: waiting',
+    recording: '🎤 Audio: recording...',
+    done: '🎤 Audio: ✓ recorded',
+    failed: '🎤 Audio: ✗ failed',
+    skipped: '🎤 Audio: not recorded (no audio field)'
+  };
+
+  /**
+   * Mark the target word in a sentence for the selected note type
+   * @param {string} sentence - Sentence text
+   * @param {string} word - Target word
+   * @returns {string|null} Sentence with {{c1::word}} (cloze note types) or <b>word</b>; null for
+   *   a cloze note type when the word isn't in the sentence (the note would have no deletion)
+   */
+  function markWord(sentence, word) {
+    const marked = window.markHebrewWord(sentence, word, match => modelIsCloze ? `{{c1::${match}}}` : `<b>${match}</b>`);
+    if (marked) return marked;
+    return modelIsCloze ? null : sentence;
+  }
+
+  /**
+   * Find the note type field matching a pattern
+   * @param {RegExp} pattern - Field name pattern
+   * @returns {string|null} Field name
+   */
+  function findField(pattern) {
+    return modelFields.find(field => pattern.test(field)) || null;
+  }
+
+  /**
+   * Work out which field each part of a card goes in
+   * @returns {Promise<Object>} {sentence, targetWord, translation, audio, source}
+   */
+  async function getFieldMapping() {
+    const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const audioFieldName = settingsResponse.settings?.audioFieldName || 'Audio';
+
+    return {
+      sentence: findField(window.ANKI_FIELD_PATTERNS.SENTENCE) || modelFields[0] || null,
+      targetWord: findField(window.ANKI_FIELD_PATTERNS.TARGET_WORD),
+      translation: findField(window.ANKI_FIELD_PATTERNS.TRANSLATION),
+      audio: modelFields.includes(audioFieldName) ? audioFieldName : null,
+      source: findField(window.ANKI_FIELD_PATTERNS.SOURCE)
+    };
+  }
+
+  /**
+   * Show an error message in the batch modal
+   * @param {string} message - Message to show (empty hides it)
+   */
+  function showBatchError(message) {
+    const errorDiv = batchModal.querySelector('#anki-batch-error');
+    errorDiv.textContent = message;
+    errorDiv.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Render the list of lines to mine
+   */
+  function renderBatchItems() {
+    const list = batchModal.querySelector('#anki-batch-list');
+    list.textContent = '';
+
+    batchItems.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        background: #1a1a1a;
+        border: 1px solid ${item.status === 'failed' ? '#f44336' : item.status === 'created' ? '#28a745' : '#333'};
+        border-radius: 4px;
+        padding: 10px;
+        margin-bottom: 10px;
+      `;
+
+      const header = document.createElement('div');
+      header.style.cssText = 'display: flex; align-items: flex-start; gap: 8px;';
+
+      const sentence = document.createElement('div');
+      sentence.style.cssText = 'flex: 1; direction: rtl; font-size: 18px; line-height: 1.4;';
+      const wordIndex = item.targetWord ? item.sentence.indexOf(item.targetWord) : -1;
+      if (wordIndex >= 0) {
+        sentence.appendChild(document.createTextNode(item.sentence.slice(0, wordIndex)));
+        const bold = document.createElement('b');
+        bold.style.color = '#4da3ff';
+        bold.textContent = item.targetWord;
+        sentence.appendChild(bold);
+        sentence.appendChild(document.createTextNode(item.sentence.slice(wordIndex + item.targetWord.length)));
+      } else {
+        sentence.textContent = item.sentence;
+      }
+      header.appendChild(sentence);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove from batch';
+      removeBtn.disabled = isCreating;
+      removeBtn.style.cssText = 'background: none; border: none; color: #aaa; font-size: 20px; cursor: pointer; line-height: 1;';
+      removeBtn.addEventListener('click', () => {
+        batchItems.splice(index, 1);
+        renderBatchItems();
+      });
+      header.appendChild(removeBtn);
+      row.appendChild(header);
+
+      const wordRow = document.createElement('div');
+      wordRow.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-top: 8px; font-size: 13px; color: #aaa;';
+      wordRow.appendChild(document.createTextNode('Target word:'));
+      const wordInput = document.createElement('input');
+      wordInput.type = 'text';
+      wordInput.value = item.targetWord || '';
+      wordInput.style.cssText = 'flex: 1; direction: rtl; padding: 4px 8px; border: 1px solid #444; border-radius: 4px; background: #272727; color: white; font-size: 14px;';
+      wordInput.addEventListener('change', () => {
+        item.targetWord = wordInput.value.trim() || null;
+        renderBatchItems();
+      });
+      wordRow.appendChild(wordInput);
+      row.appendChild(wordRow);
+
+      const translation = document.createElement('textarea');
+      translation.value = item.translation || '';
+      translation.placeholder = item.translationStatus === 'loading' ? 'Translating...' : 'Translation';
+      translation.style.cssText = 'width: 100%; box-sizing: border-box; min-height: 40px; margin-top: 8px; padding: 6px 8px; border: 1px solid #444; border-radius: 4px; background: #272727; color: white; font-size: 13px; font-family: inherit; resize: vertical;';
+      translation.addEventListener('input', () => {
+        item.translation = translation.value;
+      });
+      row.appendChild(translation);
+
+      const status = document.createElement('div');
+      status.style.cssText = 'margin-top: 6px; font-size: 12px; color: #888;';
+      status.textContent = AUDIO_STATUS_LABELS[item.audioStatus];
+      if (item.status === 'created') {
+        status.textContent += item.queued ? ' · Card queued until Anki is running' : ' · ✓ Card created';
+        status.style.color = '#28a745';
+      } else if (item.status === 'failed') {
+        status.textContent += ` · ✗ ${item.error}`;
+        status.style.color = '#f44336';
+      }
+      row.appendChild(status);
+
+      list.appendChild(row);
+    });
+
+    const pending = batchItems.filter(item => item.status !== 'created').length;
+    batchModal.querySelector('#anki-batch-title').textContent = `Batch Create Cards (${batchItems.length})`;
+    const createBtn = batchModal.querySelector('#anki-batch-create');
+    createBtn.textContent = `Create ${pending} Card${pending === 1 ? '' : 's'}`;
+    createBtn.disabled = isCreating || pending === 0;
+  }
+
+  /**
+   * Translate each line in turn with the Claude API (skipped without an API key)
+   */
+  async function translateBatchItems() {
+    const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    if (!settingsResponse.settings?.claudeApiKey) return;
+
+    for (const item of batchItems.slice()) {
+      if (!batchModal || batchModal.style.display === 'none') return;
+      if (item.translation) continue;
+
+      item.translationStatus = 'loading';
+      renderBatchItems();
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'translateSentence', sentence: item.sentence });
+        if (response.success && !item.translation) {
+          item.translation = response.result;
+        }
+      } catch (error) {
+        console.error('Error translating batch line:', error);
+      }
+      item.translationStatus = 'done';
+      renderBatchItems();
+    }
+  }
+
+  /**
+   * Load the fields of the selected note type and describe where each part goes
+   */
+  async function loadBatchModelFields() {
+    const modelName = batchModal.querySelector('#anki-batch-model').value;
+    const mappingDiv = batchModal.querySelector('#anki-batch-mapping');
+    if (!modelName) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'getModelFields', modelName: modelName });
+    if (!response.success) {
+      modelFields = [];
+      mappingDiv.textContent = 'Error loading note type fields';
+      return;
+    }
+
+    modelFields = response.fields;
+    modelIsCloze = response.isCloze === true;
+
+    const mapping = await getFieldMapping();
+    const parts = [
+      `sentence → ${mapping.sentence || '—'}`,
+      `target word → ${mapping.targetWord || '—'}`,
+      `translation → ${mapping.translation || '—'}`,
+      `audio → ${mapping.audio || '—'}`,
+      `source → ${mapping.source || '—'}`
+    ];
+    mappingDiv.textContent = `Fields: ${parts.join(' · ')}`;
+
+    batchItems.forEach(item => {
+      if (item.audioStatus === 'waiting' || item.audioStatus === 'skipped') {
+        item.audioStatus = mapping.audio ? 'waiting' : 'skipped';
+      }
+    });
+    renderBatchItems();
+  }
+
+  /**
+   * Load decks and note types into the selectors (settings defaults preselected)
+   */
+  async function loadBatchDecksAndModels() {
+    const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const settings = settingsResponse.settings;
+
+    const fillSelect = (select, values, defaultValue) => {
+      select.textContent = '';
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+      });
+      if (defaultValue && values.includes(defaultValue)) {
+        select.value = defaultValue;
+      }
+    };
+
+    try {
+      const decksResponse = await chrome.runtime.sendMessage({ action: 'getDecks' });
+      const modelsResponse = await chrome.runtime.sendMessage({ action: 'getModels' });
+      if (!decksResponse.success || !modelsResponse.success) {
+        throw new Error(decksResponse.error || modelsResponse.error);
+      }
+
+      fillSelect(batchModal.querySelector('#anki-batch-deck'), decksResponse.decks, settings?.defaultDeck);
+      fillSelect(batchModal.querySelector('#anki-batch-model'), modelsResponse.models, settings?.defaultNoteType);
+      await loadBatchModelFields();
+    } catch (error) {
+      console.error('Error loading Anki data for batch:', error);
+      showBatchError('Failed to load Anki data. Make sure Anki is running.');
+    }
+  }
+
+  /**
+   * Update the progress bar
+   * @param {number} done - Lines processed
+   * @param {number} total - Lines to process
+   * @param {string} label - Current step
+   */
+  function setBatchProgress(done, total, label) {
+    const progress = batchModal.querySelector('#anki-batch-progress');
+    progress.style.display = 'block';
+    batchModal.querySelector('#anki-batch-progress-bar').style.width = `${total > 0 ? Math.round(done / total * 100) : 0}%`;
+    batchModal.querySelector('#anki-batch-progress-label').textContent = label;
+  }
+
+  /**
+   * Create every remaining card in one pass, recording audio line by line
+   */
+  async function createBatchCards() {
+    const deckName = batchModal.querySelector('#anki-batch-deck').value;
+    const modelName = batchModal.querySelector('#anki-batch-model').value;
+    if (!deckName || !modelName) {
+      showBatchError('Please select a deck and note type');
+      return;
+    }
+
+    const mapping = await getFieldMapping();
+    if (!mapping.sentence) {
+      showBatchError('The selected note type has no fields');
+      return;
+    }
+
+    showBatchError('');
+    isCreating = true;
+    const pending = batchItems.filter(item => item.status !== 'created');
+    let created = 0;
+
+    try {
+      for (let i = 0; i < pending.length; i++) {
+        const item = pending[i];
+
+        if (mapping.audio && batchOptions.recordAudio && !item.audioFilename) {
+          setBatchProgress(i, pending.length, `Recording audio ${i + 1} of ${pending.length}...`);
+          item.audioStatus = 'recording';
+          renderBatchItems();
+          try {
+            item.audioFilename = await batchOptions.recordAudio(item);
+          } catch (error) {
+            // The card is still created, just without audio
+            console.error('Error recording batch audio:', error);
+            item.audioFilename = null;
+          }
+          item.audioStatus = item.audioFilename ? 'done' : 'failed';
+        }
+
+        setBatchProgress(i, pending.length, `Creating card ${i + 1} of ${pending.length}...`);
+
+        const fields = {};
+        modelFields.forEach(field => {
+          fields[field] = '';
+        });
+        const sentence = markWord(item.sentence, mapping.targetWord ? item.targetWord : null);
+        if (sentence === null) {
+          item.status = 'failed';
+          item.error = item.targetWord && mapping.targetWord
+            ? `"${item.targetWord}" is not a word of the sentence, so there is nothing to cloze`
+            : 'Cloze note types need a target word to cloze';
+          renderBatchItems();
+          continue;
+        }
+        fields[mapping.sentence] = sentence;
+        if (mapping.targetWord) fields[mapping.targetWord] = item.targetWord || '';
+        if (mapping.translation) fields[mapping.translation] = (item.translation || '').trim().replace(/\n/g, '<br>');
+        if (mapping.audio && item.audioFilename) fields[mapping.audio] = `[sound:${item.audioFilename}]`;
+        if (mapping.source) fields[mapping.source] = window.formatSourceField(item.source);
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            action: 'createNote',
+            deckName: deckName,
+            modelName: modelName,
+            fields: fields,
+            tags: ['sentence', ...window.buildSourceTags(item.source)],
+            options: { allowHTML: true, allowDuplicate: false }
+          });
+
+          if (response.success) {
+            item.status = 'created';
+            item.queued = response.queued;
+            created++;
+          } else {
+            item.status = 'failed';
+            item.error = response.error && response.error.includes('duplicate')
+              ? 'A note with this first field already exists'
+              : response.error || 'Failed to create card';
+          }
+        } catch (error) {
+          console.error('Error creating batch card:', error);
+          item.status = 'failed';
+          item.error = error.message;
+        }
+        renderBatchItems();
+      }
+    } finally {
+      isCreating = false;
+    }
+
+    const failed = pending.length - created;
+    setBatchProgress(pending.length, pending.length,
+      failed > 0 ? `Created ${created} card(s), ${failed} failed` : `Created ${created} card(s)`);
+    renderBatchItems();
+
+    if (batchOptions.onComplete) {
+      batchOptions.onComplete(batchItems.filter(item => item.status === 'created').map(item => item.subtitle));
+    }
+  }
+
+  function closeBatchCardCreator() {
+    if (isCreating) return;
+    if (batchModal) {
+      batchModal.style.display = 'none';
+    }
+    batchItems = [];
+    batchOptions = null;
+  }
+
+  /**
+   * Create the batch modal HTML
+   * @returns {HTMLElement} Modal element
+   */
+  function createBatchModal() {
+    if (batchModal) return batchModal;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 8px;
+      border: 1px solid #444;
+      border-radius: 4px;
+      font-size: 14px;
+      color: white;
+      background: #1a1a1a;
+    `;
+    const labelStyle = 'display: block; margin-bottom: 5px; font-weight: 500; color: #ddd; font-size: 14px;';
+
+    const modal = document.createElement('div');
+    modal.id = window.DOM_IDS.ANKI_BATCH_MODAL;
+    modal.style.cssText = `
+      display: none;
+      position: fixed;
+      z-index: 10000;
+      left: 0;
+      top: 0;
+      width: 100%;
+      height: 100%;
+      background-color: rgba(0,0,0,0.7);
+    `;
+
+    modal.innerHTML = `
+      <div style="
+        background-color: #272727;
+        color: white;
+        margin: 40px auto;
+        padding: 20px;
+        border-radius: 8px;
+        width: 90%;
+        max-width: 640px;
+        max-height: calc(100vh - 80px);
+        box-shadow: 0 4px 12px rgba(0,0,0,0.5);
+        border: 1px solid #333;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        display: flex;
+        flex-direction: column;
+        box-sizing: border-box;
+      ">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+          <h2 id="anki-batch-title" style="margin: 0; font-size: 20px; color: white;">Batch Create Cards</h2>
+          <button id="anki-batch-close" style="background: none; border: none; font-size: 24px; cursor: pointer; color: #aaa;">&times;</button>
+        </div>
+
+        <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+          <div style="flex: 1;">
+            <label style="${labelStyle}">Deck:</label>
+            <select id="anki-batch-deck" style="${selectStyle}"><option value="">Loading...</option></select>
+          </div>
+          <div style="flex: 1;">
+            <label style="${labelStyle}">Note Type:</label>
+            <select id="anki-batch-model" style="${selectStyle}"><option value="">Loading...</option></select>
+          </div>
+        </div>
+        <div id="anki-batch-mapping" style="font-size: 12px; color: #888; margin-bottom: 10px;"></div>
+
+        <div id="anki-batch-list" style="overflow-y: auto; flex: 1; margin-bottom: 10px;"></div>
+
+        <div id="anki-batch-progress" style="display: none; margin-bottom: 10px;">
+          <div style="background: #1a1a1a; border-radius: 4px; height: 8px; overflow: hidden;">
+            <div id="anki-batch-progress-bar" style="background: #0066ff; height: 100%; width: 0%; transition: width 0.3s;"></div>
+          </div>
+          <div id="anki-batch-progress-label" style="font-size: 12px; color: #aaa; margin-top: 4px;"></div>
+        </div>
+
+        <div id="anki-batch-error" style="
+          display: none;
+          background: #721c24;
+          color: #f44336;
+          padding: 10px;
+          border-radius: 4px;
+          margin-bottom: 10px;
+          font-size: 14px;
+          border: 1px solid #f44336;
+        "></div>
+
+        <div style="display: flex; gap: 10px; justify-content: flex-end;">
+          <button id="anki-batch-cancel" style="
+            padding: 10px 20px;
+            background: #555;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+          ">Close</button>
+          <button id="anki-batch-create" style="
+            padding: 10px 20px;
+            background: #0066ff;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+          ">Create Cards</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector('#anki-batch-close').addEventListener('click', closeBatchCardCreator);
+    modal.querySelector('#anki-batch-cancel').addEventListener('click', closeBatchCardCreator);
+    modal.querySelector('#anki-batch-create').addEventListener('click', createBatchCards);
+    modal.querySelector('#anki-batch-model').addEventListener('change', loadBatchModelFields);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeBatchCardCreator();
+      }
+    });
+
+    batchModal = modal;
+    return modal;
+  }
+
+  /**
+   * Open the batch review screen
+   * @param {Array<Object>} items - Lines to mine: [{sentence, subtitle, source, translation}]
+   * @param {Object} options - {getWordsCallback, recordAudio(item) → Promise<filename|null>, onComplete(subtitles)}
+   */
+  async function openBatchCardCreator(items, options = {}) {
+    if (isCreating) return;
+
+    const { matureWords, learningWords } = options.getWordsCallback
+      ? await options.getWordsCallback()
+      : { matureWords: [], learningWords: [] };
+
+    batchOptions = options;
+    batchItems = items.map(item => ({
+      ...item,
+      targetWord: window.extractAllUnknownWords(item.sentence, matureWords, learningWords)[0] || null,
+      translation: item.translation || '',
+      audioStatus: 'waiting',
+      status: 'pending'
+    }));
+
+    const modal = createBatchModal();
+    modal.querySelector('#anki-batch-progress').style.display = 'none';
+    showBatchError('');
+    renderBatchItems();
+    modal.style.display = 'block';
+
+    await loadBatchDecksAndModels();
+    translateBatchItems();
+  }
+
+  window.openBatchCardCreator = openBatchCardCreator;
+  window.closeBatchCardCreator = closeBatchCardCreator;
+})();
@@ -7,6 +7,28 @@
 let ankiModal = null;
 let currentSentence = null;
 let currentAudioFilename = null;
+let currentGetWordsCallback = null;
+let duplicateCheckTimeout = null;
+let duplicateCheckId = 0;
+let duplicateResult = null;  // Last check: {canAdd, duplicates}
+let currentTargetWord = null;
+let currentModelIsCloze = false;
+let currentSource = null;  // Where the sentence came from: {platform, videoId, title, time, url}
+let currentFrame = null;  // Video frame screenshot: {filename, dataUrl}
+let currentCaptureFrame = null;  // Grabs a new frame (subtitle readers only)
+let currentTranslation = null;  // Second subtitle track's line, pre-filled into the translation field
+
+// Delay before re-checking for duplicates while typing
+const DUPLICATE_CHECK_DELAY_MS = 500;
+
+// A cloze deletion ({{c1::...}}); Anki won't add a cloze note without one
+const CLOZE_DELETION_REGEX = /\{\{c\d+::/;
+
+// Fields that get the sentence / the i+1 target word / the translation / the source by default
+const SENTENCE_FIELD_REGEX = window.ANKI_FIELD_PATTERNS.SENTENCE;
+const TARGET_WORD_FIELD_REGEX = window.ANKI_FIELD_PATTERNS.TARGET_WORD;
+const TRANSLATION_FIELD_REGEX = window.ANKI_FIELD_PATTERNS.TRANSLATION;
+const SOURCE_FIELD_REGEX = window.ANKI_FIELD_PATTERNS.SOURCE;
 
 function showModalError(message) {
   if (!ankiModal) return;
@@ -18,17 +40,51 @@ function showModalError(message) {
 function fillSentenceField() {
   if (!ankiModal || !currentSentence) return;
 
-  const sentenceFieldSelect = ankiModal.querySelector('#anki-sentence-field-select');
-  const selectedField = sentenceFieldSelect.value;
-
-  if (!selectedField) return;
+  const textarea = getSentenceTextarea();
+  if (textarea) {
+    textarea.value = markTargetWord(currentSentence);
+  }
+}
 
-  const fieldId = selectedField.replace(/[^a-zA-Z0-9]/g, '_');
-  const textarea = ankiModal.querySelector(`#anki-field-${fieldId}`);
+/**
+ * Get the textarea the sentence goes in (the first field if none is selected)
+ * @returns {HTMLElement|null} Textarea
+ */
+function getSentenceTextarea() {
+  const selectedField = ankiModal.querySelector('#anki-sentence-field-select').value;
+  if (selectedField) {
+    const fieldId = selectedField.replace(/[^a-zA-Z0-9]/g, '_');
+    return ankiModal.querySelector(`#anki-field-${fieldId}`);
+  }
+  return ankiModal.querySelector('[data-field-name]');
+}
 
-  if (textarea) {
-    textarea.value = currentSentence;
+/**
+ * Mark the target word in the sentence when the note type has a target word field:
+ * as a cloze deletion for cloze note types, bolded otherwise
+ * @param {string} sentence - Sentence text
+ * @returns {string} Sentence with the target word marked
+ */
+function markTargetWord(sentence) {
+  if (!currentTargetWord || !ankiModal.querySelector('[data-target-word-field]')) {
+    return sentence;
   }
+
+  const marked = window.markHebrewWord(sentence, currentTargetWord,
+    word => currentModelIsCloze ? `{{c1::${word}}}` : `<b>${word}</b>`);
+  return marked || sentence;
+}
+
+/**
+ * Pick the i+1 target word: the first unknown word of the sentence
+ * @returns {Promise<string|null>} Target word
+ */
+async function findTargetWord() {
+  if (!currentSentence || !currentGetWordsCallback) return null;
+
+  const { matureWords, learningWords } = await currentGetWordsCallback();
+  const unknownWords = extractAllUnknownWords(currentSentence, matureWords, learningWords);
+  return unknownWords.length > 0 ? unknownWords[0] : null;
 }
 
 /**
@@ -205,11 +261,14 @@ async function loadModelFields(getWordsCallback) {
       defaultOption.textContent = 'Select field...';
       sentenceFieldSelect.appendChild(defaultOption);
 
-      response.fields.forEach((field, index) => {
+      currentModelIsCloze = response.isCloze === true;
+      const sentenceField = response.fields.find(field => SENTENCE_FIELD_REGEX.test(field)) || response.fields[0];
+
+      response.fields.forEach(field => {
         const option = document.createElement('option');
         option.value = field;
         option.textContent = field;
-        if (index === 0) option.selected = true;
+        if (field === sentenceField) option.selected = true;
         sentenceFieldSelect.appendChild(option);
       });
 
@@ -239,6 +298,16 @@ async function loadModelFields(getWordsCallback) {
         const textarea = document.createElement('textarea');
         textarea.id = `anki-field-${fieldId}`;
         textarea.setAttribute('data-field-name', field);
+        if (TARGET_WORD_FIELD_REGEX.test(field)) {
+          textarea.setAttribute('data-target-word-field', '');
+          textarea.value = currentTargetWord || '';
+        }
+        if (TRANSLATION_FIELD_REGEX.test(field) && currentTranslation) {
+          textarea.value = currentTranslation;
+        }
+        if (SOURCE_FIELD_REGEX.test(field)) {
+          textarea.value = window.formatSourceField(currentSource);
+        }
         textarea.style.cssText = `
           flex: 1;
           min-height: 60px;
@@ -308,6 +377,7 @@ async function loadModelFields(getWordsCallback) {
       }
 
       attachAIButtonListeners(getWordsCallback);
+      checkForDuplicates();
     } else {
       const fieldsContainer = ankiModal.querySelector('#anki-fields-container');
       fieldsContainer.textContent = 'Error loading fields';
@@ -382,7 +452,218 @@ async function loadDecksAndModels(getWordsCallback) {
   }
 }
 
-async function createAnkiCard() {
+/**
+ * Get the note being created from the modal
+ * @returns {Object} {deckName, modelName, fields}
+ */
+function getModalNote() {
+  const fields = {};
+  ankiModal.querySelectorAll('[data-field-name]').forEach(textarea => {
+    fields[textarea.dataset.fieldName] = textarea.value.trim().replace(/\n/g, '<br>');
+  });
+
+  return {
+    deckName: ankiModal.querySelector('#anki-deck-select').value,
+    modelName: ankiModal.querySelector('#anki-model-select').value,
+    fields: fields
+  };
+}
+
+function scheduleDuplicateCheck() {
+  clearTimeout(duplicateCheckTimeout);
+  duplicateCheckTimeout = setTimeout(checkForDuplicates, DUPLICATE_CHECK_DELAY_MS);
+}
+
+/**
+ * Look for existing notes with the same first field, sentence, or unknown word
+ */
+async function checkForDuplicates() {
+  if (!ankiModal) return;
+
+  const checkId = ++duplicateCheckId;
+  const note = getModalNote();
+  const sentenceTextarea = getSentenceTextarea();
+  // Search for the plain sentence, without target word markup
+  const sentence = sentenceTextarea ? sentenceTextarea.value.trim().replace(/\{\{c\d+::(.*?)\}\}|<\/?b>/g, '$1') : '';
+
+  if (!note.deckName || !note.modelName || !sentence) {
+    duplicateResult = null;
+    renderDuplicatePanel();
+    return;
+  }
+
+  try {
+    let words = [];
+    if (currentGetWordsCallback) {
+      const { matureWords, learningWords } = await currentGetWordsCallback();
+      words = extractAllUnknownWords(sentence, matureWords, learningWords);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'findDuplicateNotes',
+      deckName: note.deckName,
+      modelName: note.modelName,
+      fields: note.fields,
+      sentence: sentence,
+      words: words
+    });
+
+    // A newer check started while this one was running
+    if (checkId !== duplicateCheckId) return;
+
+    duplicateResult = response.success ? { canAdd: response.canAdd, duplicates: response.duplicates } : null;
+    renderDuplicatePanel();
+  } catch (error) {
+    console.error('Error checking for duplicate notes:', error);
+  }
+}
+
+/**
+ * Create a small action button for the duplicate panel
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} Button element
+ */
+function createDuplicateActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.cssText = `
+    padding: 4px 8px;
+    background: #555;
+    color: white;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 12px;
+    white-space: nowrap;
+  `;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Show existing notes from the last duplicate check, with actions for each
+ */
+function renderDuplicatePanel() {
+  const panel = ankiModal.querySelector('#anki-duplicate-panel');
+  panel.textContent = '';
+
+  if (!duplicateResult || (duplicateResult.canAdd && duplicateResult.duplicates.length === 0)) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const heading = document.createElement('div');
+  heading.style.cssText = 'font-weight: 600; margin-bottom: 8px; color: #ff9800;';
+  heading.textContent = duplicateResult.canAdd
+    ? '⚠ Similar notes already in Anki'
+    : '⚠ A note with this first field already exists';
+  panel.appendChild(heading);
+
+  duplicateResult.duplicates.forEach(duplicate => {
+    const row = document.createElement('div');
+    row.style.cssText = 'padding: 6px 0; border-top: 1px solid #444;';
+
+    const preview = document.createElement('div');
+    preview.style.cssText = 'direction: rtl; font-weight: 500; color: white;';
+    preview.textContent = duplicate.preview || '(empty first field)';
+    row.appendChild(preview);
+
+    const meta = document.createElement('div');
+    meta.style.cssText = 'color: #aaa; font-size: 12px; margin: 2px 0 6px;';
+    const match = duplicate.matchedBy === 'word' ? `same word "${duplicate.word}"` : 'same sentence';
+    const interval = duplicate.isNew ? 'new' : `interval ${duplicate.interval}d`;
+    meta.textContent = `${duplicate.deckName} · ${duplicate.modelName} · ${interval} · ${match}`;
+    row.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px;';
+
+    actions.appendChild(createDuplicateActionButton('Open in Anki', async () => {
+      const response = await chrome.runtime.sendMessage({ action: 'openNoteInAnki', noteId: duplicate.noteId });
+      if (!response.success) {
+        showModalError('Could not open Anki browser: ' + response.error);
+      }
+    }));
+
+    actions.appendChild(createDuplicateActionButton('Append context', async (e) => {
+      const button = e.target;
+      button.disabled = true;
+
+      const sentence = getSentenceTextarea().value.trim().replace(/\n/g, '<br>');
+      const text = currentAudioFilename ? `${sentence} [sound:${currentAudioFilename}]` : sentence;
+      const response = await chrome.runtime.sendMessage({
+        action: 'appendNoteContext',
+        noteId: duplicate.noteId,
+        text: text
+      });
+
+      if (response.success) {
+        showNotification(response.skipped
+          ? `Context already in ${response.fieldName}`
+          : `Context appended to ${response.fieldName}`, 'success');
+        closeAnkiModal();
+      } else {
+        button.disabled = false;
+        showModalError('Could not append context: ' + response.error);
+      }
+    }));
+
+    row.appendChild(actions);
+    panel.appendChild(row);
+  });
+
+  const addAnyway = createDuplicateActionButton('Add anyway', () => createAnkiCard({ allowDuplicate: true }));
+  addAnyway.style.marginTop = '8px';
+  addAnyway.style.background = '#0066ff';
+  panel.appendChild(addAnyway);
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Show the captured video frame with its retake/remove buttons
+ */
+function renderFramePanel() {
+  const panel = ankiModal.querySelector('#anki-frame-panel');
+  const preview = ankiModal.querySelector('#anki-frame-preview');
+
+  panel.style.display = currentCaptureFrame ? 'block' : 'none';
+  preview.style.display = currentFrame ? 'block' : 'none';
+  preview.src = currentFrame ? currentFrame.dataUrl : '';
+  ankiModal.querySelector('#anki-frame-remove').style.display = currentFrame ? 'inline-block' : 'none';
+  ankiModal.querySelector('#anki-frame-status').textContent = currentFrame ? '' : 'No screenshot';
+}
+
+/**
+ * Grab the video frame again (e.g. after seeking to a better shot)
+ * The modal is hidden meanwhile so a tab screenshot doesn't include it
+ */
+async function retakeFrame() {
+  if (!currentCaptureFrame) return;
+
+  ankiModal.style.display = 'none';
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  try {
+    const frame = await currentCaptureFrame();
+    if (frame) {
+      currentFrame = frame;
+    } else {
+      showModalError('Could not capture the video frame');
+    }
+  } finally {
+    ankiModal.style.display = 'block';
+  }
+
+  renderFramePanel();
+}
+
+/**
+ * Create the note from the modal fields
+ * @param {Object} options - {allowDuplicate: add even if the first field already exists}
+ */
+async function createAnkiCard(options = {}) {
   const deckSelect = ankiModal.querySelector('#anki-deck-select');
   const modelSelect = ankiModal.querySelector('#anki-model-select');
 
@@ -394,6 +675,11 @@ async function createAnkiCard() {
     return;
   }
 
+  if (!options.allowDuplicate && duplicateResult && !duplicateResult.canAdd) {
+    showModalError('A note with this first field already exists. Choose "Add anyway" to create it, or append this context to the existing note.');
+    return;
+  }
+
   const fieldTextareas = ankiModal.querySelectorAll('[data-field-name]');
   const fields = {};
 
@@ -403,8 +689,9 @@ async function createAnkiCard() {
     fields[fieldName] = value.replace(/\n/g, '<br>');
   });
 
+  const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+
   if (currentAudioFilename) {
-    const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
     const audioFieldName = settingsResponse.settings?.audioFieldName || 'Audio';
 
     const allFieldTextareas = Array.from(fieldTextareas);
@@ -421,25 +708,55 @@ async function createAnkiCard() {
     return;
   }
 
+  if (currentModelIsCloze && !Object.values(fields).some(value => CLOZE_DELETION_REGEX.test(value))) {
+    showModalError('Cloze note types need a cloze deletion: wrap the word to hide in {{c1::...}}');
+    return;
+  }
+
   try {
     const createButton = ankiModal.querySelector('#anki-modal-create');
     createButton.disabled = true;
     createButton.textContent = 'Creating...';
 
+    const imageFieldName = settingsResponse.settings?.imageFieldName ?? 'Image';
+    if (currentFrame && imageFieldName && imageFieldName in fields) {
+      const mediaResponse = await chrome.runtime.sendMessage({
+        action: 'ankiStoreMediaFile',
+        filename: currentFrame.filename,
+        data: currentFrame.dataUrl.split(',')[1]  // Remove data:image/jpeg;base64, prefix
+      });
+      if (!mediaResponse.success) {
+        showModalError('Failed to store the screenshot: ' + mediaResponse.error);
+        createButton.disabled = false;
+        createButton.textContent = 'Create Card';
+        return;
+      }
+      fields[imageFieldName] = `<img src="${mediaResponse.filename || currentFrame.filename}">`;
+    }
+
     const response = await chrome.runtime.sendMessage({
       action: 'createNote',
       deckName: deckName,
       modelName: modelName,
       fields: fields,
-      tags: ['sentence'],
+      tags: ['sentence', ...window.buildSourceTags(currentSource)],
       options: {
-        "allowHTML": true
+        "allowHTML": true,
+        "allowDuplicate": options.allowDuplicate === true
       }
     });
 
     if (response.success) {
-      showNotification('Card created successfully!', 'success');
+      showNotification(response.queued
+        ? 'Anki is offline: card queued and will be added when Anki is running'
+        : 'Card created successfully!', 'success');
       closeAnkiModal();
+    } else if (response.error && response.error.includes('duplicate')) {
+      showModalError('A note with this first field already exists.');
+      duplicateResult = { canAdd: false, duplicates: duplicateResult ? duplicateResult.duplicates : [] };
+      renderDuplicatePanel();
+      createButton.disabled = false;
+      createButton.textContent = 'Create Card';
     } else {
       showModalError(response.error || 'Failed to create card');
       createButton.disabled = false;
@@ -491,6 +808,13 @@ function closeAnkiModal() {
   }
   currentSentence = null;
   currentAudioFilename = null;
+  clearTimeout(duplicateCheckTimeout);
+  duplicateCheckId++;
+  duplicateResult = null;
+  currentTargetWord = null;
+  currentSource = null;
+  currentFrame = null;
+  currentCaptureFrame = null;
 }
 
 /**
@@ -554,6 +878,36 @@ function createAnkiModal(getWordsCallback) {
           border: 1px solid #333;
         "></div>
 
+        <div id="anki-frame-panel" style="display: none; margin-bottom: 20px;">
+          <img id="anki-frame-preview" alt="Video frame" style="
+            display: block;
+            max-width: 100%;
+            border-radius: 4px;
+            border: 1px solid #333;
+          ">
+          <div style="display: flex; gap: 8px; align-items: center; margin-top: 6px;">
+            <button id="anki-frame-retake" title="Capture the frame currently shown in the video" style="
+              padding: 4px 10px;
+              background: #555;
+              color: white;
+              border: none;
+              border-radius: 4px;
+              cursor: pointer;
+              font-size: 12px;
+            ">Retake</button>
+            <button id="anki-frame-remove" style="
+              padding: 4px 10px;
+              background: #555;
+              color: white;
+              border: none;
+              border-radius: 4px;
+              cursor: pointer;
+              font-size: 12px;
+            ">Remove</button>
+            <span id="anki-frame-status" style="font-size: 12px; color: #888;"></span>
+          </div>
+        </div>
+
         <div style="margin-bottom: 15px;">
           <label style="display: block; margin-bottom: 5px; font-weight: 500; color: #ddd; font-size: 16px;">
             Deck:
@@ -607,6 +961,16 @@ function createAnkiModal(getWordsCallback) {
 
         <div id="anki-fields-container"></div>
 
+        <div id="anki-duplicate-panel" style="
+          display: none;
+          background: #2e2410;
+          padding: 10px;
+          border-radius: 4px;
+          margin-top: 15px;
+          font-size: 13px;
+          border: 1px solid #ff9800;
+        "></div>
+
         <div id="anki-error-message" style="
           display: none;
           background: #721c24;
@@ -654,9 +1018,17 @@ function createAnkiModal(getWordsCallback) {
 
   modal.querySelector('#anki-modal-close').addEventListener('click', closeAnkiModal);
   modal.querySelector('#anki-modal-cancel').addEventListener('click', closeAnkiModal);
-  modal.querySelector('#anki-modal-create').addEventListener('click', createAnkiCard);
+  modal.querySelector('#anki-modal-create').addEventListener('click', () => createAnkiCard());
+  modal.querySelector('#anki-deck-select').addEventListener('change', checkForDuplicates);
   modal.querySelector('#anki-model-select').addEventListener('change', () => loadModelFields(getWordsCallback));
   modal.querySelector('#anki-sentence-field-select').addEventListener('change', fillSentenceField);
+  // Re-check for duplicates as the fields are edited
+  modal.querySelector('#anki-fields-container').addEventListener('input', scheduleDuplicateCheck);
+  modal.querySelector('#anki-frame-retake').addEventListener('click', retakeFrame);
+  modal.querySelector('#anki-frame-remove').addEventListener('click', () => {
+    currentFrame = null;
+    renderFramePanel();
+  });
 
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
@@ -672,13 +1044,35 @@ function createAnkiModal(getWordsCallback) {
  * Open modal with sentence
  * @param {string} sentence - Hebrew sentence to create card from
  * @param {Function} getWordsCallback - Callback to get word lists
+ * @param {string|null} audioFilename - Recorded audio in the Anki media folder
+ * @param {Object|null} source - Video moment {platform, videoId, title, time, url}; defaults to the current page
+ * @param {Function|null} captureFrame - Async callback returning a video frame {filename, dataUrl}
+ * @param {string|null} translation - The line in the second subtitle language, for the translation field
  */
-async function openAnkiModal(sentence, getWordsCallback, audioFilename = null) {
+async function openAnkiModal(sentence, getWordsCallback, audioFilename = null, source = null, captureFrame = null, translation = null) {
   currentSentence = sentence;
   currentAudioFilename = audioFilename;
+  currentTranslation = translation;
+  currentSource = source || window.getPageSource();
+  currentFrame = null;
+  currentCaptureFrame = null;
+
+  if (captureFrame) {
+    const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    if (settingsResponse.settings?.imageFieldName ?? 'Image') {
+      currentCaptureFrame = captureFrame;
+      currentFrame = await captureFrame();
+    }
+  }
+
+  currentGetWordsCallback = getWordsCallback;
+  currentTargetWord = await findTargetWord();
+  duplicateResult = null;
   const modal = createAnkiModal(getWordsCallback);
+  modal.querySelector('#anki-duplicate-panel').style.display = 'none';
 
   modal.querySelector('#anki-sentence-display').textContent = sentence;
+  renderFramePanel();
 
   if (audioFilename) {
     const audioIndicator = document.createElement('div');
@@ -735,4 +1129,5 @@ function initializeCardCreator(getWordsCallback) {
   window.initializeCardCreator = initializeCardCreator;
   window.openAnkiModal = openAnkiModal;
   window.closeAnkiModal = closeAnkiModal;
+  window.extractAllUnknownWords = extractAllUnknownWords;
 })();
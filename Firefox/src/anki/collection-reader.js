@@ -0,0 +1,252 @@
+// Read-only reader for exported Anki collections (.apkg/.colpkg packages or a raw collection.anki2)
+// using the bundled sql.js, with zstd decompression (fzstd) for current-format packages
+// Used by the options page to import a collection for offline mode
+
+(function() {
+  'use strict';
+
+  const SQLITE_MAGIC = 'SQLite format 3\u0000';
+  const ZSTD_MAGIC = 0xfd2fb528;
+  const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+  const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+  const ZIP_END_SIGNATURE = 0x06054b50;
+
+  // Collection database inside a package, preferred first: current exports store a
+  // zstd-compressed collection.anki21b next to a placeholder collection.anki2
+  const COLLECTION_ENTRIES = ['collection.anki21b', 'collection.anki21', 'collection.anki2'];
+
+  // sql.js WebAssembly binary, loaded on the first import
+  const SQLJS_WASM_PATH = 'lib/sqljs/sql-wasm.wasm';
+
+  const textDecoder = new TextDecoder();
+  let sqlJsPromise = null;
+
+  /**
+   * Load sql.js (SQLite compiled to WebAssembly) on first use
+   * @returns {Promise<Object>} sql.js module
+   */
+  function loadSqlJs() {
+    if (!sqlJsPromise) {
+      sqlJsPromise = initSqlJs({ locateFile: () => chrome.runtime.getURL(SQLJS_WASM_PATH) });
+    }
+    return sqlJsPromise;
+  }
+
+  /**
+   * Check whether a collection database has a table
+   * @param {Object} db - sql.js database
+   * @param {string} name - Table name
+   * @returns {boolean} True if the table exists
+   */
+  function hasTable(db, name) {
+    return db.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [name]).length > 0;
+  }
+
+  /**
+   * Call a function with every row of a table
+   * @param {Object} db - sql.js database
+   * @param {string} table - Table name
+   * @param {Function} callback - Called with each row as {column: value}
+   */
+  function forEachRow(db, table, callback) {
+    const statement = db.prepare(`SELECT * FROM ${table}`);
+    try {
+      while (statement.step()) {
+        callback(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * List the files in a zip archive
+   * @param {Uint8Array} bytes - Zip file
+   * @returns {Object} Map of file name → {method, compressedSize, localOffset}
+   */
+  function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory record (followed by a comment of up to 64KB)
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === ZIP_END_SIGNATURE) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) {
+      throw new Error('Not a valid Anki package (.apkg/.colpkg)');
+    }
+
+    const entries = {};
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) {
+        throw new Error('Corrupt Anki package (bad zip directory)');
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      entries[name] = {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true)
+      };
+
+      offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Extract one file from a zip archive
+   * @param {Uint8Array} bytes - Zip file
+   * @param {Object} entry - Entry from readZipEntries
+   * @returns {Promise<Uint8Array>} File contents
+   */
+  async function extractZipEntry(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const local = entry.localOffset;
+
+    if (entry.compressedSize === 0xffffffff) {
+      throw new Error('Anki packages larger than 4GB are not supported');
+    }
+    if (view.getUint32(local, true) !== ZIP_LOCAL_SIGNATURE) {
+      throw new Error('Corrupt Anki package (bad zip entry)');
+    }
+
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    throw new Error(`Unsupported compression in Anki package (method ${entry.method})`);
+  }
+
+  /**
+   * Read decks, note types, notes, and cards from a collection database.
+   * Supports both the legacy schema (decks/models as JSON in the col table)
+   * and the current one (separate decks/notetypes/fields tables).
+   * @param {Object} db - sql.js collection database
+   * @returns {Object} {decks, models, notes, cards}
+   */
+  function readCollectionTables(db) {
+    const decks = {};
+    const models = {};
+
+    forEachRow(db, 'col', col => {
+      if (col.decks) {
+        Object.values(JSON.parse(col.decks)).forEach(deck => {
+          decks[deck.id] = deck.name;
+        });
+      }
+      if (col.models) {
+        Object.values(JSON.parse(col.models)).forEach(model => {
+          models[model.id] = {
+            name: model.name,
+            fields: model.flds.slice().sort((a, b) => a.ord - b.ord).map(field => field.name)
+          };
+        });
+      }
+    });
+
+    if (hasTable(db, 'decks')) {
+      forEachRow(db, 'decks', deck => {
+        decks[deck.id] = deck.name.split('\u001f').join('::');
+      });
+    }
+
+    if (hasTable(db, 'notetypes') && hasTable(db, 'fields')) {
+      forEachRow(db, 'notetypes', notetype => {
+        models[notetype.id] = { name: notetype.name, fields: [] };
+      });
+      forEachRow(db, 'fields', field => {
+        if (models[field.ntid]) {
+          models[field.ntid].fields[field.ord] = field.name;
+        }
+      });
+    }
+
+    // notes: {noteId: [modelId, mod, tags, [field values]]}
+    const notes = {};
+    forEachRow(db, 'notes', note => {
+      notes[note.id] = [note.mid, note.mod, (note.tags || '').trim(), (note.flds || '').split('\u001f')];
+    });
+
+    // cards: {cardId: [noteId, deckId, ord, mod, type, queue, interval, factor, reps, lapses, lastReview]}
+    // Cards in a filtered deck are listed under their home deck
+    const cards = {};
+    forEachRow(db, 'cards', card => {
+      cards[card.id] = [
+        card.nid, card.odid || card.did, card.ord, card.mod, card.type, card.queue,
+        card.ivl, card.factor, card.reps, card.lapses, 0
+      ];
+    });
+
+    // Last review time (ms) from the review log, for rated:N searches
+    if (hasTable(db, 'revlog')) {
+      forEachRow(db, 'revlog', review => {
+        const card = cards[review.cid];
+        if (card && review.id > card[10]) {
+          card[10] = review.id;
+        }
+      });
+    }
+
+    return { decks, models, notes, cards };
+  }
+
+  /**
+   * Read an exported Anki collection file
+   * @param {File} file - .apkg, .colpkg, or collection.anki2 file
+   * @returns {Promise<Object>} {fileName, importedAt, decks, models, notes, cards}
+   */
+  async function readAnkiCollection(file) {
+    const startTime = performance.now();
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let databaseBytes = bytes;
+
+    if (textDecoder.decode(bytes.subarray(0, 16)) !== SQLITE_MAGIC) {
+      const entries = readZipEntries(bytes);
+      const entryName = COLLECTION_ENTRIES.find(name => entries[name]);
+      if (!entryName) {
+        throw new Error('No collection found in this Anki package');
+      }
+
+      databaseBytes = await extractZipEntry(bytes, entries[entryName]);
+      if (databaseBytes.length >= 4 && new DataView(databaseBytes.buffer, databaseBytes.byteOffset).getUint32(0, true) === ZSTD_MAGIC) {
+        databaseBytes = fzstd.decompress(databaseBytes);
+      }
+    }
+
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database(databaseBytes);
+    let collection;
+    try {
+      collection = readCollectionTables(db);
+    } finally {
+      db.close();
+    }
+
+    console.log(`Read Anki collection "${file.name}": ${Object.keys(collection.notes).length} notes, ${Object.keys(collection.cards).length} cards in ${Math.round(performance.now() - startTime)}ms`);
+
+    return {
+      fileName: file.name,
+      importedAt: Date.now(),
+      ...collection
+    };
+  }
+
+  // Expose to global scope
+  window.readAnkiCollection = readAnkiCollection;
+})();
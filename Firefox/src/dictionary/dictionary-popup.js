@@ -250,6 +250,24 @@ async function showDictionaryPopup(word, x, y, refreshWordsCallback) {
       }
     }
 
+    // Add Anki review information (only for single words)
+    const vocabulary = !isPhrase ? await window.loadVocabularyStore() : null;
+    const lemma = vocabulary ? vocabulary.lemma(word) : null;
+    const record = vocabulary ? vocabulary.record(word) : null;
+    if (record) {
+      const details = [];
+      details.push(record.lastReview ? `Last reviewed ${window.formatTimeAgo(record.lastReview)}` : 'Not reviewed yet');
+      if (record.interval > 0) details.push(`interval ${record.interval}d`);
+      if (record.ease > 0) details.push(`ease ${record.ease}%`);
+      if (record.lapses > 0) details.push(`${record.lapses} lapse${record.lapses > 1 ? 's' : ''}`);
+
+      html += `<div style="font-size: 11px; color: #aaa; background: #1a1a1a; padding: 6px 8px; border-radius: 4px; margin-bottom: 8px; border-left: 3px solid ${record.lapses >= 4 ? '#dc3545' : '#2d5016'};">
+        <div>🕑 ${escapeHtml(details.join(', '))}</div>
+        ${lemma !== window.normalizeHebrew(word) ? `<div>Matched as <span style="direction: rtl; color: white;">${escapeHtml(lemma)}</span></div>` : ''}
+        ${record.decks.length > 0 ? `<div>Deck: ${escapeHtml(record.decks.join(', '))}</div>` : ''}
+      </div>`;
+    }
+
     // Add binyanim/conjugation information (only for single words)
     const verbInfo = !isPhrase ? findVerbInfo(word) : null;
     if (verbInfo) {
@@ -670,10 +688,12 @@ async function showDictionaryPopup(word, x, y, refreshWordsCallback) {
 
           // Success - show feedback
           markKnownBtn.style.background = '#28a745'; // Green
-          markKnownBtn.textContent = '✓ Added! Refreshing...';
+          markKnownBtn.textContent = response.queued
+            ? '✓ Queued until Anki is running'
+            : '✓ Added! Refreshing...';
 
-          // Refresh word list to update highlighting
-          if (refreshWordsCallback) {
+          // Refresh word list to update highlighting (queued marks are already in the word list)
+          if (refreshWordsCallback && !response.queued) {
             await refreshWordsCallback();
           }
 
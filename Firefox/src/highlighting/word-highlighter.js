@@ -11,69 +11,85 @@
     unknown: '#dc3545'        // red
   };
 
+  // Strength gradient stops: [interval in days, RGB]. Intervals in between are
+  // interpolated on a log scale, so 1d → 7d is as visible as 60d → 365d
+  const STRENGTH_STOPS = [
+    [0, [255, 140, 0]],     // orange (new/learning)
+    [21, [154, 205, 50]],   // yellow-green (just mature)
+    [365, [45, 80, 22]]     // dark green (well established)
+  ];
+
   const WORD_TITLES = {
     mature: 'Mature card',
     learning: 'Learning card',
-    'potentially-known': 'Potentially known (prefix detected)',
+    'potentially-known': 'Potentially known (affix detected)',
     unknown: 'Unknown word'
   };
 
   /**
    * Check if a word should be highlighted and return its type
    * @param {string} word - Hebrew word to check
-   * @param {Array} matureWords - Array of mature/known words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature/known words
+   * @param {Array|Set} learningWords - Array of learning words
    * @returns {string} Word type: 'mature', 'learning', 'potentially-known', or 'unknown'
    */
   function getWordType(word, matureWords, learningWords) {
     const normalized = window.normalizeHebrew(word);
+    return window.analyzeHebrewWord(normalized, matureWords, learningWords).type;
+  }
 
-    // Check if word is known as-is
-    if (matureWords.includes(normalized)) {
-      return 'mature';
-    }
-    if (learningWords.includes(normalized)) {
-      return 'learning';
-    }
-
-    // Check if word starts with vav (ו) preposition meaning "and"
-    // Most Hebrew words don't naturally start with vav, so this is likely a prefix
-    if (normalized.startsWith('ו') && normalized.length > 1) {
-      const withoutVav = normalized.substring(1);
-
-      // Check if the word without vav is known
-      if (matureWords.includes(withoutVav)) {
-        return 'mature';
-      }
-      if (learningWords.includes(withoutVav)) {
-        return 'learning';
+  /**
+   * Get an underline color for a card interval along the strength gradient
+   * @param {number} interval - Card interval in days
+   * @returns {string} CSS rgb() color
+   */
+  function getStrengthColor(interval) {
+    const position = Math.log1p(Math.max(0, interval || 0));
+
+    for (let i = 1; i < STRENGTH_STOPS.length; i++) {
+      const [fromDays, fromColor] = STRENGTH_STOPS[i - 1];
+      const [toDays, toColor] = STRENGTH_STOPS[i];
+      const start = Math.log1p(fromDays);
+      const end = Math.log1p(toDays);
+
+      if (position <= end || i === STRENGTH_STOPS.length - 1) {
+        const t = Math.min(1, Math.max(0, (position - start) / (end - start)));
+        const rgb = fromColor.map((c, j) => Math.round(c + (toColor[j] - c) * t));
+        return `rgb(${rgb.join(', ')})`;
       }
     }
+  }
 
-    // Check for other common prefixes: ל (to/for), ב (in/with), ש (that/which)
-    // If removing these reveals a known word, mark as "potentially-known"
-    const prefixes = ['ל', 'ב', 'ש'];
-    for (const prefix of prefixes) {
-      if (normalized.startsWith(prefix) && normalized.length > 1) {
-        const withoutPrefix = normalized.substring(1);
-
-        if (matureWords.includes(withoutPrefix) || learningWords.includes(withoutPrefix)) {
-          return 'potentially-known';
-        }
-      }
+  /**
+   * Build the tooltip for a highlighted word, naming the matched lemma
+   * and removed affixes when the word was matched through morphology
+   * @param {Object} analysis - Result of window.analyzeHebrewWord
+   * @returns {string} Tooltip text
+   */
+  function getWordTitle(analysis) {
+    const title = WORD_TITLES[analysis.type];
+    if (analysis.infinitive) {
+      return `${title}: conjugation of ${analysis.infinitive}`;
+    }
+    if (!analysis.lemma || (analysis.prefixes.length === 0 && !analysis.suffix)) {
+      return title;
     }
 
-    return 'unknown';
+    const parts = [...analysis.prefixes.map(p => p + '־'), analysis.lemma];
+    if (analysis.suffix) parts.push('־' + analysis.suffix);
+    return `${title}: ${parts.join(' ')}`;
   }
 
   /**
    * Highlight Hebrew words in a text node
    * @param {Text} textNode - Text node to process
    * @param {Set} uniqueWords - Set to track unique words for stats
-   * @param {Array} matureWords - Array of mature/known words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature/known words
+   * @param {Array|Set} learningWords - Array of learning words
+   * @param {Object} options - {strengthGradient: color known words by card interval}
    */
-  function highlightTextNode(textNode, uniqueWords, matureWords, learningWords) {
+  function highlightTextNode(textNode, uniqueWords, matureWords, learningWords, options = {}) {
+    const vocabulary = options.strengthGradient ? window.getVocabularyStore() : null;
     const text = textNode.textContent;
     const matches = [];
     let match;
@@ -83,11 +99,12 @@
 
     // Find all Hebrew words
     while ((match = window.HEBREW_WORD_REGEX.exec(text)) !== null) {
-      const wordType = getWordType(match[0], matureWords, learningWords);
-      if (wordType) {
+      const analysis = window.analyzeHebrewWord(window.normalizeHebrew(match[0]), matureWords, learningWords);
+      if (analysis.type) {
         matches.push({
           word: match[0],
-          type: wordType,
+          type: analysis.type,
+          analysis: analysis,
           index: match.index,
           length: match[0].length
         });
@@ -125,7 +142,17 @@
       span.style.cursor = 'pointer'; // Show pointer cursor to indicate interactivity
       span.style.display = 'inline'; // Ensure proper inline behavior
       span.textContent = match.word;
-      span.title = WORD_TITLES[match.type];
+      span.title = getWordTitle(match.analysis);
+
+      // Strength gradient: shade known words by their longest card interval
+      const record = vocabulary && match.analysis.lemma && vocabulary.records[match.analysis.lemma];
+      if (record && (match.type === 'mature' || match.type === 'learning')) {
+        span.style.textDecorationColor = getStrengthColor(record.interval);
+        span.title += ` (interval ${record.interval}d)`;
+      }
+      if (match.analysis.lemma) {
+        span.dataset.lemma = match.analysis.lemma;
+      }
       fragment.appendChild(span);
 
       lastIndex = match.index + match.length;
@@ -144,16 +171,18 @@
 
   /**
    * Highlight all Hebrew words in the document
-   * @param {Array} matureWords - Array of mature/known words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature/known words
+   * @param {Array|Set} learningWords - Array of learning words
+   * @param {Object} options - {strengthGradient: color known words by card interval}
    * @returns {Object} Page statistics {total, known, unknown}
    */
-  function highlightWords(matureWords, learningWords) {
+  function highlightWords(matureWords, learningWords, options = {}) {
     const body = document.body;
     if (!body) {
       return { total: 0, known: 0, unknown: 0 };
     }
 
+    const startTime = performance.now();
     const uniqueWords = new Set();
 
     // Use TreeWalker for efficient DOM traversal
@@ -201,7 +230,7 @@
 
     // Process nodes
     nodesToProcess.forEach(textNode => {
-      highlightTextNode(textNode, uniqueWords, matureWords, learningWords);
+      highlightTextNode(textNode, uniqueWords, matureWords, learningWords, options);
     });
 
     // Calculate final stats from unique words
@@ -212,7 +241,8 @@
     }).length;
     const unknown = total - known;
 
-    console.log('Page comprehension stats:', { total, known, unknown });
+    console.log('Page comprehension stats:', { total, known, unknown },
+      `(${nodesToProcess.length} text nodes in ${Math.round(performance.now() - startTime)}ms)`);
 
     return { total, known, unknown };
   }
@@ -227,7 +257,8 @@
       // Skip highlights inside subtitle overlays (they manage their own highlighting)
       if (span.closest(`#${window.DOM_IDS.YOUTUBE_OVERLAY}`) ||
           span.closest(`#${window.DOM_IDS.NETFLIX_OVERLAY}`) ||
-          span.closest(`#${window.DOM_IDS.STREAMISRAEL_OVERLAY}`)) {
+          span.closest(`#${window.DOM_IDS.STREAMISRAEL_OVERLAY}`) ||
+          span.closest(`#${window.DOM_IDS.VIDEO_OVERLAY}`)) {
         return;
       }
 
@@ -246,4 +277,5 @@
   window.highlightWords = highlightWords;
   window.removeHighlights = removeHighlights;
   window.getWordType = getWordType;
+  window.getStrengthColor = getStrengthColor;
 })();
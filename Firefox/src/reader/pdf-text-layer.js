@@ -0,0 +1,188 @@
+// Text layer for the PDF viewer: pdf.js text items become one transparent line of text per
+// visual line, laid over the rendered page so highlighting, lookup, and mining work on it.
+// Hebrew extracted in visual order (reversed) is put back into reading order.
+
+(function() {
+  'use strict';
+
+  // Items whose baselines are this close (relative to the font size) are on the same line
+  const LINE_BASELINE_TOLERANCE = 0.5;
+  // A gap wider than this (relative to the font size) between items on a line is a space,
+  // and one wider than the column gap separates columns (their lines stay separate)
+  const WORD_GAP_RATIO = 0.15;
+  const COLUMN_GAP_RATIO = 2;
+
+  // Hebrew letters, final forms, and the combining points that belong to the letter before them
+  const HEBREW_LETTER_REGEX = /[\u05D0-\u05EA]/;
+  const HEBREW_RUN_REGEX = /[\u05D0-\u05EA]{2,}/g;
+  const FINAL_FORM_REGEX = /[\u05DA\u05DD\u05DF\u05E3\u05E5]/;
+  const GRAPHEME_REGEX = /[\s\S][\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]*/g;
+  // Runs kept left-to-right when a reversed line is turned around (numbers, Latin words)
+  const LTR_RUN_REGEX = /[0-9A-Za-z](?:[0-9A-Za-z.,:%/-]*[0-9A-Za-z%])?/g;
+  const MIRRORED_CHARACTERS = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+  /**
+   * Multiply two PDF transform matrices [a, b, c, d, e, f]
+   * @param {Array<number>} m1 - Outer transform (e.g. the viewport's)
+   * @param {Array<number>} m2 - Inner transform (e.g. a text item's)
+   * @returns {Array<number>} Combined transform
+   */
+  function multiplyTransforms(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  }
+
+  /**
+   * Check whether a page's Hebrew came out in visual order
+   * Final letter forms (ך ם ן ף ץ) only end words, so words that start with them are reversed.
+   * @param {Array<string>} texts - Text of the page's items
+   * @returns {boolean} True if more Hebrew words start than end with a final form
+   */
+  function isVisualOrderHebrew(texts) {
+    let startsWithFinal = 0;
+    let endsWithFinal = 0;
+    texts.forEach(text => {
+      (text.match(HEBREW_RUN_REGEX) || []).forEach(word => {
+        if (FINAL_FORM_REGEX.test(word[0])) startsWithFinal++;
+        if (FINAL_FORM_REGEX.test(word[word.length - 1])) endsWithFinal++;
+      });
+    });
+    return startsWithFinal > endsWithFinal;
+  }
+
+  /**
+   * Turn visual-order text into reading order
+   * Letters are reversed with their points, while numbers and Latin words keep their
+   * direction and brackets are mirrored.
+   * @param {string} text - Text in visual order
+   * @returns {string} Text in reading order
+   */
+  function toLogicalOrder(text) {
+    return (text.match(GRAPHEME_REGEX) || [])
+      .reverse()
+      .join('')
+      .replace(LTR_RUN_REGEX, run => Array.from(run).reverse().join(''))
+      .replace(/[()[\]{}<>]/g, character => MIRRORED_CHARACTERS[character]);
+  }
+
+  /**
+   * Group a page's text items into visual lines in reading order
+   * @param {Array} items - pdf.js text items {str, transform, width}
+   * @param {Object} viewport - pdf.js page viewport {transform, scale}
+   * @returns {Array} Lines [{text, left, top, width, fontSize, rtl}] in viewport pixels
+   */
+  function buildTextLines(items, viewport) {
+    const textItems = items.filter(item => item.str && item.str.trim());
+    const visualOrder = isVisualOrderHebrew(textItems.map(item => item.str));
+
+    const placed = textItems.map(item => {
+      const transform = multiplyTransforms(viewport.transform, item.transform);
+      const fontSize = Math.hypot(transform[2], transform[3]);
+      return {
+        text: visualOrder && HEBREW_LETTER_REGEX.test(item.str) ? toLogicalOrder(item.str) : item.str,
+        left: transform[4],
+        baseline: transform[5],
+        width: item.width * viewport.scale,
+        fontSize: fontSize
+      };
+    });
+
+    // Top to bottom, then left to right, so each line's items end up next to each other
+    placed.sort((a, b) => a.baseline - b.baseline || a.left - b.left);
+
+    const lines = [];
+    placed.forEach(item => {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(item.baseline - line.baseline) <= Math.max(item.fontSize, line.fontSize) * LINE_BASELINE_TOLERANCE) {
+        line.items.push(item);
+        line.fontSize = Math.max(line.fontSize, item.fontSize);
+      } else {
+        lines.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+      }
+    });
+
+    // Split lines that run across columns
+    const segments = [];
+    lines.forEach(line => {
+      let segment = null;
+      line.items.slice().sort((a, b) => a.left - b.left).forEach(item => {
+        const previous = segment && segment.items[segment.items.length - 1];
+        if (!previous || item.left - (previous.left + previous.width) > line.fontSize * COLUMN_GAP_RATIO) {
+          segment = { baseline: line.baseline, fontSize: line.fontSize, items: [] };
+          segments.push(segment);
+        }
+        segment.items.push(item);
+      });
+    });
+
+    return segments.map(line => {
+      const rtl = line.items.some(item => HEBREW_LETTER_REGEX.test(item.text));
+      const ordered = rtl ? line.items.slice().reverse() : line.items;
+
+      // Join items in reading order, adding a space where the page leaves a gap
+      let text = '';
+      ordered.forEach((item, index) => {
+        if (index > 0) {
+          const previous = ordered[index - 1];
+          const gap = rtl
+            ? previous.left - (item.left + item.width)
+            : item.left - (previous.left + previous.width);
+          if (gap > line.fontSize * WORD_GAP_RATIO && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+            text += ' ';
+          }
+        }
+        text += item.text;
+      });
+
+      const left = Math.min(...ordered.map(item => item.left));
+      const right = Math.max(...ordered.map(item => item.left + item.width));
+      return {
+        text: text,
+        left: left,
+        top: line.baseline - line.fontSize,
+        width: right - left,
+        fontSize: line.fontSize,
+        rtl: rtl
+      };
+    });
+  }
+
+  /**
+   * Fill a page's text layer with its lines, each stretched to cover the rendered text
+   * @param {HTMLElement} container - Text layer element (positioned over the page canvas)
+   * @param {Object} textContent - Result of pdf.js page.getTextContent()
+   * @param {Object} viewport - Viewport the page was rendered with
+   */
+  function renderPdfTextLayer(container, textContent, viewport) {
+    container.textContent = '';
+
+    const elements = buildTextLines(textContent.items, viewport).map(line => {
+      const element = document.createElement('div');
+      element.className = 'pdf-text-line';
+      element.textContent = line.text;
+      element.dir = line.rtl ? 'rtl' : 'ltr';
+      element.style.left = `${line.left}px`;
+      element.style.top = `${line.top}px`;
+      element.style.fontSize = `${line.fontSize}px`;
+      container.appendChild(element);
+      return { element: element, width: line.width };
+    });
+
+    // Measure every line first, then scale them all (one layout pass)
+    const naturalWidths = elements.map(({ element }) => element.offsetWidth);
+    elements.forEach(({ element, width }, index) => {
+      if (naturalWidths[index] > 0) {
+        element.style.transform = `scaleX(${width / naturalWidths[index]})`;
+      }
+    });
+  }
+
+  // Expose to global scope
+  window.renderPdfTextLayer = renderPdfTextLayer;
+})();
@@ -0,0 +1,473 @@
+// Post-processing and encoding of subtitle audio clips before they are stored in Anki
+// Silence trimming, loudness normalization, and Opus-in-Ogg / MP3 / WAV encoding
+// Also finds speech onsets, which subtitle timing alignment matches cue starts against
+
+(function() {
+  'use strict';
+
+  // Silence trimming: 10ms windows quieter than the threshold are dropped from both ends,
+  // keeping a short margin so word onsets aren't clipped
+  const SILENCE_WINDOW_SECONDS = 0.01;
+  const SILENCE_THRESHOLD_DB = -45;
+  const SILENCE_MARGIN_SECONDS = 0.1;
+
+  // Loudness normalization: aim for this RMS level without letting peaks exceed the ceiling
+  const TARGET_RMS_DB = -20;
+  const PEAK_CEILING_DB = -1;
+  const MAX_NORMALIZE_GAIN = 10;
+
+  // Speech onsets: 20ms frames well above the clip's noise floor, after a stretch of quieter ones
+  const ONSET_FRAME_SECONDS = 0.02;
+  const ONSET_MIN_GAP_SECONDS = 0.3;
+  const ONSET_NOISE_PERCENTILE = 0.2;
+  const ONSET_NOISE_FACTOR = 4;  // ~12dB above the noise floor
+
+  // Opus always runs at 48kHz; speech clips are encoded as mono
+  const OPUS_SAMPLE_RATE = 48000;
+  const OPUS_BITRATE = 48000;
+  const OPUS_PRE_SKIP = 312;  // libopus encoder lookahead at 48kHz
+
+  // MP3 (bundled LAME WebAssembly build, see lib/wasm-media-encoders) is encoded as mono at 44.1kHz
+  const MP3_WASM_PATH = 'lib/wasm-media-encoders/mp3.wasm';
+  const MP3_SAMPLE_RATE = 44100;
+  const MP3_BITRATE_KBPS = 96;
+
+  // Output formats: setting value → file extension ('wav' is only the fallback when encoding fails)
+  const AUDIO_FORMATS = {
+    ogg: 'ogg',
+    mp3: 'mp3',
+    wav: 'wav'
+  };
+
+  // Compiled MP3 encoder module (see loadMp3Module)
+  let mp3ModulePromise = null;
+
+  /**
+   * Convert decibels to a linear gain
+   * @param {number} db - Level in dB
+   * @returns {number} Linear gain
+   */
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  /**
+   * Copy a time range of a decoded buffer into a new buffer
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {number} startTime - Start offset in seconds
+   * @param {number} endTime - End offset in seconds
+   * @returns {AudioBuffer} Clipped audio
+   */
+  function sliceAudioBuffer(buffer, startTime, endTime) {
+    const startSample = Math.max(0, Math.floor(startTime * buffer.sampleRate));
+    const endSample = Math.min(buffer.length, Math.ceil(endTime * buffer.sampleRate));
+    const clip = new AudioBuffer({
+      length: Math.max(1, endSample - startSample),
+      numberOfChannels: buffer.numberOfChannels,
+      sampleRate: buffer.sampleRate
+    });
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      clip.copyToChannel(buffer.getChannelData(channel).subarray(startSample, endSample), channel);
+    }
+    return clip;
+  }
+
+  /**
+   * Decode an encoded clip (e.g. a MediaRecorder webm recording)
+   * @param {Blob} blob - Encoded audio
+   * @returns {Promise<AudioBuffer>} Decoded audio
+   */
+  async function decodeAudioClip(blob) {
+    const context = new OfflineAudioContext(2, 1, 44100);
+    return context.decodeAudioData(await blob.arrayBuffer());
+  }
+
+  /**
+   * Drop silence from the start and end of a clip
+   * @param {AudioBuffer} buffer - Audio to trim
+   * @returns {AudioBuffer} Trimmed audio (the input if it is silent throughout)
+   */
+  function trimSilence(buffer) {
+    const windowSize = Math.max(1, Math.round(buffer.sampleRate * SILENCE_WINDOW_SECONDS));
+    const threshold = dbToGain(SILENCE_THRESHOLD_DB);
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+
+    const isLoud = (windowStart) => {
+      const windowEnd = Math.min(buffer.length, windowStart + windowSize);
+      return channels.some(data => {
+        for (let i = windowStart; i < windowEnd; i++) {
+          if (Math.abs(data[i]) > threshold) return true;
+        }
+        return false;
+      });
+    };
+
+    let first = 0;
+    while (first < buffer.length && !isLoud(first)) first += windowSize;
+    if (first >= buffer.length) return buffer;
+
+    let last = Math.floor((buffer.length - 1) / windowSize) * windowSize;
+    while (last > first && !isLoud(last)) last -= windowSize;
+
+    const startTime = Math.max(0, first / buffer.sampleRate - SILENCE_MARGIN_SECONDS);
+    const endTime = (last + windowSize) / buffer.sampleRate + SILENCE_MARGIN_SECONDS;
+    return sliceAudioBuffer(buffer, startTime, endTime);
+  }
+
+  /**
+   * Scale a clip to a common loudness (in place)
+   * @param {AudioBuffer} buffer - Audio to normalize
+   * @returns {AudioBuffer} The same buffer
+   */
+  function normalizeLoudness(buffer) {
+    let sumSquares = 0;
+    let peak = 0;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        sumSquares += data[i] * data[i];
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+    }
+
+    const rms = Math.sqrt(sumSquares / (buffer.length * buffer.numberOfChannels));
+    if (rms === 0) return buffer;
+
+    const gain = Math.min(dbToGain(TARGET_RMS_DB) / rms, dbToGain(PEAK_CEILING_DB) / peak, MAX_NORMALIZE_GAIN);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        data[i] *= gain;
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Find where speech starts after a pause, from the energy of short frames
+   * The threshold adapts to the clip's noise floor, so background music doesn't count as speech.
+   * @param {AudioBuffer} buffer - Audio to analyze
+   * @returns {Array<number>} Onset times in seconds from the start of the clip
+   */
+  function detectSpeechOnsets(buffer) {
+    const frameSize = Math.max(1, Math.round(buffer.sampleRate * ONSET_FRAME_SECONDS));
+    const frameCount = Math.floor(buffer.length / frameSize);
+    if (frameCount === 0) return [];
+
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+    const energies = new Float32Array(frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sumSquares = 0;
+      for (const data of channels) {
+        for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+          sumSquares += data[i] * data[i];
+        }
+      }
+      energies[frame] = Math.sqrt(sumSquares / (frameSize * channels.length));
+    }
+
+    const sorted = Float32Array.from(energies).sort();
+    const noiseFloor = sorted[Math.floor(frameCount * ONSET_NOISE_PERCENTILE)];
+    const threshold = Math.max(noiseFloor * ONSET_NOISE_FACTOR, dbToGain(SILENCE_THRESHOLD_DB));
+    const minGapFrames = Math.round(ONSET_MIN_GAP_SECONDS / ONSET_FRAME_SECONDS);
+
+    const onsets = [];
+    let quietFrames = minGapFrames;
+    for (let frame = 0; frame < frameCount; frame++) {
+      if (energies[frame] >= threshold) {
+        if (quietFrames >= minGapFrames) {
+          onsets.push(frame * frameSize / buffer.sampleRate);
+        }
+        quietFrames = 0;
+      } else {
+        quietFrames++;
+      }
+    }
+    return onsets;
+  }
+
+  /**
+   * Apply the configured clean-up steps to a clip
+   * @param {AudioBuffer} buffer - Audio to process
+   * @param {Object} options - {trimSilence, normalize}
+   * @returns {AudioBuffer} Processed audio
+   */
+  function processAudioClip(buffer, options = {}) {
+    let clip = buffer;
+    if (options.trimSilence) {
+      clip = trimSilence(clip);
+    }
+    if (options.normalize) {
+      clip = normalizeLoudness(clip);
+    }
+    return clip;
+  }
+
+  /**
+   * Encode audio as a 16-bit PCM WAV file
+   * @param {AudioBuffer} buffer - Audio to encode
+   * @returns {Blob} audio/wav blob
+   */
+  function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const dataSize = buffer.length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (position, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(position + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);  // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+    let position = 44;
+    for (let i = 0; i < buffer.length; i++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+        view.setInt16(position, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        position += 2;
+      }
+    }
+
+    return new Blob([view.buffer], { type: 'audio/wav' });
+  }
+
+  // CRC-32 as used by Ogg (polynomial 0x04c11db7, no reflection)
+  const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let crc = i << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+      }
+      table[i] = crc >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Build one Ogg page
+   * @param {Array<Uint8Array>} packets - Complete packets on this page
+   * @param {Object} page - {serial, sequence, granule, headerType}
+   * @returns {Uint8Array} Page bytes
+   */
+  function buildOggPage(packets, page) {
+    const lacing = [];
+    packets.forEach(packet => {
+      for (let remaining = packet.length; ; remaining -= 255) {
+        lacing.push(Math.min(remaining, 255));
+        if (remaining < 255) break;
+      }
+    });
+
+    const bodySize = packets.reduce((total, packet) => total + packet.length, 0);
+    const bytes = new Uint8Array(27 + lacing.length + bodySize);
+    const view = new DataView(bytes.buffer);
+
+    bytes.set([0x4f, 0x67, 0x67, 0x53]);  // OggS
+    view.setUint8(5, page.headerType);
+    view.setBigInt64(6, BigInt(page.granule), true);
+    view.setUint32(14, page.serial, true);
+    view.setUint32(18, page.sequence, true);
+    view.setUint8(26, lacing.length);
+    bytes.set(lacing, 27);
+
+    let offset = 27 + lacing.length;
+    packets.forEach(packet => {
+      bytes.set(packet, offset);
+      offset += packet.length;
+    });
+
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    view.setUint32(22, crc, true);
+
+    return bytes;
+  }
+
+  /**
+   * Resample a clip to mono at the given rate
+   * @param {AudioBuffer} buffer - Audio to resample
+   * @param {number} sampleRate - Target sample rate
+   * @returns {Promise<AudioBuffer>} Mono audio
+   */
+  async function resampleToMono(buffer, sampleRate) {
+    const context = new OfflineAudioContext(1, Math.max(1, Math.ceil(buffer.duration * sampleRate)), sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start();
+    return context.startRendering();
+  }
+
+  /**
+   * Encode audio as Opus in an Ogg container using WebCodecs
+   * @param {AudioBuffer} buffer - Audio to encode
+   * @returns {Promise<Blob>} audio/ogg blob
+   */
+  async function encodeOggOpus(buffer) {
+    const mono = await resampleToMono(buffer, OPUS_SAMPLE_RATE);
+    const samples = mono.getChannelData(0);
+
+    const packets = [];
+    let encoderError = null;
+    const encoder = new AudioEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        packets.push({ data: data, samples: Math.round((chunk.duration || 20000) * OPUS_SAMPLE_RATE / 1e6) });
+      },
+      error: (error) => {
+        encoderError = error;
+      }
+    });
+    encoder.configure({ codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, bitrate: OPUS_BITRATE });
+
+    // Feed one second at a time
+    for (let offset = 0; offset < samples.length; offset += OPUS_SAMPLE_RATE) {
+      const frames = samples.subarray(offset, offset + OPUS_SAMPLE_RATE);
+      const audioData = new AudioData({
+        format: 'f32-planar',
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfFrames: frames.length,
+        numberOfChannels: 1,
+        timestamp: Math.round(offset * 1e6 / OPUS_SAMPLE_RATE),
+        data: frames
+      });
+      encoder.encode(audioData);
+      audioData.close();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (encoderError) throw encoderError;
+
+    const serial = Math.floor(Math.random() * 0xffffffff);
+    let sequence = 0;
+
+    const head = new Uint8Array(19);
+    const headView = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    head[8] = 1;  // version
+    head[9] = 1;  // channels
+    headView.setUint16(10, OPUS_PRE_SKIP, true);
+    headView.setUint32(12, buffer.sampleRate, true);  // original rate, informational
+
+    const vendor = new TextEncoder().encode('SelfStudyHebrew');
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    tags.set(new TextEncoder().encode('OpusTags'));
+    new DataView(tags.buffer).setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+
+    const pages = [
+      buildOggPage([head], { serial: serial, sequence: sequence++, granule: 0, headerType: 0x02 }),
+      buildOggPage([tags], { serial: serial, sequence: sequence++, granule: 0, headerType: 0 })
+    ];
+
+    // Group packets into pages of up to ~1 second (a page holds at most 255 lacing values)
+    let granule = OPUS_PRE_SKIP;
+    let pagePackets = [];
+    let lacingCount = 0;
+    packets.forEach((packet, i) => {
+      pagePackets.push(packet.data);
+      lacingCount += Math.floor(packet.data.length / 255) + 1;
+      granule += packet.samples;
+
+      const isLast = i === packets.length - 1;
+      if (isLast || pagePackets.length >= 50 || lacingCount > 200) {
+        pages.push(buildOggPage(pagePackets, {
+          serial: serial,
+          sequence: sequence++,
+          // The last page's granule marks where the real audio ends, so encoder padding is dropped
+          granule: isLast ? OPUS_PRE_SKIP + samples.length : granule,
+          headerType: isLast ? 0x04 : 0
+        }));
+        pagePackets = [];
+        lacingCount = 0;
+      }
+    });
+
+    return new Blob(pages, { type: 'audio/ogg' });
+  }
+
+  /**
+   * Compile the MP3 encoder's WebAssembly module (once per page)
+   * @returns {Promise<WebAssembly.Module>} Compiled module
+   */
+  function loadMp3Module() {
+    if (!mp3ModulePromise) {
+      mp3ModulePromise = fetch(chrome.runtime.getURL(MP3_WASM_PATH))
+        .then(response => response.arrayBuffer())
+        .then(bytes => WebAssembly.compile(bytes));
+      mp3ModulePromise.catch(() => {
+        mp3ModulePromise = null;
+      });
+    }
+    return mp3ModulePromise;
+  }
+
+  /**
+   * Encode audio as MP3 with the bundled LAME WebAssembly encoder
+   * @param {AudioBuffer} buffer - Audio to encode
+   * @returns {Promise<Blob>} audio/mpeg blob
+   */
+  async function encodeMp3(buffer) {
+    const mono = await resampleToMono(buffer, MP3_SAMPLE_RATE);
+    const encoder = await WasmMediaEncoder.createEncoder('audio/mpeg', await loadMp3Module());
+    encoder.configure({ sampleRate: MP3_SAMPLE_RATE, channels: 1, bitrate: MP3_BITRATE_KBPS });
+
+    // The encoder reuses its output buffer, so each chunk is copied out
+    const body = encoder.encode([mono.getChannelData(0)]).slice();
+    const tail = encoder.finalize().slice();
+    return new Blob([body, tail], { type: 'audio/mpeg' });
+  }
+
+  /**
+   * Encode a clip in the configured format
+   * Opus needs WebCodecs; when the chosen encoder is unavailable or fails the clip is saved as WAV.
+   * @param {AudioBuffer} buffer - Audio to encode
+   * @param {string} format - 'ogg' or 'mp3'
+   * @returns {Promise<Object>} {blob, extension}
+   */
+  async function encodeAudioClip(buffer, format) {
+    if (format === 'mp3') {
+      try {
+        return { blob: await encodeMp3(buffer), extension: AUDIO_FORMATS.mp3 };
+      } catch (error) {
+        console.warn('MP3 encoding failed, saving WAV instead:', error);
+      }
+    } else if (typeof AudioEncoder !== 'undefined') {
+      try {
+        const support = await AudioEncoder.isConfigSupported({ codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1 });
+        if (support.supported) {
+          return { blob: await encodeOggOpus(buffer), extension: AUDIO_FORMATS.ogg };
+        }
+      } catch (error) {
+        console.warn('Opus encoding failed, saving WAV instead:', error);
+      }
+    }
+    return { blob: encodeWav(buffer), extension: AUDIO_FORMATS.wav };
+  }
+
+  // Expose to global scope
+  window.sliceAudioBuffer = sliceAudioBuffer;
+  window.decodeAudioClip = decodeAudioClip;
+  window.processAudioClip = processAudioClip;
+  window.detectSpeechOnsets = detectSpeechOnsets;
+  window.encodeWav = encodeWav;
+  window.encodeAudioClip = encodeAudioClip;
+})();
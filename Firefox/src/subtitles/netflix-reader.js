@@ -13,6 +13,7 @@
     this.subtitlesXml = null;
     this.capturedSubtitleTracks = []; // Store all Hebrew tracks
     this.hebrewTrackMetadata = null; // Store track metadata from JSON.parse
+    this.otherTrackMetadata = []; // Non-Hebrew tracks, for the second subtitle language
     this.enableClickToSeek = true;
     this.originalPlayerStyles = null;
   }
@@ -96,10 +97,11 @@
     if (result && result.result && result.result.movieId && result.result.timedtexttracks) {
       const tracks = result.result.timedtexttracks;
       const hebrewTracks = [];
+      const otherTracks = [];
 
       for (const track of tracks) {
-        if (track.language !== 'he' && track.language !== 'heb') continue;
-        if (track.isNoneTrack) continue;
+        if (track.isNoneTrack || !track.language) continue;
+        const isHebrew = track.language === 'he' || track.language === 'heb';
 
         const isCC = track.rawTrackType === 'closedcaptions';
         const isForced = track.isForcedNarrative;
@@ -122,7 +124,7 @@
           }
         }
 
-        hebrewTracks.push({
+        (isHebrew ? hebrewTracks : otherTracks).push({
           language: track.language,
           description: track.languageDescription,
           isClosedCaptions: isCC,
@@ -139,6 +141,12 @@
           detail: { tracks: hebrewTracks }
         }));
       }
+
+      if (otherTracks.length > 0) {
+        document.dispatchEvent(new CustomEvent('netflixOtherTracksFound', {
+          detail: { tracks: otherTracks }
+        }));
+      }
     }
 
     return result;
@@ -247,63 +255,6 @@
    * @param {string} xmlString - TTML XML data
    * @returns {Array} Parsed subtitle objects
    */
-  /**
-   * Parse WebVTT subtitle format
-   * @param {string} vttString - WebVTT content
-   * @returns {Array} Parsed subtitles
-   */
-  parseWebVTT(vttString) {
-    try {
-      const lines = vttString.split('\n');
-      const subtitles = [];
-      let currentSub = null;
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        if (line.startsWith('WEBVTT') || line.startsWith('NOTE') || line === '') {
-          continue;
-        }
-
-        const timeMatch = line.match(/^(\d{2}):(\d{2}):(\d{2}\.\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2}\.\d{3})/);
-        if (timeMatch) {
-          if (currentSub) {
-            subtitles.push(currentSub);
-          }
-
-          const startHours = parseInt(timeMatch[1]);
-          const startMins = parseInt(timeMatch[2]);
-          const startSecs = parseFloat(timeMatch[3]);
-          const startTime = startHours * 3600 + startMins * 60 + startSecs;
-
-          const endHours = parseInt(timeMatch[4]);
-          const endMins = parseInt(timeMatch[5]);
-          const endSecs = parseFloat(timeMatch[6]);
-          const endTime = endHours * 3600 + endMins * 60 + endSecs;
-
-          currentSub = {
-            id: `vtt-${subtitles.length}`,
-            startTime,
-            endTime,
-            text: ''
-          };
-        } else if (currentSub && line && !line.match(/^\d+$/)) {
-          if (currentSub.text) currentSub.text += '\n';
-          currentSub.text += line.replace(/<[^>]*>/g, '').replace(/&[a-z]+;/g, '');
-        }
-      }
-
-      if (currentSub) {
-        subtitles.push(currentSub);
-      }
-
-      return subtitles;
-    } catch (error) {
-      console.error('[Netflix Subs] Error parsing WebVTT:', error);
-      return [];
-    }
-  }
-
   parseTTML(xmlString) {
     try {
       const parser = new DOMParser();
@@ -376,6 +327,28 @@
     return document.querySelector('video');
   }
 
+  /**
+   * Get Netflix video ID from the watch URL
+   * @returns {string|null} Video ID
+   */
+  getVideoId() {
+    const match = window.location.pathname.match(/\/watch\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the show or movie title from the player (the page title is just "Netflix")
+   * @returns {string} Video title
+   */
+  getVideoTitle() {
+    const titleElement = document.querySelector('[data-uia="video-title"]');
+    if (!titleElement) return document.title.trim();
+
+    // Episodes render the show name in <h4> followed by episode number and name in <span>s
+    const parts = Array.from(titleElement.children).map(child => child.textContent.trim()).filter(Boolean);
+    return parts.length > 0 ? parts.join(' ') : titleElement.textContent.trim();
+  }
+
   /**
    * Select the best Hebrew track from captured tracks
    * @returns {string|null} Best subtitle XML
@@ -401,6 +374,24 @@
     return bestTrack;
   }
 
+  /**
+   * Parse a downloaded subtitle file, detecting its format (WebVTT vs TTML/DFXP)
+   * @param {string} data - Subtitle file content
+   * @returns {Array} Parsed subtitles (empty for unknown formats)
+   */
+  parseSubtitleData(data) {
+    const isWebVTT = data.includes('WEBVTT');
+    const isTTML = data.includes('<?xml') || data.includes('<tt') || data.includes('xmlns:tt');
+
+    if (isWebVTT) {
+      return window.parseVTT(data);
+    } else if (isTTML) {
+      return this.parseTTML(data);
+    }
+    console.error('[Netflix Subs] Unknown format:', data.substring(0, 100));
+    return [];
+  }
+
   /**
    * Load subtitles (implementation of abstract method)
    * @returns {Promise<Array>} Array of subtitle objects
@@ -408,30 +399,13 @@
   async loadSubtitles() {
     return new Promise((resolve) => {
       if (this.subtitlesXml) {
-
-        // Detect format (WebVTT vs TTML/DFXP)
-        const isWebVTT = this.subtitlesXml.includes('WEBVTT');
-        const isTTML = this.subtitlesXml.includes('<?xml') || this.subtitlesXml.includes('<tt') || this.subtitlesXml.includes('xmlns:tt');
-
-        let parsed;
-        if (isWebVTT) {
-          parsed = this.parseWebVTT(this.subtitlesXml);
-        } else if (isTTML) {
-          parsed = this.parseTTML(this.subtitlesXml);
-        } else {
-          console.error('[Netflix Subs] Unknown format:', this.subtitlesXml.substring(0, 100));
-          parsed = [];
-        }
-
-        resolve(parsed);
+        resolve(this.parseSubtitleData(this.subtitlesXml));
         return;
       }
 
       setTimeout(() => {
         if (this.subtitlesXml) {
-          const isWebVTT = this.subtitlesXml.includes('WEBVTT');
-          const parsed = isWebVTT ? this.parseWebVTT(this.subtitlesXml) : this.parseTTML(this.subtitlesXml);
-          resolve(parsed);
+          resolve(this.parseSubtitleData(this.subtitlesXml));
         } else if (this.capturedSubtitleTracks.length > 0) {
           const bestXml = this.selectBestTrack();
           if (bestXml) {
@@ -447,6 +421,27 @@
   }
 
 
+  /**
+   * Load a second-language track (shown under the Hebrew one) from the intercepted track list
+   * Prefers regular subtitles over CC, whose sound descriptions don't help as a translation
+   * @param {string} languageCode - Language code (e.g., 'en')
+   * @returns {Promise<Array>} Array of subtitle objects
+   */
+  async loadSecondarySubtitles(languageCode) {
+    const tracks = this.otherTrackMetadata.filter(t =>
+      t.downloadUrl && (t.language === languageCode || t.language.split('-')[0] === languageCode)
+    );
+    const track = tracks.find(t => !t.isClosedCaptions && !t.isForcedNarrative) ||
+      this.selectBestTrackFromMetadata(tracks);
+    if (!track) {
+      console.log('[Netflix Subs] No', languageCode, 'subtitle track found');
+      return [];
+    }
+
+    const data = await this.downloadSubtitleFile(track.downloadUrl);
+    return data ? this.parseSubtitleData(data) : [];
+  }
+
   adjustPlayerLayout() {
     const playerContainer = document.querySelector('.watch-video');
     if (!playerContainer) return;
@@ -521,7 +516,6 @@
     await super.initialize();
 
     if (this.subtitles && this.subtitles.length > 0) {
-      this.setupKeyboardNavigation();
       this.disableNativeSubtitles();
       this.adjustPlayerLayout();
 
@@ -622,89 +616,6 @@
     document.documentElement.appendChild(script);
     script.remove();
   }
-
-  setupKeyboardNavigation() {
-    document.addEventListener('keydown', async (e) => {
-      // Skip if typing in a text field
-      const activeElement = document.activeElement;
-      if (activeElement && (
-        activeElement.tagName === 'INPUT' ||
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.isContentEditable
-      )) {
-        return;
-      }
-
-      // Only handle arrow keys if we have subtitles loaded
-      if (!this.subtitles || this.subtitles.length === 0) return;
-
-      const currentTime = this.currentVideo.currentTime;
-
-      // Left arrow: previous subtitle
-      if (e.key === 'ArrowLeft') {
-        e.preventDefault();
-        e.stopPropagation();
-
-        let currentIndex = -1;
-        for (let i = 0; i < this.subtitles.length; i++) {
-          if (currentTime >= this.subtitles[i].startTime && currentTime < this.subtitles[i].endTime) {
-            currentIndex = i;
-            break;
-          }
-        }
-
-        if (currentIndex === -1) {
-          for (let i = this.subtitles.length - 1; i >= 0; i--) {
-            if (currentTime >= this.subtitles[i].endTime) {
-              currentIndex = i;
-              break;
-            }
-          }
-        }
-
-        const prevIndex = currentIndex > 0 ? currentIndex - 1 : 0;
-        if (this.subtitles[prevIndex]) {
-          await this.seekToTime(this.subtitles[prevIndex].startTime);
-        }
-      }
-
-      // Right arrow: next subtitle
-      else if (e.key === 'ArrowRight') {
-        e.preventDefault();
-        e.stopPropagation();
-
-        let nextIndex = -1;
-        for (let i = 0; i < this.subtitles.length; i++) {
-          if (this.subtitles[i].startTime > currentTime) {
-            nextIndex = i;
-            break;
-          }
-        }
-
-        if (nextIndex !== -1 && this.subtitles[nextIndex]) {
-          await this.seekToTime(this.subtitles[nextIndex].startTime);
-        }
-      }
-
-      // Down arrow: repeat current subtitle
-      else if (e.key === 'ArrowDown') {
-        e.preventDefault();
-        e.stopPropagation();
-
-        let currentIndex = -1;
-        for (let i = 0; i < this.subtitles.length; i++) {
-          if (currentTime >= this.subtitles[i].startTime && currentTime <= this.subtitles[i].endTime) {
-            currentIndex = i;
-            break;
-          }
-        }
-
-        if (currentIndex !== -1 && this.subtitles[currentIndex]) {
-          await this.seekToTime(this.subtitles[currentIndex].startTime);
-        }
-      }
-    }, true); // Use capture phase to intercept before Netflix's handlers
-  }
 }
 
   // Expose to global scope
@@ -747,6 +658,11 @@
     }
   });
 
+  // Listen for the other languages' tracks (second subtitle language)
+  document.addEventListener('netflixOtherTracksFound', (event) => {
+    reader.otherTrackMetadata = event.detail.tracks;
+  });
+
   // Note: Message listener and interceptor are now set up in initialize()
 
   // Poll for video element (may take time to load)
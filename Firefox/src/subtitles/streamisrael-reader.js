@@ -4,79 +4,6 @@
 (function() {
   'use strict';
 
-  /**
-   * Parse WebVTT format subtitles
-   * @param {string} vttText - Raw VTT text
-   * @returns {Array} Array of subtitle objects {start, end, text}
-   */
-  function parseVTT(vttText) {
-    const subtitles = [];
-    const lines = vttText.split('\n');
-
-    let i = 0;
-    // Skip WEBVTT header and initial blank lines
-    while (i < lines.length && !lines[i].includes('-->')) {
-      i++;
-    }
-
-    while (i < lines.length) {
-      const line = lines[i].trim();
-
-      // Look for timestamp line (HH:MM:SS.mmm --> HH:MM:SS.mmm)
-      if (line.includes('-->')) {
-        const parts = line.split('-->').map(s => s.trim());
-        if (parts.length === 2) {
-          const start = parseVTTTimestamp(parts[0]);
-          const end = parseVTTTimestamp(parts[1]);
-
-          // Collect subtitle text (lines after timestamp until blank line)
-          i++;
-          const textLines = [];
-          while (i < lines.length && lines[i].trim() !== '') {
-            textLines.push(lines[i].trim());
-            i++;
-          }
-
-          if (textLines.length > 0) {
-            subtitles.push({
-              startTime: start,
-              endTime: end,
-              text: textLines.join(' ')
-            });
-          }
-        }
-      }
-      i++;
-    }
-
-    console.log(`[StreamIsrael Subs] Parsed ${subtitles.length} subtitles from VTT`);
-    return subtitles;
-  }
-
-  /**
-   * Parse VTT timestamp to seconds
-   * Supports: HH:MM:SS.mmm or MM:SS.mmm
-   * @param {string} timestamp - VTT timestamp string
-   * @returns {number} Time in seconds
-   */
-  function parseVTTTimestamp(timestamp) {
-    const parts = timestamp.split(':');
-    let hours = 0, minutes = 0, seconds = 0;
-
-    if (parts.length === 3) {
-      // HH:MM:SS.mmm
-      hours = parseInt(parts[0]);
-      minutes = parseInt(parts[1]);
-      seconds = parseFloat(parts[2]);
-    } else if (parts.length === 2) {
-      // MM:SS.mmm
-      minutes = parseInt(parts[0]);
-      seconds = parseFloat(parts[1]);
-    }
-
-    return hours * 3600 + minutes * 60 + seconds;
-  }
-
   /**
    * StreamIsrael Subtitle Reader
    * Extends SubtitleReaderBase for StreamIsrael.tv (Vimeo player)
@@ -173,6 +100,16 @@
       }
     }
 
+    /**
+     * Use the Vimeo/HLS playlist the player loaded, so clips can be cut from its segments
+     * @returns {Promise<Object|null>} Audio source, or null if no playlist was requested
+     */
+    async getAudioSource() {
+      const url = window.findStreamingPlaylistUrl();
+      if (!url) return null;
+      return { type: url.includes('.m3u8') ? 'hls' : 'vimeo', url: url };
+    }
+
     cleanup() {
       this.restorePlayerLayout();
       super.cleanup();
@@ -193,6 +130,31 @@
         return [];
       }
 
+      return this.loadTrackSubtitles(track);
+    }
+
+    /**
+     * Load a second-language track (shown under the Hebrew one)
+     * The player's tracks are already in the DOM once the Hebrew one loaded, so don't wait for it
+     * @param {string} languageCode - Language code (e.g., 'en')
+     * @returns {Promise<Array>} Array of subtitle objects
+     */
+    async loadSecondarySubtitles(languageCode) {
+      const track = await this.findSubtitleTrack(languageCode, 1);
+      if (!track) {
+        console.log('[StreamIsrael Subs] No', languageCode, 'subtitle track found');
+        return [];
+      }
+
+      return this.loadTrackSubtitles(track);
+    }
+
+    /**
+     * Download and parse a track element's VTT file
+     * @param {HTMLTrackElement} track - Track element
+     * @returns {Promise<Array>} Array of subtitle objects (empty on failure)
+     */
+    async loadTrackSubtitles(track) {
       const vttUrl = track.src;
       console.log('[StreamIsrael Subs] Found VTT URL:', vttUrl);
 
@@ -203,7 +165,8 @@
         }
 
         const vttText = await response.text();
-        const subtitles = parseVTT(vttText);
+        const subtitles = window.parseVTT(vttText);
+        console.log(`[StreamIsrael Subs] Parsed ${subtitles.length} subtitles from VTT`);
 
         return subtitles;
       } catch (error) {
@@ -214,27 +177,21 @@
 
     /**
      * Find subtitle track element in DOM
-     * @param {string} languageCode - Language code
+     * @param {string} languageCode - Language code ('he'/'iw' match either Hebrew code)
+     * @param {number} attempts - How many times to look (500ms apart) while the player adds its tracks
      * @returns {Promise<HTMLTrackElement|null>} Track element
      */
-    async findSubtitleTrack(languageCode) {
+    async findSubtitleTrack(languageCode, attempts = 10) {
       console.log('[StreamIsrael Subs] Looking for subtitle track with language:', languageCode);
 
-      for (let attempt = 0; attempt < 10; attempt++) {
-        // Look for Hebrew track with either "he" or "iw" language code
-        let track = document.querySelector('track[kind="subtitles"][srclang="he"]');
-        if (!track) {
-          track = document.querySelector('track[kind="subtitles"][srclang="iw"]');
-        }
-        if (track && track.src) {
-          console.log('[StreamIsrael Subs] Found Hebrew track (', track.srclang, '):', track.src);
-          return track;
-        }
+      const codes = languageCode === 'he' || languageCode === 'iw' ? ['he', 'iw'] : [languageCode];
 
-        // Try the requested language code
-        track = document.querySelector(`track[kind="subtitles"][srclang="${languageCode}"]`);
-        if (track && track.src) {
-          console.log('[StreamIsrael Subs] Found track for', languageCode, ':', track.src);
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const track = Array.from(document.querySelectorAll('track[kind="subtitles"]')).find(t =>
+          t.src && (codes.includes(t.srclang) || codes.includes(t.srclang.split('-')[0]))
+        );
+        if (track) {
+          console.log('[StreamIsrael Subs] Found track (', track.srclang, '):', track.src);
           return track;
         }
 
@@ -246,10 +203,12 @@
         }
 
         // Wait and retry
-        await new Promise(resolve => setTimeout(resolve, 500));
+        if (attempt < attempts - 1) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
       }
 
-      console.log('[StreamIsrael Subs] No subtitle track found after 10 attempts');
+      console.log(`[StreamIsrael Subs] No subtitle track found after ${attempts} attempts`);
       return null;
     }
   }
@@ -257,119 +216,6 @@
   // Export to global scope
   window.StreamIsraelSubtitleReader = StreamIsraelSubtitleReader;
 
-  /**
-   * Setup keyboard navigation for subtitles
-   * @param {StreamIsraelSubtitleReader} reader - The subtitle reader instance
-   * @param {HTMLVideoElement} video - The video element
-   */
-  function setupKeyboardNavigation(reader, video) {
-    // Use capture phase to intercept before other handlers
-    document.addEventListener('keydown', (e) => {
-      // Only block arrow keys when actively typing in text fields
-      const activeElement = document.activeElement;
-      if (activeElement && (
-        activeElement.tagName === 'INPUT' ||
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.isContentEditable
-      )) {
-        return; // Let user use arrow keys normally in text fields
-      }
-
-      // Left arrow: previous subtitle
-      if (e.key === 'ArrowLeft') {
-        e.preventDefault();
-        e.stopPropagation();
-
-        const currentTime = video.currentTime;
-        const subtitles = reader.subtitles;
-
-        if (subtitles.length === 0) return;
-
-        // Find current subtitle index
-        let currentIndex = -1;
-        for (let i = 0; i < subtitles.length; i++) {
-          if (currentTime >= subtitles[i].startTime && currentTime < subtitles[i].endTime) {
-            currentIndex = i;
-            break;
-          }
-        }
-
-        // If no current subtitle, find the last subtitle before current time
-        if (currentIndex === -1) {
-          for (let i = subtitles.length - 1; i >= 0; i--) {
-            if (currentTime >= subtitles[i].endTime) {
-              currentIndex = i;
-              break;
-            }
-          }
-        }
-
-        // Go to previous subtitle
-        const prevIndex = currentIndex > 0 ? currentIndex - 1 : 0;
-        if (subtitles[prevIndex]) {
-          video.currentTime = subtitles[prevIndex].startTime;
-          console.log('[StreamIsrael Subs] Jump to previous subtitle:', subtitles[prevIndex].text);
-        }
-      }
-
-      // Right arrow: next subtitle
-      if (e.key === 'ArrowRight') {
-        e.preventDefault();
-        e.stopPropagation();
-
-        const currentTime = video.currentTime;
-        const subtitles = reader.subtitles;
-
-        if (subtitles.length === 0) return;
-
-        // Find the next subtitle after current time
-        let nextIndex = -1;
-        for (let i = 0; i < subtitles.length; i++) {
-          if (subtitles[i].startTime > currentTime) {
-            nextIndex = i;
-            break;
-          }
-        }
-
-        // If found a next subtitle, jump to it
-        if (nextIndex !== -1 && subtitles[nextIndex]) {
-          video.currentTime = subtitles[nextIndex].startTime;
-          console.log('[StreamIsrael Subs] Jump to next subtitle:', subtitles[nextIndex].text);
-        } else {
-          console.log('[StreamIsrael Subs] Already at last subtitle');
-        }
-      }
-
-      // Down arrow: repeat current subtitle
-      if (e.key === 'ArrowDown') {
-        e.preventDefault();
-        e.stopPropagation();
-
-        const currentTime = video.currentTime;
-        const subtitles = reader.subtitles;
-
-        if (subtitles.length === 0) return;
-
-        // Find current subtitle
-        let currentIndex = -1;
-        for (let i = 0; i < subtitles.length; i++) {
-          if (currentTime >= subtitles[i].startTime && currentTime <= subtitles[i].endTime) {
-            currentIndex = i;
-            break;
-          }
-        }
-
-        // If found current subtitle, jump to its start
-        if (currentIndex !== -1 && subtitles[currentIndex]) {
-          video.currentTime = subtitles[currentIndex].startTime;
-          console.log('[StreamIsrael Subs] Repeat current subtitle:', subtitles[currentIndex].text);
-        } else {
-          console.log('[StreamIsrael Subs] No current subtitle to repeat');
-        }
-      }
-    }, true); // Use capture phase
-  }
-
   // Auto-initialize on StreamIsrael pages (main page or embed iframe)
   const isStreamIsraelPage = window.location.hostname === 'www.streamisrael.tv' && window.location.pathname.includes('/videos/');
   const isVHXEmbed = window.location.hostname === 'embed.vhx.tv' && window.location.pathname.includes('/videos/');
@@ -405,12 +251,8 @@
               console.log('[StreamIsrael Subs] Video found, initializing reader');
 
               currentReader.initialize('he').then(() => {
-                // Setup keyboard navigation only if subtitles were loaded
-                if (currentReader.subtitles && currentReader.subtitles.length > 0) {
-                  setupKeyboardNavigation(currentReader, video);
-                  console.log('[StreamIsrael Subs] Keyboard navigation enabled (←/→/↓)');
-                } else {
-                  console.log('[StreamIsrael Subs] No subtitles loaded, arrow keys will work normally');
+                if (!currentReader.subtitles || currentReader.subtitles.length === 0) {
+                  console.log('[StreamIsrael Subs] No subtitles loaded, shortcuts disabled');
                 }
               }).catch(error => {
                 console.error('[StreamIsrael Subs] Initialization error:', error);
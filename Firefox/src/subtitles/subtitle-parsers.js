@@ -0,0 +1,197 @@
+// Subtitle file parsers (WebVTT, SRT, ASS/SSA) shared by the subtitle readers
+
+(function() {
+  'use strict';
+
+  /**
+   * Parse WebVTT format subtitles
+   * Cue settings after the timestamps are ignored and markup tags (<i>, <c.yellow>, <v Name>) are stripped
+   * @param {string} vttText - Raw VTT text
+   * @returns {Array} Array of subtitle objects {startTime, endTime, text}
+   */
+  function parseVTT(vttText) {
+    const subtitles = [];
+    const lines = vttText.replace(/\r/g, '').split('\n');
+
+    let i = 0;
+    // Skip WEBVTT header and initial blank lines
+    while (i < lines.length && !lines[i].includes('-->')) {
+      i++;
+    }
+
+    while (i < lines.length) {
+      const line = lines[i].trim();
+
+      // Look for timestamp line (HH:MM:SS.mmm --> HH:MM:SS.mmm)
+      if (line.includes('-->')) {
+        const parts = line.split('-->').map(s => s.trim());
+        if (parts.length === 2) {
+          const start = parseVTTTimestamp(parts[0]);
+          // Cue settings (align:start, line:90%) follow the end timestamp
+          const end = parseVTTTimestamp(parts[1].split(/\s+/)[0]);
+
+          // Collect subtitle text (lines after timestamp until blank line)
+          i++;
+          const textLines = [];
+          while (i < lines.length && lines[i].trim() !== '') {
+            textLines.push(lines[i].trim());
+            i++;
+          }
+
+          const text = decodeCueText(textLines.join(' '));
+          if (text) {
+            subtitles.push({
+              startTime: start,
+              endTime: end,
+              text: text
+            });
+          }
+        }
+      }
+      i++;
+    }
+
+    return subtitles;
+  }
+
+  /**
+   * Parse VTT timestamp to seconds
+   * Supports: HH:MM:SS.mmm or MM:SS.mmm
+   * @param {string} timestamp - VTT timestamp string
+   * @returns {number} Time in seconds
+   */
+  function parseVTTTimestamp(timestamp) {
+    const parts = timestamp.split(':');
+    let hours = 0, minutes = 0, seconds = 0;
+
+    if (parts.length === 3) {
+      // HH:MM:SS.mmm
+      hours = parseInt(parts[0]);
+      minutes = parseInt(parts[1]);
+      seconds = parseFloat(parts[2]);
+    } else if (parts.length === 2) {
+      // MM:SS.mmm
+      minutes = parseInt(parts[0]);
+      seconds = parseFloat(parts[1]);
+    }
+
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+
+  /**
+   * Parse SubRip (SRT) subtitles
+   * @param {string} srtText - Raw SRT text
+   * @returns {Array} Array of subtitle objects {startTime, endTime, text}
+   */
+  function parseSRT(srtText) {
+    // SRT cues are VTT cues with numbered headers and comma decimal separators
+    return parseVTT(srtText.replace(/(\d+:\d{2}:\d{2}),(\d+)/g, '$1.$2'));
+  }
+
+  /**
+   * Parse ASS/SSA timestamp to seconds (H:MM:SS.cc)
+   * @param {string} timestamp - ASS timestamp string
+   * @returns {number} Time in seconds
+   */
+  function parseASSTimestamp(timestamp) {
+    const [hours, minutes, seconds] = timestamp.trim().split(':');
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+  }
+
+  /**
+   * Parse Advanced SubStation Alpha (ASS/SSA) subtitles
+   * Reads the Dialogue lines of the [Events] section; override tags like {\i1} are stripped
+   * @param {string} assText - Raw ASS/SSA text
+   * @returns {Array} Array of subtitle objects {startTime, endTime, text}
+   */
+  function parseASS(assText) {
+    const subtitles = [];
+    let inEvents = false;
+    let format = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+    assText.replace(/\r/g, '').split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+
+      if (line.startsWith('[')) {
+        inEvents = line.toLowerCase() === '[events]';
+      } else if (inEvents && line.startsWith('Format:')) {
+        format = line.slice(7).split(',').map(field => field.trim().toLowerCase());
+      } else if (inEvents && line.startsWith('Dialogue:')) {
+        // Text is the last field and may itself contain commas
+        const values = line.slice(9).split(',');
+        const fields = values.slice(0, format.length - 1).concat(values.slice(format.length - 1).join(','));
+        const field = name => (fields[format.indexOf(name)] || '').trim();
+
+        const text = decodeCueText(field('text').replace(/\\[Nn]/g, ' ').replace(/\\h/g, ' '));
+        if (text) {
+          subtitles.push({
+            startTime: parseASSTimestamp(field('start')),
+            endTime: parseASSTimestamp(field('end')),
+            text: text
+          });
+        }
+      }
+    });
+
+    return subtitles.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Parse a subtitle file, picking the format from its extension or content
+   * @param {string} text - File content
+   * @param {string} fileName - File name (e.g. 'episode.he.srt')
+   * @returns {Array} Array of subtitle objects {startTime, endTime, text}
+   */
+  function parseSubtitleFile(text, fileName = '') {
+    const content = text.replace(/^\uFEFF/, '');
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+
+    if (extension === 'ass' || extension === 'ssa' || /^\[Script Info\]/im.test(content)) {
+      return parseASS(content);
+    }
+    if (extension === 'vtt' || content.startsWith('WEBVTT')) {
+      return parseVTT(content);
+    }
+    return parseSRT(content);
+  }
+
+  /**
+   * Decode a subtitle file: UTF-8, or Windows-1255 (common for older Hebrew .srt files)
+   * @param {ArrayBuffer} buffer - File content
+   * @returns {string} Text
+   */
+  function decodeSubtitleFile(buffer) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      return new TextDecoder('windows-1255').decode(buffer);
+    }
+  }
+
+  /**
+   * Strip markup tags from cue text and decode its character references
+   * @param {string} text - Cue text
+   * @returns {string} Plain text
+   */
+  function decodeCueText(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&lrm;|&rlm;/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Expose to global scope
+  window.parseVTT = parseVTT;
+  window.parseVTTTimestamp = parseVTTTimestamp;
+  window.parseSRT = parseSRT;
+  window.parseASS = parseASS;
+  window.parseSubtitleFile = parseSubtitleFile;
+  window.decodeSubtitleFile = decodeSubtitleFile;
+  window.decodeCueText = decodeCueText;
+})();
@@ -0,0 +1,673 @@
+// Generic HTML5 Video Subtitle Reader
+// Reads subtitles from <track> elements, HLS WebVTT renditions, or the video's text tracks
+// on any site the user enabled it for from the popup, or from a subtitle file chosen on the
+// page onto any video (injected by the background script)
+
+(function() {
+  'use strict';
+
+  // Track language codes and labels that mean Hebrew
+  const HEBREW_CODES = ['he', 'iw', 'heb'];
+  const HEBREW_LABEL_REGEX = /hebrew|עברית/i;
+
+  // HLS subtitle segments fetched at once
+  const HLS_SEGMENT_CONCURRENCY = 6;
+  // MPEG-TS clock rate used by X-TIMESTAMP-MAP
+  const MPEGTS_CLOCK_RATE = 90000;
+
+  // How long to look for a video after the page loads (players often add it late)
+  const VIDEO_POLL_TIMEOUT_MS = 60000;
+
+  // Auto-sync: largest offset considered, vote bin width, and the share of lines that must line up
+  const MAX_SYNC_OFFSET = 300;
+  const SYNC_BIN_SIZE = 0.1;
+  const MIN_SYNC_MATCH_RATIO = 0.2;
+  // Languages tried as the reference track for auto-sync (after the second subtitle language)
+  const SYNC_REFERENCE_LANGUAGES = ['en', 'he'];
+
+  // Subtitle files the file dialog offers
+  const SUBTITLE_FILE_TYPES = '.srt,.vtt,.ass,.ssa';
+
+  /**
+   * Check whether a track's language or label matches a language code
+   * @param {string} language - Track language (srclang, LANGUAGE, or TextTrack.language)
+   * @param {string} label - Track label
+   * @param {string} languageCode - Wanted language ('he'/'iw' match any Hebrew code)
+   * @returns {boolean} True if the track is in that language
+   */
+  function matchesLanguage(language, label, languageCode) {
+    const isHebrew = HEBREW_CODES.includes(languageCode);
+    const codes = isHebrew ? HEBREW_CODES : [languageCode];
+    const code = (language || '').toLowerCase().split(/[-_]/)[0];
+
+    if (codes.includes(code)) return true;
+    return isHebrew && !code && HEBREW_LABEL_REGEX.test(label || '');
+  }
+
+  /**
+   * Find the page's main video (the largest one)
+   * @returns {HTMLVideoElement|null} Video element
+   */
+  function findLargestVideo() {
+    const area = video => video.offsetWidth * video.offsetHeight;
+    const videos = Array.from(document.querySelectorAll('video')).filter(video => area(video) > 0);
+    return videos.sort((a, b) => area(b) - area(a))[0] || null;
+  }
+
+  /**
+   * Fetch a URL as text
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} Response body
+   */
+  async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Get the offset an HLS WebVTT segment's X-TIMESTAMP-MAP header applies to its cues
+   * @param {string} vttText - Segment text
+   * @returns {number} Offset in seconds (0 without a map)
+   */
+  function getTimestampMapOffset(vttText) {
+    const header = vttText.slice(0, vttText.indexOf('-->') === -1 ? undefined : vttText.indexOf('-->'));
+    const mpegts = /MPEGTS:(\d+)/.exec(header);
+    const local = /LOCAL:([\d:.]+)/.exec(header);
+    if (!mpegts) return 0;
+
+    return Number(mpegts[1]) / MPEGTS_CLOCK_RATE - (local ? window.parseVTTTimestamp(local[1]) : 0);
+  }
+
+  /**
+   * Generic Video Subtitle Reader
+   * Extends SubtitleReaderBase for any page with a plain <video> element
+   */
+  class VideoSubtitleReader extends window.SubtitleReaderBase {
+    /**
+     * @param {Array|null} fileSubtitles - Subtitles loaded from a file (null reads the page's tracks)
+     * @param {string} fileName - Name of the subtitle file
+     */
+    constructor(fileSubtitles = null, fileName = '') {
+      super('Video');
+      this.updateOverlayPosition = null;
+      this.fileSubtitles = fileSubtitles;
+      this.fileName = fileName;
+    }
+
+    /**
+     * Detect video element (the largest one on the page)
+     * @returns {HTMLVideoElement|null} Video element
+     */
+    detectVideo() {
+      return findLargestVideo();
+    }
+
+    async initialize(languageCode = 'he') {
+      await super.initialize(languageCode);
+
+      if (this.subtitleBrowser) {
+        if (this.subtitleBrowser.parentElement !== document.body) {
+          document.body.appendChild(this.subtitleBrowser);
+        }
+
+        this.subtitleBrowser.style.position = 'fixed';
+        this.subtitleBrowser.style.top = '0';
+        this.subtitleBrowser.style.bottom = '0';
+        this.subtitleBrowser.style.height = '100vh';
+        this.subtitleBrowser.style.right = '0';
+        this.subtitleBrowser.style.zIndex = '2147483646';
+        this.subtitleBrowser.style.maxHeight = 'none';
+      }
+
+      if (this.subtitleOverlay && this.currentVideo) {
+        this.subtitleOverlay.style.top = 'auto';
+        this.subtitleOverlay.style.zIndex = '2147483646';
+
+        // Keep the overlay over the lower part of the video, wherever the page puts it
+        this.updateOverlayPosition = () => {
+          if (!this.subtitleOverlay || !this.currentVideo) return;
+          const videoRect = this.currentVideo.getBoundingClientRect();
+          this.subtitleOverlay.style.left = `${videoRect.left + videoRect.width / 2}px`;
+          this.subtitleOverlay.style.bottom = `${Math.max(0, window.innerHeight - videoRect.bottom) + videoRect.height * 0.12}px`;
+          this.subtitleOverlay.style.transform = 'translateX(-50%)';
+        };
+
+        this.updateOverlayPosition();
+        window.addEventListener('resize', this.updateOverlayPosition);
+        window.addEventListener('scroll', this.updateOverlayPosition, { passive: true });
+        document.addEventListener('fullscreenchange', this.updateOverlayPosition);
+      }
+
+      if (this.subtitleBrowser) {
+        this.createFileControls();
+      }
+    }
+
+    /**
+     * Subtitle files get their own timing, since each file is off by its own amount
+     * @returns {string} Timing key
+     */
+    getTimingKey() {
+      const key = super.getTimingKey();
+      return this.fileSubtitles ? `${key}:${this.fileName}` : key;
+    }
+
+    /**
+     * Add a button to load a subtitle file to the browser header, and for a loaded file
+     * its name and auto-sync
+     */
+    createFileControls() {
+      const header = this.subtitleBrowser.firstElementChild;
+      if (!header) return;
+
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 6px;
+        font-size: 13px;
+        color: #aaa;
+      `;
+      const buttonStyle = `
+        padding: 4px 8px;
+        background: #333;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 13px;
+      `;
+
+      const fileLabel = document.createElement('span');
+      fileLabel.textContent = this.fileSubtitles ? `📄 ${this.fileName}` : 'Subtitles from this page';
+      fileLabel.title = this.fileName;
+      fileLabel.style.cssText = `
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      `;
+      row.appendChild(fileLabel);
+
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load file';
+      loadBtn.title = 'Show an SRT, WebVTT, or ASS subtitle file on this video';
+      loadBtn.style.cssText = buttonStyle;
+      loadBtn.addEventListener('click', () => chooseSubtitleFile(() => {}, message => this.showToast(message)));
+      row.appendChild(loadBtn);
+
+      if (this.fileSubtitles) {
+        const syncBtn = document.createElement('button');
+        syncBtn.textContent = 'Auto-sync';
+        syncBtn.title = 'Line the file up with another subtitle track of this video';
+        syncBtn.style.cssText = buttonStyle;
+        syncBtn.addEventListener('click', () => this.autoSyncFileSubtitles());
+        row.appendChild(syncBtn);
+      }
+
+      header.appendChild(row);
+    }
+
+    /**
+     * Shift the file so its lines start with the lines of a subtitle track the page has
+     * (the second subtitle language if one is loaded, otherwise English or Hebrew)
+     */
+    async autoSyncFileSubtitles() {
+      let reference = this.secondarySubtitles;
+      if (reference.length === 0) {
+        for (const languageCode of SYNC_REFERENCE_LANGUAGES) {
+          reference = await this.findSubtitles(languageCode, 1);
+          if (reference.length > 0) break;
+        }
+      }
+      if (reference.length === 0) {
+        this.showToast('No subtitle track on this page to sync to');
+        return;
+      }
+
+      const result = await this.alignSubtitleStarts(reference.map(ref => ref.startTime), {
+        maxShift: MAX_SYNC_OFFSET,
+        binSize: SYNC_BIN_SIZE,
+        minMatches: Math.min(this.subtitles.length, reference.length) * MIN_SYNC_MATCH_RATIO
+      });
+      if (!result) {
+        this.showToast('Could not line the file up with this video\'s subtitles');
+        return;
+      }
+
+      const sign = result.shift > 0 ? '+' : '';
+      this.showToast(`Synced: moved ${sign}${result.shift.toFixed(1)}s (${result.matches} lines matched)`);
+      console.log(`[Video Subs] Auto-sync moved subtitles by ${result.shift.toFixed(2)}s, ${result.matches} matches`);
+    }
+
+    /**
+     * Use the HLS/Vimeo playlist the player loaded, so clips can be cut from its segments
+     * @returns {Promise<Object|null>} Audio source, or null to record the video while it plays
+     */
+    async getAudioSource() {
+      const url = window.findStreamingPlaylistUrl();
+      if (!url) return null;
+      return { type: url.includes('.m3u8') ? 'hls' : 'vimeo', url: url };
+    }
+
+    cleanup() {
+      if (this.updateOverlayPosition) {
+        window.removeEventListener('resize', this.updateOverlayPosition);
+        window.removeEventListener('scroll', this.updateOverlayPosition);
+        document.removeEventListener('fullscreenchange', this.updateOverlayPosition);
+        this.updateOverlayPosition = null;
+      }
+      super.cleanup();
+    }
+
+    /**
+     * Load subtitles from the first source that has the language
+     * @param {string} languageCode - Language code (default: 'he')
+     * @returns {Promise<Array>} Array of subtitle objects
+     */
+    async loadSubtitles(languageCode = 'he') {
+      if (this.fileSubtitles) {
+        console.log(`[Video Subs] Using ${this.fileSubtitles.length} subtitles from ${this.fileName}`);
+        return this.fileSubtitles.slice();
+      }
+
+      console.log('[Video Subs] Loading subtitles...');
+      return this.findSubtitles(languageCode);
+    }
+
+    /**
+     * Load a second-language track (shown under the Hebrew one)
+     * The player's tracks are already known once the Hebrew one loaded, so don't wait for it
+     * @param {string} languageCode - Language code (e.g., 'en')
+     * @returns {Promise<Array>} Array of subtitle objects
+     */
+    async loadSecondarySubtitles(languageCode) {
+      return this.findSubtitles(languageCode, 1);
+    }
+
+    /**
+     * Look for a language's subtitles: <track> files first, then the HLS playlist's WebVTT
+     * rendition, then cues the player already added to the video's text tracks
+     * @param {string} languageCode - Language code
+     * @param {number} attempts - How many times to look (500ms apart) while the player adds its tracks
+     * @returns {Promise<Array>} Array of subtitle objects (empty if none found)
+     */
+    async findSubtitles(languageCode, attempts = 10) {
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const loaders = [
+          () => this.loadTrackElementSubtitles(languageCode),
+          () => this.loadHlsSubtitles(languageCode),
+          () => this.loadTextTrackCues(languageCode)
+        ];
+
+        for (const loader of loaders) {
+          try {
+            const subtitles = await loader();
+            if (subtitles.length > 0) {
+              return subtitles.sort((a, b) => a.startTime - b.startTime);
+            }
+          } catch (error) {
+            console.error('[Video Subs] Error loading', languageCode, 'subtitles:', error);
+          }
+        }
+
+        // Wait and retry
+        if (attempt < attempts - 1) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+      }
+
+      console.log(`[Video Subs] No ${languageCode} subtitles found after ${attempts} attempts`);
+      return [];
+    }
+
+    /**
+     * Hide a text track's native rendering (the overlay shows it instead)
+     * @param {TextTrack} textTrack - Text track
+     */
+    hideNativeTrack(textTrack) {
+      if (textTrack && textTrack.mode === 'showing') {
+        textTrack.mode = 'hidden';
+      }
+    }
+
+    /**
+     * Download the VTT file of a matching <track> element
+     * @param {string} languageCode - Language code
+     * @returns {Promise<Array>} Array of subtitle objects
+     */
+    async loadTrackElementSubtitles(languageCode) {
+      const video = this.currentVideo || this.detectVideo();
+      if (!video) return [];
+
+      const track = Array.from(video.querySelectorAll('track')).find(t =>
+        t.src && (t.kind === 'subtitles' || t.kind === 'captions') && matchesLanguage(t.srclang, t.label, languageCode)
+      );
+      if (!track) return [];
+
+      console.log('[Video Subs] Found track (', track.srclang || track.label, '):', track.src);
+      const subtitles = window.parseVTT(await fetchText(track.src));
+      this.hideNativeTrack(track.track);
+      console.log(`[Video Subs] Parsed ${subtitles.length} subtitles from VTT`);
+      return subtitles;
+    }
+
+    /**
+     * Download every segment of the HLS playlist's WebVTT rendition in a language
+     * @param {string} languageCode - Language code
+     * @returns {Promise<Array>} Array of subtitle objects
+     */
+    async loadHlsSubtitles(languageCode) {
+      const playlistUrl = window.findStreamingPlaylistUrl();
+      if (!playlistUrl || !playlistUrl.includes('.m3u8')) return [];
+
+      const master = await fetchText(playlistUrl);
+      const rendition = master.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.startsWith('#EXT-X-MEDIA:') && line.includes('TYPE=SUBTITLES'))
+        .map(window.parseHlsAttributes)
+        .find(attributes => attributes.URI && matchesLanguage(attributes.LANGUAGE, attributes.NAME, languageCode));
+      if (!rendition) return [];
+
+      const mediaUrl = new URL(rendition.URI, playlistUrl).href;
+      console.log('[Video Subs] Found HLS subtitle rendition (', rendition.LANGUAGE || rendition.NAME, '):', mediaUrl);
+
+      const segmentUrls = (await fetchText(mediaUrl)).split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => new URL(line, mediaUrl).href);
+
+      const segments = [];
+      for (let i = 0; i < segmentUrls.length; i += HLS_SEGMENT_CONCURRENCY) {
+        segments.push(...await Promise.all(segmentUrls.slice(i, i + HLS_SEGMENT_CONCURRENCY).map(fetchText)));
+      }
+
+      // Segment timestamps are relative to the stream's first timestamp map; cues that
+      // span a segment boundary are repeated in both segments
+      const subtitles = [];
+      const seen = new Set();
+      const baseOffset = segments.length > 0 ? getTimestampMapOffset(segments[0]) : 0;
+      segments.forEach(segment => {
+        const offset = getTimestampMapOffset(segment) - baseOffset;
+        window.parseVTT(segment).forEach(cue => {
+          const key = `${(cue.startTime + offset).toFixed(3)}|${cue.text}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+          subtitles.push({ ...cue, startTime: cue.startTime + offset, endTime: cue.endTime + offset });
+        });
+      });
+
+      console.log(`[Video Subs] Parsed ${subtitles.length} subtitles from ${segments.length} HLS segments`);
+      return subtitles;
+    }
+
+    /**
+     * Read the cues of a matching text track the player created itself (no file to download)
+     * Players that load subtitles as they go may only have cues for the part already buffered
+     * @param {string} languageCode - Language code
+     * @returns {Promise<Array>} Array of subtitle objects
+     */
+    async loadTextTrackCues(languageCode) {
+      const video = this.currentVideo || this.detectVideo();
+      if (!video) return [];
+
+      const textTrack = Array.from(video.textTracks).find(t =>
+        (t.kind === 'subtitles' || t.kind === 'captions') && matchesLanguage(t.language, t.label, languageCode)
+      );
+      if (!textTrack) return [];
+
+      // Disabled tracks have no cues; hidden ones load them without rendering
+      if (textTrack.mode === 'disabled') {
+        textTrack.mode = 'hidden';
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      this.hideNativeTrack(textTrack);
+
+      const subtitles = Array.from(textTrack.cues || [])
+        .map(cue => ({ startTime: cue.startTime, endTime: cue.endTime, text: window.decodeCueText(cue.text || '') }))
+        .filter(cue => cue.text);
+
+      console.log(`[Video Subs] Read ${subtitles.length} cues from text track (`, textTrack.language || textTrack.label, ')');
+      return subtitles;
+    }
+  }
+
+  // Export to global scope
+  window.VideoSubtitleReader = VideoSubtitleReader;
+
+  // Store current reader instance for cleanup
+  let currentReader = null;
+  let autoStart = false;  // Site enabled from the popup: read the page's own tracks
+  let filePrompt = null;  // Prompt to choose a subtitle file, shown from the popup
+
+  /**
+   * Read a subtitle file and show it on the page's video
+   * @param {File} file - SRT, WebVTT, or ASS/SSA file
+   * @returns {Promise<number>} Number of subtitles loaded
+   */
+  async function loadSubtitleFile(file) {
+    const text = window.decodeSubtitleFile(await file.arrayBuffer());
+    const subtitles = window.parseSubtitleFile(text, file.name);
+    if (subtitles.length === 0) {
+      throw new Error('No subtitles found in the file');
+    }
+
+    console.log(`[Video Subs] Loaded ${subtitles.length} subtitles from ${file.name}`);
+    initializeVideoSubtitles({ fileSubtitles: subtitles, fileName: file.name });
+    return subtitles.length;
+  }
+
+  /**
+   * Open the file dialog for a subtitle file and load the chosen one
+   * Must run from a click on the page: a dialog opened from the extension popup closes the
+   * popup in Firefox before the file arrives
+   * @param {Function} onLoaded - Called once the file is showing
+   * @param {Function} onError - Called with a message if the file can't be loaded
+   */
+  function chooseSubtitleFile(onLoaded, onError) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = SUBTITLE_FILE_TYPES;
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      loadSubtitleFile(file)
+        .then(onLoaded)
+        .catch(error => {
+          console.error('[Video Subs] Error loading subtitle file:', error);
+          onError(error.message);
+        });
+    });
+    input.click();
+  }
+
+  /**
+   * Remove the subtitle file prompt if it is showing
+   */
+  function removeSubtitleFilePrompt() {
+    if (filePrompt) {
+      filePrompt.remove();
+      filePrompt = null;
+    }
+  }
+
+  /**
+   * Show a prompt over the video with a button that opens the file dialog
+   * @param {HTMLVideoElement} video - Video the file is for
+   */
+  function showSubtitleFilePrompt(video) {
+    removeSubtitleFilePrompt();
+
+    const videoRect = video.getBoundingClientRect();
+    const prompt = document.createElement('div');
+    prompt.style.cssText = `
+      position: fixed;
+      top: ${Math.max(8, videoRect.top + 16)}px;
+      left: ${videoRect.left + videoRect.width / 2}px;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      background: rgba(0, 0, 0, 0.9);
+      color: white;
+      padding: 10px 14px;
+      border-radius: 6px;
+      font-size: 14px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+    `;
+
+    const label = document.createElement('span');
+    label.textContent = 'Subtitles for this video:';
+
+    const chooseBtn = document.createElement('button');
+    chooseBtn.textContent = 'Choose file…';
+    chooseBtn.style.cssText = `
+      padding: 6px 12px;
+      background: #0066ff;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 14px;
+    `;
+
+    const status = document.createElement('span');
+    status.style.color = '#ff6b6b';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Close';
+    closeBtn.style.cssText = `
+      background: none;
+      color: #aaa;
+      border: none;
+      cursor: pointer;
+      font-size: 16px;
+    `;
+
+    chooseBtn.addEventListener('click', () => {
+      status.textContent = '';
+      chooseSubtitleFile(removeSubtitleFilePrompt, message => {
+        status.textContent = message;
+      });
+    });
+    closeBtn.addEventListener('click', removeSubtitleFilePrompt);
+
+    prompt.appendChild(label);
+    prompt.appendChild(chooseBtn);
+    prompt.appendChild(status);
+    prompt.appendChild(closeBtn);
+    document.body.appendChild(prompt);
+    filePrompt = prompt;
+  }
+
+  /**
+   * Start a reader on the page's video
+   * @param {Object} options - {fileSubtitles, fileName} to show a subtitle file instead of the
+   *   page's tracks; retryOnPlay to try again once the video plays if it has no subtitles yet
+   *   (players often load their playlists and tracks only on play)
+   */
+  function initializeVideoSubtitles({ fileSubtitles = null, fileName = '', retryOnPlay = true } = {}) {
+    console.log('[Video Subs] Starting initialization...');
+
+    // Clean up previous reader
+    if (currentReader) {
+      console.log('[Video Subs] Cleaning up previous reader');
+      currentReader.cleanup();
+      currentReader = null;
+    }
+
+    const reader = new VideoSubtitleReader(fileSubtitles, fileName);
+    currentReader = reader;
+
+    // Poll for video element
+    const checkVideo = setInterval(() => {
+      if (reader !== currentReader) {
+        clearInterval(checkVideo);
+        return;
+      }
+
+      const video = reader.detectVideo();
+      if (video) {
+        clearInterval(checkVideo);
+        console.log('[Video Subs] Video found, initializing reader');
+
+        reader.initialize('he').then(() => {
+          if (reader.subtitles && reader.subtitles.length > 0) return;
+
+          if (retryOnPlay && !fileSubtitles && video.paused) {
+            console.log('[Video Subs] No subtitles loaded yet, trying again when the video plays');
+            video.addEventListener('playing', () => {
+              if (reader === currentReader && autoStart) {
+                initializeVideoSubtitles({ retryOnPlay: false });
+              }
+            }, { once: true });
+          } else {
+            console.log('[Video Subs] No subtitles loaded, shortcuts disabled');
+          }
+        }).catch(error => {
+          console.error('[Video Subs] Initialization error:', error);
+        });
+      }
+    }, 1000);
+
+    // Stop polling eventually
+    setTimeout(() => {
+      clearInterval(checkVideo);
+    }, VIDEO_POLL_TIMEOUT_MS);
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'startVideoReader') {
+      // Site enabled (or a page on it loaded); a loaded subtitle file takes precedence
+      if (autoStart) return false;
+      autoStart = true;
+      if (!currentReader || !currentReader.fileSubtitles) {
+        initializeVideoSubtitles();
+      }
+    } else if (message.action === 'disableVideoReader') {
+      autoStart = false;
+      if (currentReader && !currentReader.fileSubtitles) {
+        currentReader.cleanup();
+        currentReader = null;
+      }
+      console.log('[Video Subs] Disabled on this site');
+    } else if (message.action === 'showSubtitleFilePicker') {
+      // Every frame gets the message; only ones with a video show the prompt
+      const video = findLargestVideo();
+      if (!video) return false;
+
+      showSubtitleFilePrompt(video);
+      sendResponse({ success: true });
+    }
+    return false;
+  });
+
+  // Re-initialize on SPA navigation (a loaded subtitle file belongs to the previous video)
+  let lastUrl = location.href;
+  new MutationObserver(() => {
+    const url = location.href;
+    if (url === lastUrl) return;
+    lastUrl = url;
+
+    if (autoStart) {
+      console.log('[Video Subs] SPA navigation detected, reinitializing');
+      setTimeout(() => {
+        initializeVideoSubtitles();
+      }, 2000);
+    } else if (currentReader) {
+      console.log('[Video Subs] SPA navigation detected, removing subtitle file');
+      currentReader.cleanup();
+      currentReader = null;
+    }
+    removeSubtitleFilePrompt();
+  }).observe(document, { subtree: true, childList: true });
+
+})();
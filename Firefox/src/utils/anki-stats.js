@@ -6,8 +6,8 @@
   /**
    * Count unknown words in a list of Hebrew words
    * @param {Array} hebrewWords - Array of Hebrew words to check
-   * @param {Array} matureWords - Array of mature (known) words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature (known) words
+   * @param {Array|Set} learningWords - Array of learning words
    * @returns {number} Count of unknown words
    */
   function countUnknownWords(hebrewWords, matureWords, learningWords) {
@@ -34,10 +34,12 @@
    */
   async function calculateComprehensionStats(subtitles) {
     try {
-      // Get word lists from extension storage
-      const wordsData = await chrome.runtime.sendMessage({ action: 'getWords' });
-      const matureWords = wordsData.matureWords || [];
-      const learningWords = wordsData.learningWords || [];
+      const startTime = performance.now();
+
+      // Use the shared vocabulary index (Set lookups, memoized analyses)
+      const vocabulary = await window.loadVocabularyStore();
+      const matureWords = vocabulary.mature;
+      const learningWords = vocabulary.learning;
 
       // Collect all unique Hebrew words from subtitles
       const uniqueWords = new Set();
@@ -86,6 +88,8 @@
       const totalWords = uniqueWords.size;
       const percentage = totalWords > 0 ? Math.round((knownCount / totalWords) * 100) : 0;
 
+      console.log(`[Anki Stats] Analyzed ${subtitles.length} subtitles (${totalWords} unique words) in ${Math.round(performance.now() - startTime)}ms`);
+
       return {
         total: totalWords,
         known: knownCount,
@@ -103,8 +107,8 @@
   /**
    * Count word types in a set of Hebrew words
    * @param {Array} hebrewWords - Array of Hebrew words
-   * @param {Array} matureWords - Array of mature (known) words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature (known) words
+   * @param {Array|Set} learningWords - Array of learning words
    * @returns {Object} {unknownCount, potentiallyKnownCount}
    */
   function countWordTypes(hebrewWords, matureWords, learningWords) {
@@ -131,15 +135,15 @@
   /**
    * Count unknown words in a set of Hebrew words
    * @param {Array} hebrewWords - Array of Hebrew words
-   * @param {Array} matureWords - Array of mature (known) words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature (known) words
+   * @param {Array|Set} learningWords - Array of learning words
    * @returns {number} Count of unknown words
    */
   /**
    * Check if a sentence is i+1 (exactly 1 unknown word, minimum 3 words)
    * @param {string} sentenceText - Sentence text to check
-   * @param {Array} matureWords - Array of mature (known) words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature (known) words
+   * @param {Array|Set} learningWords - Array of learning words
    * @returns {boolean} True if sentence is i+1
    */
   function checkIfI1Sentence(sentenceText, matureWords, learningWords) {
@@ -165,8 +169,8 @@
    * 1. Exactly 1 potentially-known word, 0 unknown words
    * 2. Exactly 1 potentially-known word, 1 unknown word (treat potentially-known as known)
    * @param {string} sentenceText - Sentence text to check
-   * @param {Array} matureWords - Array of mature (known) words
-   * @param {Array} learningWords - Array of learning words
+   * @param {Array|Set} matureWords - Array of mature (known) words
+   * @param {Array|Set} learningWords - Array of learning words
    * @returns {boolean} True if sentence is potentially-i+1
    */
   function checkIfPotentiallyI1Sentence(sentenceText, matureWords, learningWords) {
@@ -188,8 +192,26 @@
     return potentiallyKnownCount === 1 && (unknownCount === 0 || unknownCount === 1);
   }
 
+  /**
+   * Check if a sentence has at least one unknown word
+   * @param {string} sentenceText - Sentence text to check
+   * @param {Array|Set} matureWords - Array of mature (known) words
+   * @param {Array|Set} learningWords - Array of learning words
+   * @returns {boolean} True if any word (longer than one letter) is unknown
+   */
+  function hasUnknownWords(sentenceText, matureWords, learningWords) {
+    if (!sentenceText) return false;
+
+    const hebrewWords = (sentenceText.match(window.HEBREW_WORD_REGEX) || [])
+      .filter(word => window.normalizeHebrew(word).length > 1);
+
+    return countUnknownWords(hebrewWords, matureWords, learningWords) > 0;
+  }
+
   // Expose to global scope
   window.calculateComprehensionStats = calculateComprehensionStats;
+  window.countWordTypes = countWordTypes;
   window.checkIfI1Sentence = checkIfI1Sentence;
   window.checkIfPotentiallyI1Sentence = checkIfPotentiallyI1Sentence;
+  window.hasUnknownWords = hasUnknownWords;
 })();
@@ -24,12 +24,23 @@
     NETFLIX_BROWSER: 'anki-netflix-subtitle-browser',
     STREAMISRAEL_OVERLAY: 'anki-streamisrael-subtitle-overlay',
     STREAMISRAEL_BROWSER: 'anki-streamisrael-subtitle-browser',
+    VIDEO_OVERLAY: 'anki-video-subtitle-overlay',
+    VIDEO_BROWSER: 'anki-video-subtitle-browser',
 
     // UI modals and popups
     ANKI_MODAL: 'anki-modal',
+    ANKI_BATCH_MODAL: 'anki-batch-modal',
     DICTIONARY_POPUP: 'anki-dictionary-popup'
   };
 
+  // Subtitle browser element ID by reader platform (SubtitleReaderBase.platformName)
+  const SUBTITLE_BROWSER_IDS = {
+    YouTube: DOM_IDS.YOUTUBE_BROWSER,
+    Netflix: DOM_IDS.NETFLIX_BROWSER,
+    StreamIsrael: DOM_IDS.STREAMISRAEL_BROWSER,
+    Video: DOM_IDS.VIDEO_BROWSER
+  };
+
   const CSS_CLASSES = {
     WORD_HIGHLIGHT: 'anki-hebrew-highlight',
     SENTENCE_HIGHLIGHT: 'anki-sentence-highlight',
@@ -38,6 +49,15 @@
     UNKNOWN: 'anki-unknown'
   };
 
+  // ===== ANKI NOTE FIELDS =====
+  // Fields the card creators fill automatically, matched by name
+  const ANKI_FIELD_PATTERNS = {
+    SENTENCE: /^(sentence|text|hebrew)$/i,
+    TARGET_WORD: /^target\s*word$/i,
+    TRANSLATION: /^(english|translation|meaning)$/i,
+    SOURCE: /^source$/i
+  };
+
   // ===== ANKI CONNECT =====
   const ANKI_CONNECT_URL = 'http://localhost:8765';
   const ANKI_CONNECT_VERSION = 6;
@@ -79,7 +99,9 @@
   // Expose to global scope
   window.COLORS = COLORS;
   window.DOM_IDS = DOM_IDS;
+  window.SUBTITLE_BROWSER_IDS = SUBTITLE_BROWSER_IDS;
   window.CSS_CLASSES = CSS_CLASSES;
+  window.ANKI_FIELD_PATTERNS = ANKI_FIELD_PATTERNS;
   window.ANKI_CONNECT_URL = ANKI_CONNECT_URL;
   window.ANKI_CONNECT_VERSION = ANKI_CONNECT_VERSION;
   window.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
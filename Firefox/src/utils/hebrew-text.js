@@ -80,35 +80,268 @@
   }
 
   /**
-   * Get word type (known, potentially-known, or unknown)
-   * @param {string} normalizedWord - Normalized Hebrew word to check
-   * @param {Array} matureWords - Array of mature (known) words
-   * @param {Array} learningWords - Array of learning words
-   * @returns {string} 'known', 'potentially-known', or 'unknown'
+   * Wrap the first whole-word occurrence of a Hebrew word in text
+   * (not a match inside a longer word, e.g. "בית" in "הבית")
+   * @param {string} text - Text to search
+   * @param {string} word - Word to mark
+   * @param {Function} wrap - Returns the replacement for the matched word
+   * @returns {string|null} Text with the word wrapped, or null if the word isn't in the text
    */
-  function getWordKnownType(normalizedWord, matureWords, learningWords) {
-    if (matureWords.includes(normalizedWord) || learningWords.includes(normalizedWord)) {
-      return 'known';
+  function markHebrewWord(text, word, wrap) {
+    if (!text || !word) return null;
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(?<![\\u0590-\\u05FF])${escaped}(?![\\u0590-\\u05FF])`).exec(text);
+    if (!match) return null;
+    return text.slice(0, match.index) + wrap(match[0]) + text.slice(match.index + match[0].length);
+  }
+
+  // Proclitic slots in the order they can stack in front of a word:
+  // ו (and) → ש/כש (that/when) → מ/ל/ב/כ (from/to/in/like) → ה (the)
+  // e.g. ו+כש+ה+לכתי, מ+ה+בית, כש+הוא
+  const PROCLITIC_SLOTS = [
+    ['ו'],
+    ['כש', 'ש'],
+    ['מ', 'ל', 'ב', 'כ'],
+    ['ה']
+  ];
+
+  // Possessive and object pronoun suffixes, longest first so "ספריהם"
+  // strips "יהם" rather than "ם"
+  const PRONOUN_SUFFIXES = [
+    'יהם', 'יהן', 'יכם', 'יכן', 'ינו',
+    'הם', 'הן', 'כם', 'כן', 'נו', 'ני', 'יו', 'יה', 'יך', 'תו', 'תה',
+    'ו', 'ה', 'ך', 'י', 'ם', 'ן'
+  ];
+
+  // Medial → final letter forms (ך/כ, ם/מ, ן/נ, ף/פ, ץ/צ)
+  const FINAL_FORMS = {
+    'כ': 'ך',
+    'מ': 'ם',
+    'נ': 'ן',
+    'פ': 'ף',
+    'צ': 'ץ'
+  };
+
+  // Shortest stem we accept after removing affixes
+  const MIN_STEM_LENGTH = 2;
+
+  // Word list → Set index, so lookups stay O(1) when callers pass arrays
+  const wordSetIndex = new WeakMap();
+
+  // Memoized analyses per mature word list: {learningWords, results}
+  let analysisCaches = new WeakMap();
+
+  // Other conjugations of verbs that have at least one mature form
+  // (form → infinitive), built by the background script from binyanim.json
+  let conjugationWords = {};
+  let conjugationsCountAsKnown = false;
+  let conjugationWordsPromise = null;
+
+  /**
+   * Convert the last letter of a stem to its final form (e.g. ספרכ → ספרך)
+   * @param {string} stem - Hebrew stem
+   * @returns {string} Stem ending in a final-form letter where applicable
+   */
+  function toFinalForm(stem) {
+    const last = stem.charAt(stem.length - 1);
+    return FINAL_FORMS[last] ? stem.slice(0, -1) + FINAL_FORMS[last] : stem;
+  }
+
+  /**
+   * Apply conjugation data and settings, invalidating memoized analyses
+   * @param {Object} words - Map of conjugated form → infinitive
+   * @param {Object} settings - Extension settings
+   */
+  function applyConjugationData(words, settings) {
+    if (words !== undefined) {
+      conjugationWords = words || {};
     }
+    if (settings) {
+      conjugationsCountAsKnown = settings.conjugationsCountAsKnown === true;
+    }
+    analysisCaches = new WeakMap();
+  }
 
-    if (normalizedWord.startsWith('ו') && normalizedWord.length > 1) {
-      const withoutVav = normalizedWord.substring(1);
-      if (matureWords.includes(withoutVav) || learningWords.includes(withoutVav)) {
-        return 'known';
-      }
+  /**
+   * Load conjugation data from storage (once per page)
+   * @returns {Promise<void>} Resolves when conjugation data is available
+   */
+  function loadConjugationWords() {
+    if (!conjugationWordsPromise) {
+      conjugationWordsPromise = chrome.storage.local.get(['conjugationWords', 'settings'])
+        .then(data => applyConjugationData(data.conjugationWords, data.settings))
+        .catch(error => console.error('Error loading conjugation words:', error));
+    }
+    return conjugationWordsPromise;
+  }
+
+  /**
+   * Get a Set for a word list, building it once per list instance
+   * @param {Array|Set} list - Word list
+   * @returns {Set} Set of the list's words
+   */
+  function toWordSet(list) {
+    if (list instanceof Set) return list;
+
+    let set = wordSetIndex.get(list);
+    if (!set) {
+      set = new Set(list);
+      wordSetIndex.set(list, set);
+    }
+    return set;
+  }
+
+  /**
+   * Get the memoized analysis results for a pair of word lists
+   * @param {Array|Set} matureWords - Mature words
+   * @param {Array|Set} learningWords - Learning words
+   * @returns {Map} Normalized word → analysis
+   */
+  function getAnalysisResults(matureWords, learningWords) {
+    let entry = analysisCaches.get(matureWords);
+    if (!entry || entry.learningWords !== learningWords) {
+      entry = { learningWords, results: new Map() };
+      analysisCaches.set(matureWords, entry);
     }
+    return entry.results;
+  }
+
+  /**
+   * Look up a word's status in the word lists (accepts Arrays or Sets)
+   * @param {string} word - Normalized Hebrew word
+   * @param {Array|Set} matureWords - Mature words
+   * @param {Array|Set} learningWords - Learning words
+   * @returns {string|null} 'mature', 'learning', 'conjugation' (another form of
+   *   a mature verb), or null if not found
+   */
+  function lookupWordStatus(word, matureWords, learningWords) {
+    if (toWordSet(matureWords).has(word)) return 'mature';
+    if (toWordSet(learningWords).has(word)) return 'learning';
+    if (Object.prototype.hasOwnProperty.call(conjugationWords, word)) return 'conjugation';
+    return null;
+  }
 
-    const prefixes = ['ל', 'ב', 'ש'];
-    for (const prefix of prefixes) {
-      if (normalizedWord.startsWith(prefix) && normalizedWord.length > 1) {
-        const withoutPrefix = normalizedWord.substring(1);
-        if (matureWords.includes(withoutPrefix) || learningWords.includes(withoutPrefix)) {
-          return 'potentially-known';
+  /**
+   * List every way stacked proclitics can be peeled off a word
+   * @param {string} word - Normalized Hebrew word
+   * @returns {Array} [{stem, prefixes}] including the unprefixed word
+   */
+  function splitProclitics(word) {
+    const results = [];
+
+    function walk(rest, slotIndex, prefixes) {
+      results.push({ stem: rest, prefixes });
+      for (let i = slotIndex; i < PROCLITIC_SLOTS.length; i++) {
+        for (const prefix of PROCLITIC_SLOTS[i]) {
+          if (rest.startsWith(prefix) && rest.length - prefix.length >= MIN_STEM_LENGTH) {
+            walk(rest.substring(prefix.length), i + 1, [...prefixes, prefix]);
+          }
         }
       }
     }
 
-    return 'unknown';
+    walk(word, 0, []);
+    return results;
+  }
+
+  /**
+   * List candidate lemmas for a stem by removing a pronoun suffix
+   * and restoring final letter forms
+   * @param {string} stem - Stem with proclitics already removed
+   * @returns {Array} [{lemma, suffix}] including the stem itself
+   */
+  function splitSuffixes(stem) {
+    const results = [{ lemma: stem, suffix: '' }];
+
+    for (const suffix of PRONOUN_SUFFIXES) {
+      if (!stem.endsWith(suffix) || stem.length - suffix.length < MIN_STEM_LENGTH) continue;
+
+      const base = stem.slice(0, -suffix.length);
+      results.push({ lemma: toFinalForm(base), suffix });
+
+      // Construct-state feminine: מכוניתו → מכונית, שיחתו → שיחה
+      if (base.endsWith('ת')) {
+        results.push({ lemma: base.slice(0, -1) + 'ה', suffix });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Analyze a Hebrew word against the known word lists, removing stacked
+   * proclitics, pronoun suffixes, and final-letter changes to find a known lemma.
+   * An exact match (or one with only ו stripped) keeps the lemma's status;
+   * any other affix makes the word 'potentially-known'. Conjugations of a
+   * mature verb are 'potentially-known', or 'mature' when the
+   * conjugationsCountAsKnown setting is on.
+   * @param {string} normalizedWord - Normalized Hebrew word (no nikud)
+   * @param {Array|Set} matureWords - Mature words
+   * @param {Array|Set} learningWords - Learning words
+   * @returns {Object} {type, lemma, lemmaStatus, prefixes, suffix, infinitive} where
+   *   type is 'mature', 'learning', 'potentially-known', or 'unknown'
+   */
+  function analyzeHebrewWord(normalizedWord, matureWords, learningWords) {
+    const results = getAnalysisResults(matureWords, learningWords);
+    const cached = results.get(normalizedWord);
+    if (cached) return cached;
+
+    const candidates = [];
+    splitProclitics(normalizedWord).forEach(({ stem, prefixes }) => {
+      splitSuffixes(stem).forEach(({ lemma, suffix }) => {
+        candidates.push({
+          lemma,
+          prefixes,
+          suffix,
+          removed: prefixes.join('').length + suffix.length
+        });
+      });
+    });
+
+    // Prefer the analysis that removes the fewest letters
+    candidates.sort((a, b) => a.removed - b.removed);
+
+    let result = { type: 'unknown', lemma: null, lemmaStatus: null, prefixes: [], suffix: '', infinitive: null };
+    for (const candidate of candidates) {
+      const lemmaStatus = lookupWordStatus(candidate.lemma, matureWords, learningWords);
+      if (!lemmaStatus) continue;
+
+      const onlyVav = candidate.suffix === '' &&
+        (candidate.prefixes.length === 0 || (candidate.prefixes.length === 1 && candidate.prefixes[0] === 'ו'));
+
+      let type = onlyVav ? lemmaStatus : 'potentially-known';
+      if (type === 'conjugation') {
+        type = conjugationsCountAsKnown ? 'mature' : 'potentially-known';
+      }
+
+      result = {
+        type,
+        lemma: candidate.lemma,
+        lemmaStatus,
+        prefixes: candidate.prefixes,
+        suffix: candidate.suffix,
+        infinitive: lemmaStatus === 'conjugation' ? conjugationWords[candidate.lemma] : null
+      };
+      break;
+    }
+
+    results.set(normalizedWord, result);
+    return result;
+  }
+
+  /**
+   * Get word type (known, potentially-known, or unknown)
+   * @param {string} normalizedWord - Normalized Hebrew word to check
+   * @param {Array|Set} matureWords - Mature (known) words
+   * @param {Array|Set} learningWords - Learning words
+   * @returns {string} 'known', 'potentially-known', or 'unknown'
+   */
+  function getWordKnownType(normalizedWord, matureWords, learningWords) {
+    const { type } = analyzeHebrewWord(normalizedWord, matureWords, learningWords);
+    if (type === 'mature' || type === 'learning') {
+      return 'known';
+    }
+    return type;
   }
 
   /**
@@ -120,6 +353,20 @@
     return type === 'known';
   }
 
+  // Keep conjugation data in sync with the background word list
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (changes.conjugationWords || changes.settings) {
+        applyConjugationData(
+          changes.conjugationWords ? changes.conjugationWords.newValue : undefined,
+          changes.settings ? changes.settings.newValue : null
+        );
+      }
+    });
+    loadConjugationWords();
+  }
+
   // Expose to global scope
   window.HEBREW_WORD_REGEX = HEBREW_WORD_REGEX;
   window.NIKUD_REGEX = NIKUD_REGEX;
@@ -128,6 +375,9 @@
   window.containsHebrew = containsHebrew;
   window.extractHebrewWords = extractHebrewWords;
   window.isHebrewWord = isHebrewWord;
+  window.markHebrewWord = markHebrewWord;
+  window.analyzeHebrewWord = analyzeHebrewWord;
+  window.loadConjugationWords = loadConjugationWords;
   window.getWordKnownType = getWordKnownType;
   window.isWordKnown = isWordKnown;
 })();
@@ -0,0 +1,8 @@
+// The benchmark page runs outside the extension: the scripts under test only need an
+// empty chrome.storage.local and somewhere to register their change listeners
+window.chrome = {
+  storage: {
+    local: { get: async () => ({}) },
+    onChanged: { addListener: () => {} }
+  }
+};
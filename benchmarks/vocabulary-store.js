@@ -0,0 +1,217 @@
+// Vocabulary store benchmark
+// Times word highlighting on a large generated Hebrew page and word-type counting over a full
+// generated subtitle file, with the Set-indexed word lists the extension uses and with the
+// Array.includes scans it used before the vocabulary store. Results are in README.md.
+
+// Word lists and test data: the most frequent words are "known", the rest are drawn in
+// roughly the proportions they occur in text. A fixed seed makes every run use the same data.
+const FREQUENCY_URL = '../Chrome/src/dictionary/frequency.json';
+const MATURE_WORD_COUNT = 8000;
+const LEARNING_WORD_COUNT = 1500;
+const VOCABULARY_SIZE = 40000;
+const PREFIXES = ['ו', 'ה', 'ב', 'ל', 'ש', 'מ', 'וה', 'כש'];
+const PREFIX_RATE = 0.25;
+const PAGE_PARAGRAPHS = 300;
+const PARAGRAPH_WORDS = 60;
+const SUBTITLE_CUES = 1500;
+const RANDOM_SEED = 20240601;
+// Each case runs this many times; the median is reported
+const RUNS = 5;
+
+/**
+ * Word list that looks up words with Array.includes, like the extension did before the
+ * vocabulary store (the store passes Sets through unchanged, so every lookup scans the array)
+ */
+class ArrayScanList extends Set {
+  constructor(words) {
+    super();
+    this.words = words;
+  }
+
+  has(word) {
+    return this.words.includes(word);
+  }
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Returns a number in [0, 1) per call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate the word lists, a page of paragraphs, and a subtitle file
+ * @param {Array<string>} frequencyList - Hebrew words, most frequent first
+ * @returns {Object} {matureWords, learningWords, pageHtml, pageWordCount, srtText}
+ */
+function generateTestData(frequencyList) {
+  const random = createRandom(RANDOM_SEED);
+  const vocabulary = frequencyList.slice(0, VOCABULARY_SIZE);
+
+  // Skewed towards frequent words, so most of the text is known like in real reading
+  const randomWord = () => {
+    const word = vocabulary[Math.floor(Math.pow(random(), 3) * vocabulary.length)];
+    return random() < PREFIX_RATE ? PREFIXES[Math.floor(random() * PREFIXES.length)] + word : word;
+  };
+  const randomSentence = (wordCount) => Array.from({ length: wordCount }, randomWord).join(' ') + '.';
+
+  const paragraphs = [];
+  for (let i = 0; i < PAGE_PARAGRAPHS; i++) {
+    const sentences = [];
+    for (let words = 0; words < PARAGRAPH_WORDS;) {
+      const length = 6 + Math.floor(random() * 9);
+      sentences.push(randomSentence(length));
+      words += length;
+    }
+    paragraphs.push(`<p>${sentences.join(' ')}</p>`);
+  }
+
+  const formatTime = (seconds) => {
+    const date = new Date(seconds * 1000).toISOString();
+    return `${date.substring(11, 19)},${date.substring(20, 23)}`;
+  };
+  const cues = [];
+  for (let i = 0; i < SUBTITLE_CUES; i++) {
+    const start = i * 3;
+    cues.push(`${i + 1}\n${formatTime(start)} --> ${formatTime(start + 2.5)}\n${randomSentence(4 + Math.floor(random() * 7))}\n`);
+  }
+
+  return {
+    matureWords: vocabulary.slice(0, MATURE_WORD_COUNT),
+    learningWords: vocabulary.slice(MATURE_WORD_COUNT, MATURE_WORD_COUNT + LEARNING_WORD_COUNT),
+    pageHtml: paragraphs.join('\n'),
+    pageWordCount: PAGE_PARAGRAPHS * PARAGRAPH_WORDS,
+    srtText: cues.join('\n')
+  };
+}
+
+/**
+ * Run a case several times with fresh word lists (so no memoized analyses carry over)
+ * @param {Function} createLists - Returns {mature, learning}
+ * @param {Function} prepare - Untimed setup before each run
+ * @param {Function} run - Timed work, called with the lists
+ * @returns {number} Median time in ms
+ */
+function measure(createLists, prepare, run) {
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    const lists = createLists();
+    prepare();
+    const startTime = performance.now();
+    run(lists);
+    times.push(performance.now() - startTime);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Run every case with both kinds of word list
+ * @param {Array<string>} frequencyList - Hebrew words, most frequent first
+ * @returns {Array} Rows {name, sets, arrayScans, speedup}
+ */
+function runBenchmarks(frequencyList) {
+  const data = generateTestData(frequencyList);
+  const page = document.getElementById('page');
+  const subtitles = window.parseSRT(data.srtText);
+  const cueWords = subtitles.map(subtitle => window.extractHebrewWords(subtitle.text, 2, false));
+
+  const listKinds = {
+    sets: () => {
+      const store = new window.VocabularyStore({ matureWords: data.matureWords, learningWords: data.learningWords });
+      return { mature: store.mature, learning: store.learning };
+    },
+    arrayScans: () => ({ mature: new ArrayScanList(data.matureWords), learning: new ArrayScanList(data.learningWords) })
+  };
+
+  const cases = [
+    {
+      name: `highlightWords: page of ${data.pageWordCount.toLocaleString()} words`,
+      prepare: () => {
+        page.innerHTML = data.pageHtml;
+      },
+      run: (lists) => window.highlightWords(lists.mature, lists.learning)
+    },
+    {
+      name: `countWordTypes: subtitle file of ${subtitles.length.toLocaleString()} cues`,
+      prepare: () => {},
+      run: (lists) => cueWords.forEach(words => window.countWordTypes(words, lists.mature, lists.learning))
+    },
+    {
+      name: `VocabularyStore: index ${data.matureWords.length.toLocaleString()} mature + ${data.learningWords.length.toLocaleString()} learning words`,
+      prepare: () => {},
+      run: () => new window.VocabularyStore({ matureWords: data.matureWords, learningWords: data.learningWords })
+    }
+  ];
+
+  const results = cases.map(benchmarkCase => {
+    const sets = measure(listKinds.sets, benchmarkCase.prepare, benchmarkCase.run);
+    const arrayScans = measure(listKinds.arrayScans, benchmarkCase.prepare, benchmarkCase.run);
+    return { name: benchmarkCase.name, sets: sets, arrayScans: arrayScans, speedup: arrayScans / sets };
+  });
+  page.textContent = '';
+
+  // Building the index has no Array.includes counterpart
+  results[2].arrayScans = null;
+  results[2].speedup = null;
+  return results;
+}
+
+/**
+ * Show the results as a table
+ * @param {Array} results - Rows from runBenchmarks
+ */
+function displayResults(results) {
+  const format = (ms) => ms === null ? '-' : `${ms.toFixed(1)} ms`;
+  const table = document.createElement('table');
+  table.innerHTML = '<tr><th>Case</th><th>Set index</th><th>Array.includes</th><th>Speedup</th></tr>';
+  results.forEach(result => {
+    const row = document.createElement('tr');
+    [result.name, format(result.sets), format(result.arrayScans), result.speedup ? `${result.speedup.toFixed(1)}×` : '-']
+      .forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+    table.appendChild(row);
+  });
+
+  const container = document.getElementById('results');
+  container.textContent = '';
+  container.appendChild(table);
+}
+
+async function runFromPage() {
+  const status = document.getElementById('status');
+  const runBtn = document.getElementById('run-btn');
+  runBtn.disabled = true;
+  status.textContent = 'Running...';
+
+  try {
+    const frequencyList = await (await fetch(FREQUENCY_URL)).json();
+    // Let the status text paint before the page is blocked
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const results = runBenchmarks(frequencyList);
+    console.table(results);
+    displayResults(results);
+    status.textContent = `Median of ${RUNS} runs, ${navigator.userAgent}`;
+  } catch (error) {
+    console.error('Benchmark failed:', error);
+    status.textContent = `Benchmark failed: ${error.message} (serve the repository root over HTTP, see README.md)`;
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+document.getElementById('run-btn').addEventListener('click', runFromPage);
+window.runBenchmarks = runBenchmarks;